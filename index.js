@@ -1,13 +1,40 @@
 import express from "express";
 import multer from "multer";
 import fs from "fs";
+import crypto from "crypto";
 import path from "path";
-import OpenAI from "openai";
 import dotenv from "dotenv";
 import cors from "cors";
 import axios from "axios";
 import { fileURLToPath } from 'url';
-import csv from 'csvtojson';
+import { Readable } from 'stream';
+import { createClassifier, ClassifierError, ClassificationValidationError, DEFAULT_TOP_K } from './services/classifiers/index.js';
+import { SpeciesIndex } from './services/speciesSearch.js';
+import {
+    ObservationStore,
+    ObservationValidationError,
+    ObservationReviewError,
+    MAX_PAGE_SIZE,
+    OBSERVATION_STATUSES,
+    REVIEW_ACTIONS,
+    inBoundingBox,
+} from './services/observationStore.js';
+import { AuditLog } from './services/auditLog.js';
+import { FORMATS, detectFormat, parseObservations, serializeObservations } from './services/observationFormats.js';
+import { HttpCache, DEFAULT_SOURCES } from './services/httpCache.js';
+import { SightingIndex } from './services/sightingIndex.js';
+import { SoundLibrary, XENO_CANTO_URL, QUALITY_ORDER, SOUND_TYPES, MAX_PER_SPECIES } from './services/soundLibrary.js';
+import { processUpload, ImageProcessingError, DEFAULT_MAX_DIMENSION } from './services/imagePipeline.js';
+import { ClassificationMemo, DEFAULT_MAX_DISTANCE } from './services/classificationMemo.js';
+import { BatchJobManager, BatchInputError, checkBatchSize, extractImages, MAX_BATCH_ITEMS } from './services/batchJobs.js';
+import { decodeAudio, extractFeatures, AudioProcessingError } from './services/audioFeatures.js';
+import { SoundMatcher, DEFAULT_MIN_SIMILARITY } from './services/soundMatcher.js';
+import { ApiKeyStore, ApiKeyValidationError, RateLimiter, SCOPES, DEFAULT_RATE_LIMIT } from './services/apiKeys.js';
+import { aggregateGrid, GRID_TYPES, DEFAULT_CELL_SIZE, MIN_CELL_SIZE, MAX_CELL_SIZE } from './services/rangeGrid.js';
+import { SpeciesProfileStore, ProfileValidationError } from './services/speciesProfiles.js';
+import { WatchStore, WatchValidationError, WebhookDispatcher, WebhookPolicy, WatchPoller, haversineKm } from './services/watchlists.js';
+import { UpstreamFixtures, FixtureMissingError } from './services/upstreamFixtures.js';
+import { SimpleForecaster, InsufficientDataError, MAX_PERIODS } from './services/forecaster.js';
 
 // Load environment variables
 dotenv.config();
@@ -20,31 +47,151 @@ const PORT = process.env.PORT || 5000;
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const HISTORICAL_DATA_FILE = path.join(__dirname, 'historical_bird_data.csv');
+const OBSERVATIONS_FILE = process.env.OBSERVATIONS_FILE || path.join(__dirname, 'data', 'observations.json');
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-    apiKey: ""
-});
+// Observation store. An empty store is filled from the old historical_bird_data.csv on startup;
+// `npm run migrate:observations` imports a CSV into a store that already has records
+const observationStore = new ObservationStore(OBSERVATIONS_FILE).load();
+const LEGACY_CSV_FILE = path.join(__dirname, 'historical_bird_data.csv');
+if (observationStore.size === 0 && fs.existsSync(LEGACY_CSV_FILE)) {
+    observationStore.migrateCsv(LEGACY_CSV_FILE)
+        .then(report => console.log(`Migrated ${report.imported} observation(s) from historical_bird_data.csv; ${report.invalid.length} invalid line(s) skipped`))
+        .catch(error => console.error(`Observation migration failed: ${error.message}`));
+}
+
+// Reviewer decisions on submitted observations, one JSON line each
+const reviewLog = new AuditLog(
+    process.env.REVIEW_LOG_FILE || path.join(__dirname, 'data', 'review-log.jsonl'),
+    { idPrefix: "rev" }
+).load();
+
+// Photos attached to submissions; stored after the image pipeline has stripped their metadata
+const OBSERVATION_PHOTOS_DIR = process.env.OBSERVATION_PHOTOS_DIR || path.join(__dirname, 'data', 'observation-photos');
+const observationPhotoPath = (observation) => path.join(OBSERVATION_PHOTOS_DIR, `${observation.id}.jpg`);
 
-// Configure CORS middleware
+async function saveObservationPhoto(observation, image) {
+    await fs.promises.mkdir(OBSERVATION_PHOTOS_DIR, { recursive: true });
+    await fs.promises.writeFile(observationPhotoPath(observation), image.buffer);
+    return observationStore.attachPhoto(observation.id, {
+        url: `/observations/${observation.id}/photo`,
+        width: image.width,
+        height: image.height,
+    });
+}
+
+
+// Configure CORS middleware; CORS_ORIGINS is a comma-separated list ("*" allows any origin)
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || "http://localhost:3000").split(",").map(origin => origin.trim()).filter(Boolean);
 app.use(cors({
-    origin: "http://localhost:3000",
-    methods: ["POST", "GET", "OPTIONS"], // Include OPTIONS for preflight requests
+    origin: CORS_ORIGINS.includes("*") ? true : CORS_ORIGINS,
+    methods: ["POST", "GET", "PUT", "PATCH", "DELETE", "OPTIONS"], // Include OPTIONS for preflight requests
+    allowedHeaders: ["Content-Type", "Authorization", "X-API-Key"],
+    exposedHeaders: ["X-RateLimit-Limit", "X-RateLimit-Remaining", "X-RateLimit-Reset", "X-Quota-Limit", "X-Quota-Remaining", "Retry-After"],
     credentials: true, // Enable cookies/authorization headers
 }));
 
-// Configure Multer for file uploads
-const storage = multer.diskStorage({
-    destination: "uploads/",
-    filename: (req, file, cb) => {
-        cb(null, `${Date.now()}-${file.originalname}`);
-    },
+// Issued API keys; ADMIN_API_KEY is an always-valid key with every scope, used to issue the others
+const apiKeys = new ApiKeyStore(process.env.API_KEYS_FILE || path.join(__dirname, 'data', 'api-keys.json')).load();
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || "";
+
+// Behind a reverse proxy, TRUST_PROXY (number of hops) makes req.ip the real client address
+app.set("trust proxy", parseInt(process.env.TRUST_PROXY) || false);
+
+// Callers without a key get ANONYMOUS_SCOPES ("" for none), limited per IP address
+const ANONYMOUS = {
+    scopes: (process.env.ANONYMOUS_SCOPES ?? "read,classify").split(",").map(scope => scope.trim()).filter(Boolean),
+    rateLimit: parseInt(process.env.ANONYMOUS_RATE_LIMIT) || DEFAULT_RATE_LIMIT,
+    dailyQuota: parseInt(process.env.ANONYMOUS_DAILY_QUOTA) || 50,
+};
+const anonymousUsage = new Map();
+const rateLimiter = new RateLimiter();
+
+// Digests have a fixed byte length, which timingSafeEqual requires whatever characters the caller sent
+const sha256 = (value) => crypto.createHash("sha256").update(value).digest();
+const isAdminSecret = (secret) => ADMIN_API_KEY !== "" && crypto.timingSafeEqual(sha256(secret), sha256(ADMIN_API_KEY));
+
+// Identify the caller from "Authorization: Bearer <key>", "X-API-Key" or ?api_key= (for EventSource clients),
+// then apply the caller's per-minute rate limit
+app.use((req, res, next) => {
+    const bearer = req.get("authorization")?.match(/^Bearer\s+(.+)$/i)?.[1];
+    const secret = bearer || req.get("x-api-key") || req.query.api_key;
+
+    if (!secret) {
+        req.auth = { keyId: null, name: "anonymous", scopes: ANONYMOUS.scopes, rateLimit: ANONYMOUS.rateLimit, clientId: `ip:${req.ip}` };
+    } else if (isAdminSecret(String(secret))) {
+        req.auth = { keyId: "admin", name: "admin", scopes: SCOPES, rateLimit: null, clientId: "admin" };
+    } else {
+        const key = apiKeys.authenticate(secret);
+        if (!key) {
+            return res.status(401).json({ error: "Invalid or revoked API key." });
+        }
+        req.auth = { keyId: key.id, name: key.name, scopes: key.scopes, rateLimit: key.rateLimit, clientId: key.id, key };
+    }
+
+    if (req.auth.rateLimit === null) return next();
+    const { allowed, limit, remaining, resetAt } = rateLimiter.hit(req.auth.clientId, req.auth.rateLimit);
+    res.set({
+        "X-RateLimit-Limit": limit,
+        "X-RateLimit-Remaining": remaining,
+        "X-RateLimit-Reset": Math.ceil(resetAt / 1000),
+    });
+    if (!allowed) {
+        res.set("Retry-After", Math.ceil((resetAt - Date.now()) / 1000));
+        return res.status(429).json({ error: "Rate limit exceeded. Try again later." });
+    }
+    next();
 });
 
+// Route guard: 401 for anonymous callers, 403 for keys without the scope
+const requireScope = (scope) => (req, res, next) => {
+    if (req.auth.scopes.includes(scope)) return next();
+    if (!req.auth.keyId) {
+        return res.status(401).json({ error: `An API key with the "${scope}" scope is required.` });
+    }
+    res.status(403).json({ error: `This API key does not have the "${scope}" scope.` });
+};
+
+// Count classifications against the caller's daily quota; answers 429 and returns false when it is used up.
+// Routes call this once the upload has been validated, so rejected requests cost nothing
+async function consumeClassificationQuota(req, res, count = 1) {
+    let result;
+    if (req.auth.key) {
+        result = await apiKeys.consumeQuota(req.auth.key, count);
+    } else if (req.auth.keyId === "admin") {
+        return true;
+    } else {
+        const day = new Date().toISOString().slice(0, 10);
+        const usage = anonymousUsage.get(req.auth.clientId);
+        const used = usage?.day === day ? usage.classifications : 0;
+        const allowed = used + count <= ANONYMOUS.dailyQuota;
+        if (allowed) anonymousUsage.set(req.auth.clientId, { day, classifications: used + count });
+        result = { allowed, used: allowed ? used + count : used, limit: ANONYMOUS.dailyQuota };
+
+        // Forget earlier days once the table grows
+        if (anonymousUsage.size > 10000) {
+            for (const [clientId, entry] of anonymousUsage) {
+                if (entry.day !== day) anonymousUsage.delete(clientId);
+            }
+        }
+    }
+
+    if (result.limit !== null) {
+        res.set({ "X-Quota-Limit": result.limit, "X-Quota-Remaining": Math.max(0, result.limit - result.used) });
+    }
+    if (!result.allowed) {
+        res.status(429).json({
+            success: false,
+            error: `Daily classification quota exceeded (${result.used} of ${result.limit} used).`,
+        });
+    }
+    return result.allowed;
+}
+
+// Configure Multer for file uploads; photos stay in memory so originals (with GPS tags) never hit the disk
+const IMAGE_SIZE_LIMIT = 5 * 1024 * 1024;
 const upload = multer({
-    storage: storage,
-    limits: { fileSize: 5 * 1024 * 1024 }, // 5MB limit
+    storage: multer.memoryStorage(),
+    limits: { fileSize: IMAGE_SIZE_LIMIT }, // 5MB limit
     fileFilter: (req, file, cb) => {
         const allowedTypes = ["image/jpeg", "image/png", "image/webp"];
         allowedTypes.includes(file.mimetype)
@@ -53,8 +200,59 @@ const upload = multer({
     },
 });
 
-// In-memory cache for taxonomy data
+const IMAGE_MAX_DIMENSION = parseInt(process.env.IMAGE_MAX_DIMENSION) || DEFAULT_MAX_DIMENSION;
+
+// Batch uploads: many images ("images") and/or one zip archive ("archive"). Parts are buffered
+// in memory, so the whole request is capped by its Content-Length before multer reads it.
+const BATCH_UPLOAD_LIMIT = (parseInt(process.env.BATCH_UPLOAD_LIMIT_MB) || 100) * 1024 * 1024;
+const batchUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: BATCH_UPLOAD_LIMIT, files: MAX_BATCH_ITEMS + 1 },
+    fileFilter: (req, file, cb) => {
+        const allowed = file.fieldname === "archive"
+            ? ["application/zip", "application/x-zip-compressed", "application/octet-stream"].includes(file.mimetype)
+            : ["image/jpeg", "image/png", "image/webp"].includes(file.mimetype);
+        allowed
+            ? cb(null, true)
+            : cb(new Error(`Invalid file type for ${file.fieldname}. Images must be JPG/PNG/WEBP, archives .zip`));
+    },
+});
+
+const limitBatchRequest = (req, res, next) => {
+    const length = parseInt(req.get("Content-Length"));
+    if (!Number.isFinite(length)) {
+        return res.status(411).set("Connection", "close").json({ error: "Batch uploads must send a Content-Length header." });
+    }
+    if (length > BATCH_UPLOAD_LIMIT) {
+        return res.status(413).set("Connection", "close").json({
+            error: `Batch uploads are limited to ${BATCH_UPLOAD_LIMIT / (1024 * 1024)}MB per request.`,
+        });
+    }
+    next();
+};
+
+// Recordings for /classify-sound are decoded in memory
+const AUDIO_TYPES = ["audio/wav", "audio/x-wav", "audio/wave", "audio/vnd.wave", "audio/mpeg", "audio/mp3", "audio/ogg", "application/ogg"];
+const soundUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 10 * 1024 * 1024 }, // 10MB limit
+    fileFilter: (req, file, cb) => {
+        AUDIO_TYPES.includes(file.mimetype)
+            ? cb(null, true)
+            : cb(new Error("Invalid file type. Only WAV/MP3/OGG allowed"));
+    },
+});
+
+// Bulk observation imports are kept in memory and parsed as text
+const IMPORT_SIZE_LIMIT = "20mb";
+const importUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 20 * 1024 * 1024 },
+});
+
+// In-memory cache for taxonomy data and the search index built from it
 let taxonomyCache = [];
+let speciesIndex = new SpeciesIndex();
 
 // Function to load taxonomy data from file
 const loadTaxonomyData = () => {
@@ -63,6 +261,7 @@ const loadTaxonomyData = () => {
         if (fs.existsSync(filePath)) {
             const data = fs.readFileSync(filePath, 'utf8');
             taxonomyCache = JSON.parse(data);
+            speciesIndex = new SpeciesIndex(taxonomyCache);
             console.log(`Loaded ${taxonomyCache.length} taxonomy entries from ${filePath}`);
         } else {
             console.warn(`Taxonomy cache file not found: ${filePath}`);
@@ -72,25 +271,142 @@ const loadTaxonomyData = () => {
     }
 };
 
-// Function to get species code from the in-memory cache
-const getSpeciesCode = (speciesName) => {
-    const speciesEntry = taxonomyCache.find(entry =>
-        entry.comName?.toLowerCase() === speciesName?.toLowerCase() ||
-        entry.sciName?.toLowerCase() === speciesName?.toLowerCase()
-    );
-    return speciesEntry ? speciesEntry.speciesCode : null;
+// Upstream calls can be recorded to fixtures or replayed from them (UPSTREAM_MODE=live|record|replay)
+const upstream = new UpstreamFixtures({
+    directory: process.env.FIXTURES_DIR || path.join(__dirname, 'fixtures', 'upstream'),
+    mode: process.env.UPSTREAM_MODE || 'live',
+});
+if (upstream.mode !== 'live') console.log(`Upstream ${upstream.mode} mode using fixtures in ${upstream.directory}`);
+
+// Initialize the image classifier (CLASSIFIER_PROVIDER=openai|local|stub); candidates are resolved against the taxonomy
+const classifier = createClassifier(undefined, {
+    resolveSpecies: (name) => speciesIndex.resolve(name),
+    wrapClient: (client, context) => upstream.openai(client, context),
+});
+console.log(`Using ${classifier.name} classifier (${classifier.model})`);
+
+// Remembered classifications keyed by image hash
+const classificationMemo = new ClassificationMemo(
+    process.env.CLASSIFICATION_MEMO_FILE || path.join(__dirname, 'data', 'classifications.json'),
+    { maxDistance: parseInt(process.env.MEMO_MAX_DISTANCE) || DEFAULT_MAX_DISTANCE }
+).load();
+
+// Profile text per species, learned from classifications or written by editors
+const speciesProfiles = new SpeciesProfileStore(
+    process.env.SPECIES_PROFILES_FILE || path.join(__dirname, 'data', 'species-profiles.json')
+).load();
+
+// Species code for a code or a name. Names only resolve when they match one species exactly or
+// with a single typo; otherwise `candidates` lists the closest species instead of guessing.
+const lookupSpecies = (speciesName) => {
+    const byCode = speciesIndex.getByCode(speciesName);
+    if (byCode) return { speciesCode: byCode.speciesCode, candidates: [] };
+    const { match, candidates } = speciesIndex.lookup(speciesName);
+    return {
+        speciesCode: match?.speciesCode ?? null,
+        candidates: candidates.map(({ speciesCode, comName, sciName, score }) => ({ speciesCode, comName, sciName, score })),
+    };
 };
 
-// Unsplash Image Service
-const UNSPLASH_API_KEY = "";
-const UNSPLASH_BASE_URL = 'https://api.unsplash.com/search/photos';
+const getSpeciesCode = (speciesName) => lookupSpecies(speciesName).speciesCode;
+
+// Answer for a name that did not resolve: 404 when nothing is close, 409 with the candidates otherwise
+const speciesLookupError = (speciesName, candidates) => candidates.length > 0
+    ? { status: 409, error: `Species "${speciesName}" is ambiguous; use one of the candidates' names or species codes.`, candidates }
+    : { status: 404, error: "Species not found.", candidates };
+
+// Shared cache for upstream API calls; TTLs can be overridden with CACHE_TTL_<SOURCE> (seconds)
+// When replaying, entries are kept in memory only so every answer comes from the fixtures
+const httpCache = new HttpCache({
+    directory: upstream.replaying ? undefined : process.env.CACHE_DIR || path.join(__dirname, 'data', 'cache'),
+    client: upstream.http(axios),
+    sources: Object.fromEntries(Object.entries(DEFAULT_SOURCES).map(([source, config]) => [
+        source,
+        { ...config, ttl: (parseInt(process.env[`CACHE_TTL_${source.toUpperCase()}`]) * 1000) || config.ttl },
+    ])),
+});
+
+// Offline sound library, filled on demand and via /sounds/prewarm
+const soundLibrary = new SoundLibrary({
+    directory: process.env.SOUNDS_DIR || path.join(__dirname, 'data', 'sounds'),
+    httpCache,
+    client: upstream.http(axios),
+}).load();
+// Spectrogram features of library recordings, used as references by /classify-sound
+const soundMatcher = new SoundMatcher({
+    filePath: path.join(soundLibrary.directory, 'features.json'),
+    soundLibrary,
+    minSimilarity: parseFloat(process.env.SOUND_MIN_SIMILARITY) || DEFAULT_MIN_SIMILARITY,
+}).load();
+// Reference features are brought up to date at startup and whenever recordings are added, never per request
+const syncSoundReferences = () =>
+    soundMatcher.sync().catch(error => console.error(`Sound reference indexing failed: ${error.message}`));
+soundLibrary.on("change", syncSoundReferences);
+syncSoundReferences();
+const SOUND_AUTOFETCH = process.env.SOUND_LIBRARY_AUTOFETCH !== 'false';
+let prewarmStatus = null;
+
+// Library recordings as returned to clients (playable through /sounds/:id)
+const publicRecording = ({ file, originalName, ...recording }) => ({ ...recording, url: `/sounds/${recording.id}` });
+
+// Prefer stored recordings; otherwise link Xeno-Canto directly and download in the background
+async function getSoundUrls(speciesCode, searchName) {
+    const stored = speciesCode ? soundLibrary.list({ speciesCode }).slice(0, 3) : [];
+    if (stored.length > 0) {
+        return stored.map(recording => `/sounds/${recording.id}`);
+    }
+
+    // Sounds are extras: without Xeno-Canto (or its fixture) the answer simply has none
+    let data;
+    try {
+        ({ data } = await httpCache.get('xenocanto', XENO_CANTO_URL, {
+            params: { query: searchName },
+        }));
+    } catch (error) {
+        console.error(`Sound lookup failed for ${searchName}: ${error.message}`);
+        return [];
+    }
+    if (speciesCode && SOUND_AUTOFETCH) {
+        soundLibrary.fetchSpecies({ speciesCode, sciName: searchName }, { limit: 3 })
+            .catch(error => console.error(`Background sound download failed for ${speciesCode}: ${error.message}`));
+    }
+
+    // Find the first recording with good quality
+    const recordings = data.recordings?.slice(0, 3) || [];
+    return recordings.map(r => r.file).filter(Boolean);
+}
+
+// eBird API token (https://ebird.org/api/keygen); EBIRD_API_URL points elsewhere for local testing
+// Replayed calls never reach the service, so no key is needed for them
+const EBIRD_API_KEY = process.env.EBIRD_API_KEY || (upstream.replaying ? "replay" : "");
+const EBIRD_API_URL = (process.env.EBIRD_API_URL || "https://api.ebird.org/v2").replace(/\/+$/, "");
+
+// Recent eBird sightings around a point (every species when speciesCode is null), through the shared cache
+async function fetchRecentEbird(speciesCode, { lat, lng, dist }) {
+    const { data } = await httpCache.get('ebird',
+        `${EBIRD_API_URL}/data/obs/geo/recent/${speciesCode || ''}`,
+        {
+            params: {
+                lat: parseFloat(lat),
+                lng: parseFloat(lng),
+                dist: parseInt(dist)
+            },
+            headers: { "X-eBirdApiToken": EBIRD_API_KEY },
+        }
+    );
+    return data;
+}
+
+// Unsplash Image Service; UNSPLASH_API_URL points elsewhere for local testing
+const UNSPLASH_API_KEY = process.env.UNSPLASH_API_KEY || (upstream.replaying ? "replay" : "");
+const UNSPLASH_BASE_URL = process.env.UNSPLASH_API_URL || 'https://api.unsplash.com/search/photos';
 
 // Modify the fetchImages function to use more specific queries
 async function fetchImages(query, perPage) {
     if (!UNSPLASH_API_KEY) throw new Error('Unsplash API key missing');
 
     try {
-        const response = await axios.get(UNSPLASH_BASE_URL, {
+        const { data } = await httpCache.get('unsplash', UNSPLASH_BASE_URL, {
             params: {
                 query: `${query}`, // Removed redundant "bird" keyword
                 per_page: perPage,
@@ -99,7 +415,7 @@ async function fetchImages(query, perPage) {
             },
         });
 
-        return response.data.results.map((image) => image.urls.regular) || [];
+        return data.results.map((image) => image.urls.regular) || [];
     } catch (error) {
         console.error(`Image fetch error: ${error.message}`);
         return [];
@@ -130,40 +446,25 @@ async function getBirdAndNestImages(scientificName) {
     }
 }
 
-// Load historical data from CSV file
-async function loadHistoricalData(speciesCode) {
-    try {
-        if (!fs.existsSync(HISTORICAL_DATA_FILE)) {
-            console.log('Historical data file does not exist. Creating it...');
-            fs.writeFileSync(HISTORICAL_DATA_FILE, 'speciesCode,latitude,longitude,observationDate\n');
-            return [];
-        }
-
-        const csvData = await csv().fromFile(HISTORICAL_DATA_FILE);
-        return csvData
-            .filter(row => row.speciesCode === speciesCode)
-            .map(row => ({
-                ds: row.observationDate, // Date
-                y: parseFloat(row.latitude), // Latitude
-                z: parseFloat(row.longitude)  // Longitude
-            }));
-    } catch (error) {
-        console.error('Error loading historical data:', error);
-        return [];
-    }
+// Load historical data for the forecaster from the observation store
+async function loadHistoricalData(speciesCode, statuses = ["verified"]) {
+    const { observations } = observationStore.query({ speciesCode, status: statuses, limit: Infinity });
+    return observations.map(row => ({
+        ds: row.observationDate, // Date
+        y: row.latitude, // Latitude
+        z: row.longitude  // Longitude
+    }));
 }
+
 // Updated train function
 async function trainProphetModel(historicalData) {
-    const model = new SimpleForecaster();
-    
-    if (historicalData && historicalData.length > 0) {
-        model.train(historicalData);
-    } else {
+    if (!historicalData || historicalData.length === 0) {
         console.warn("No historical data to train the model.");
         return null;
     }
-    
-    return model;
+
+    // Throws InsufficientDataError when the series is too short to fit
+    return new SimpleForecaster().train(historicalData);
 }
 
 // Updated predict function
@@ -171,51 +472,536 @@ async function predictMigrationPath(model, periods) {
     if (!model) return [];
     return model.predict(periods);
 }
-// Add bird location to CSV
-app.post("/add-bird-location", express.json(), async (req, res) => {
-    const { species, latitude, longitude, observationDate } = req.body;
+// Add bird location to the observation store
+// Submissions start as "pending" and only count once a reviewer approves them.
+// Send JSON, or multipart form data with an optional "photo" file
+app.post("/add-bird-location", requireScope("write"), upload.single("photo"), express.json(), async (req, res) => {
+    const { species, latitude, longitude, observationDate } = req.body || {};
 
-    if (!species || !latitude || !longitude || !observationDate) {
+    if (!species || latitude == null || longitude == null || !observationDate) {
         return res.status(400).json({ error: "Missing required fields." });
     }
 
     try {
         // Check if the species exists
-        const speciesCode = getSpeciesCode(species);
+        const { speciesCode, candidates } = lookupSpecies(species);
         if (!speciesCode) {
-            return res.status(404).json({ error: "Species not found." });
+            const { status, error } = speciesLookupError(species, candidates);
+            return res.status(status).json({ error, candidates });
         }
 
-        // Append the data to the CSV file
-        const csvLine = `${speciesCode},${latitude},${longitude},${observationDate}\n`;
-        fs.appendFile(HISTORICAL_DATA_FILE, csvLine, (err) => {
-            if (err) {
-                console.error("Failed to append to historical data file:", err);
-                return res.status(500).json({ error: "Failed to save data." });
-            }
+        const photo = req.file ? await processUpload(req.file.buffer, { maxDimension: IMAGE_MAX_DIMENSION }) : null;
 
-            console.log(`Added bird location data for ${species}.`);
-            res.json({ message: "Bird location data added successfully." });
-        });
+        let { observation, duplicate } = await observationStore.add(
+            { speciesCode, latitude, longitude, observationDate },
+            { source: "submission", submittedBy: req.auth.keyId }
+        );
+        if (duplicate) {
+            return res.status(409).json({ error: "Observation already recorded.", observation });
+        }
+        if (photo) {
+            observation = await saveObservationPhoto(observation, photo.image);
+        }
+
+        console.log(`Added bird location data for ${species}.`);
+        res.status(201).json({ message: "Bird location submitted for review.", observation });
     } catch (error) {
+        if (error instanceof ObservationValidationError) {
+            return res.status(400).json({ error: error.message, details: error.details });
+        }
+        if (error instanceof ImageProcessingError) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
         console.error("Error adding bird location:", error);
         res.status(500).json({ error: "Failed to add bird location." });
     }
 });
 
+// ?status=pending,verified or ?status=all; only verified records unless the caller asks for others
+const parseStatusFilter = (value) => {
+    if (!value) return { statuses: ["verified"] };
+    if (value === "all") return { statuses: OBSERVATION_STATUSES };
+    const statuses = String(value).split(",").map(status => status.trim());
+    if (statuses.some(status => !OBSERVATION_STATUSES.includes(status))) {
+        return { error: `status must be "all" or a list of ${OBSERVATION_STATUSES.join(", ")}.` };
+    }
+    return { statuses };
+};
+
+// Parse the shared observation filters; returns { filters } or { status, error, candidates }
+const parseObservationFilters = (query) => {
+    const { species, bbox, from, to } = query;
+    let { speciesCode } = query;
+
+    if (!speciesCode && species) {
+        let candidates;
+        ({ speciesCode, candidates } = lookupSpecies(species));
+        if (!speciesCode) {
+            return speciesLookupError(species, candidates);
+        }
+    }
+
+    let box;
+    if (bbox) {
+        box = String(bbox).split(",").map(Number);
+        const [minLng, minLat, maxLng, maxLat] = box;
+        if (box.length !== 4 || box.some(value => !Number.isFinite(value)) || minLat > maxLat ||
+            Math.abs(minLat) > 90 || Math.abs(maxLat) > 90 || Math.abs(minLng) > 180 || Math.abs(maxLng) > 180) {
+            return { status: 400, error: "bbox must be minLng,minLat,maxLng,maxLat." };
+        }
+    }
+
+    for (const [name, value] of [["from", from], ["to", to]]) {
+        if (value && Number.isNaN(new Date(value).getTime())) {
+            return { status: 400, error: `Invalid '${name}' date.` };
+        }
+    }
+
+    const { statuses, error } = parseStatusFilter(query.status);
+    if (error) {
+        return { status: 400, error };
+    }
+
+    return { filters: { speciesCode, bbox: box, from, to, status: statuses } };
+};
+
+// Query stored observations: ?species=&speciesCode=&bbox=minLng,minLat,maxLng,maxLat&from=&to=&status=&limit=&offset=
+app.get("/observations", requireScope("read"), (req, res) => {
+    const { filters, status, error, candidates } = parseObservationFilters(req.query);
+    if (error) {
+        return res.status(status).json({ error, candidates });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const { total, observations } = observationStore.query({ ...filters, limit, offset });
+
+    res.json({ total, limit, offset, observations });
+});
+
+// Bulk import: upload a file as "file" or send it as the raw body; ?format=csv|geojson|gpx|ebird
+app.post(
+    "/observations/import",
+    requireScope("write"),
+    importUpload.single("file"),
+    express.text({ type: ["text/*", "application/json", "application/geo+json", "application/gpx+xml", "application/xml"], limit: IMPORT_SIZE_LIMIT }),
+    async (req, res) => {
+        const text = req.file ? req.file.buffer.toString("utf8") : typeof req.body === "string" ? req.body : "";
+        if (!text.trim()) {
+            return res.status(400).json({ error: "No import data received." });
+        }
+
+        const format = req.query.format || detectFormat({
+            filename: req.file?.originalname,
+            contentType: req.file?.mimetype || req.get("content-type"),
+        });
+        if (!FORMATS[format]) {
+            return res.status(400).json({ error: `Unknown import format. Use one of: ${Object.keys(FORMATS).join(", ")}.` });
+        }
+
+        try {
+            const rows = await parseObservations(format, text);
+            const report = { format, total: rows.length, imported: 0, duplicates: 0, failed: 0, errors: [] };
+
+            // Resolve species first; rows that fail never reach the store
+            const accepted = [];
+            rows.forEach(row => {
+                if (row.errors) {
+                    report.errors.push({ row: row.row, errors: row.errors });
+                    return;
+                }
+                const lookups = row.speciesNames.map(lookupSpecies);
+                const speciesCode = lookups.map(lookup => lookup.speciesCode).find(Boolean);
+                if (!speciesCode) {
+                    const candidates = lookups.flatMap(lookup => lookup.candidates);
+                    const message = !row.speciesNames.length ? "is required"
+                        : `${candidates.length ? "ambiguous" : "unknown"} species "${row.speciesNames.join('" / "')}"`;
+                    report.errors.push({ row: row.row, errors: [{ field: "species", message, ...(candidates.length && { candidates }) }] });
+                    return;
+                }
+                accepted.push({ row: row.row, input: { ...row, speciesCode } });
+            });
+
+            const results = await observationStore.addMany(accepted.map(({ input }) => input), {
+                source: `import:${format}`,
+                submittedBy: req.auth.keyId,
+            });
+            results.forEach((result, i) => {
+                if (result.error) {
+                    report.errors.push({ row: accepted[i].row, errors: result.error.details });
+                } else {
+                    report[result.duplicate ? "duplicates" : "imported"]++;
+                }
+            });
+            report.failed = report.errors.length;
+            report.errors.sort((a, b) => a.row - b.row);
+
+            res.json(report);
+        } catch (error) {
+            console.error("Error importing observations:", error);
+            res.status(500).json({ error: "Failed to import observations." });
+        }
+    }
+);
+
+// Stream stored observations as csv|geojson|gpx|ebird, with the same filters as /observations
+app.get("/observations/export", requireScope("read"), (req, res) => {
+    const format = req.query.format || "csv";
+    if (!FORMATS[format]) {
+        return res.status(400).json({ error: `Unknown export format. Use one of: ${Object.keys(FORMATS).join(", ")}.` });
+    }
+
+    const { filters, status, error, candidates } = parseObservationFilters(req.query);
+    if (error) {
+        return res.status(status).json({ error, candidates });
+    }
+
+    const { observations } = observationStore.query({ ...filters, limit: Infinity });
+    const { contentType, extension } = FORMATS[format];
+    const filename = `observations${format === "ebird" ? "-ebird" : ""}.${extension}`;
+
+    res.setHeader("Content-Type", `${contentType}; charset=utf-8`);
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    Readable.from(serializeObservations(format, observations, code => speciesIndex.getByCode(code)))
+        .on("error", (streamError) => {
+            console.error("Error exporting observations:", streamError);
+            res.destroy(streamError);
+        })
+        .pipe(res);
+});
+
+app.get("/observations/:id", requireScope("read"), (req, res) => {
+    const observation = observationStore.get(req.params.id);
+    if (!observation) {
+        return res.status(404).json({ error: "Observation not found." });
+    }
+    res.json(observation);
+});
+
+app.get("/observations/:id/photo", requireScope("read"), (req, res) => {
+    const observation = observationStore.get(req.params.id);
+    if (!observation?.photo) {
+        return res.status(404).json({ error: "Photo not found." });
+    }
+    res.type("image/jpeg");
+    res.sendFile(observationPhotoPath(observation), (error) => {
+        if (error && !res.headersSent) {
+            res.status(error.status || 500).json({ error: "Failed to send photo." });
+        }
+    });
+});
+
+// Review a submission: { action: "approve" | "reject" | "reidentify", species (for reidentify), note }
+// Every decision is appended to the review log; reviewers cannot review their own submissions
+app.post("/observations/:id/review", requireScope("review"), express.json(), async (req, res) => {
+    const { action, species, note } = req.body || {};
+    const observation = observationStore.get(req.params.id);
+    if (!observation) {
+        return res.status(404).json({ error: "Observation not found." });
+    }
+    if (!REVIEW_ACTIONS.includes(action)) {
+        return res.status(400).json({ error: `action must be one of ${REVIEW_ACTIONS.join(", ")}.` });
+    }
+    if (observation.submittedBy && observation.submittedBy === req.auth.keyId && req.auth.keyId !== "admin") {
+        return res.status(403).json({ error: "Reviewers cannot review their own submissions." });
+    }
+
+    let speciesCode;
+    if (action === "reidentify") {
+        if (!species) {
+            return res.status(400).json({ error: "reidentify needs a species." });
+        }
+        let candidates;
+        ({ speciesCode, candidates } = lookupSpecies(String(species)));
+        if (!speciesCode) {
+            const { status, error } = speciesLookupError(String(species), candidates);
+            return res.status(status).json({ error, candidates });
+        }
+    }
+
+    try {
+        const { observation: reviewed, previous } = await observationStore.review(observation.id, {
+            action,
+            speciesCode,
+            reviewer: req.auth.keyId,
+        });
+        const entry = await reviewLog.append({
+            observationId: reviewed.id,
+            action,
+            reviewer: req.auth.keyId,
+            reviewerName: req.auth.name,
+            previousStatus: previous.status,
+            status: reviewed.status,
+            previousSpeciesCode: previous.speciesCode,
+            speciesCode: reviewed.speciesCode,
+            note: typeof note === "string" && note.trim() ? note.trim() : null,
+        });
+        res.json({ observation: reviewed, review: entry });
+    } catch (error) {
+        if (error instanceof ObservationReviewError) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error("Error reviewing observation:", error);
+        res.status(500).json({ error: "Failed to review observation." });
+    }
+});
+
+app.get("/observations/:id/history", requireScope("review"), (req, res) => {
+    const observation = observationStore.get(req.params.id);
+    if (!observation) {
+        return res.status(404).json({ error: "Observation not found." });
+    }
+    const { entries } = reviewLog.list({ observationId: observation.id, limit: Infinity });
+    res.json({ observation, reviews: entries });
+});
+
+// The review log, newest first: ?reviewer=&action=&observationId=&limit=&offset=
+app.get("/reviews", requireScope("review"), (req, res) => {
+    const { reviewer, action, observationId } = req.query;
+    if (action && !REVIEW_ACTIONS.includes(action)) {
+        return res.status(400).json({ error: `action must be one of ${REVIEW_ACTIONS.join(", ")}.` });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const { total, entries } = reviewLog.list({ reviewer, action, observationId, limit, offset });
+    res.json({ total, limit, offset, reviews: entries });
+});
+
+// Validate the shared ?quality=&type= sound filters; returns an error message or null
+const soundFilterError = ({ quality, type }) => {
+    if (quality && !QUALITY_ORDER.includes(String(quality).toUpperCase())) {
+        return `quality must be one of ${QUALITY_ORDER.join(", ")}.`;
+    }
+    if (type && !SOUND_TYPES.includes(type)) {
+        return `type must be one of ${SOUND_TYPES.join(", ")}.`;
+    }
+    return null;
+};
+
+// List stored recordings: ?species=&quality=B&type=song&fetch=true (fetch downloads missing ones first)
+app.get("/sounds", requireScope("read"), async (req, res) => {
+    const { species, quality, type, fetch } = req.query;
+
+    const filterError = soundFilterError(req.query);
+    if (filterError) {
+        return res.status(400).json({ error: filterError });
+    }
+
+    let speciesCode;
+    if (species) {
+        let candidates;
+        ({ speciesCode, candidates } = lookupSpecies(species));
+        if (!speciesCode) {
+            const { status, error } = speciesLookupError(species, candidates);
+            return res.status(status).json({ error, candidates });
+        }
+    }
+
+    try {
+        if (fetch === "true") {
+            if (!speciesCode) {
+                return res.status(400).json({ error: "fetch=true requires a species." });
+            }
+            const { sciName, comName } = speciesIndex.getByCode(speciesCode);
+            await soundLibrary.fetchSpecies({ speciesCode, sciName, comName }, { quality, type });
+        }
+
+        const recordings = soundLibrary.list({ speciesCode, quality, type }).map(publicRecording);
+        res.json({ count: recordings.length, recordings });
+    } catch (error) {
+        console.error("Error listing sounds:", error);
+        res.status(502).json({ error: `Failed to fetch recordings: ${error.message}` });
+    }
+});
+
+// Pre-warm the library: { species: ["Indian Peafowl", ...], perSpecies, quality, type }
+app.post("/sounds/prewarm", requireScope("write"), express.json(), (req, res) => {
+    const { species, perSpecies, quality, type } = req.body || {};
+
+    if (!Array.isArray(species) || species.length === 0) {
+        return res.status(400).json({ error: "species must be a non-empty array." });
+    }
+    const filterError = soundFilterError({ quality, type });
+    if (filterError) {
+        return res.status(400).json({ error: filterError });
+    }
+    if (prewarmStatus?.state === "running") {
+        return res.status(409).json({ error: "A pre-warm run is already in progress.", status: prewarmStatus });
+    }
+
+    const resolved = [];
+    const unknown = [];
+    species.forEach(name => {
+        const { speciesCode, candidates } = lookupSpecies(String(name));
+        if (speciesCode) resolved.push(speciesIndex.getByCode(speciesCode));
+        else unknown.push({ name, candidates });
+    });
+
+    const limit = Math.min(Math.max(parseInt(perSpecies) || 5, 1), MAX_PER_SPECIES);
+    prewarmStatus = { state: "running", requestedBy: req.auth.keyId, startedAt: new Date().toISOString(), species: resolved.map(s => s.speciesCode), unknown, results: [] };
+    const run = prewarmStatus;
+
+    soundLibrary.prewarm(resolved, { limit, quality, type })
+        .then(results => Object.assign(run, { state: "done", results }))
+        .catch(error => Object.assign(run, { state: "failed", error: error.message }))
+        .finally(() => { run.finishedAt = new Date().toISOString(); });
+
+    res.status(202).json(prewarmStatus);
+});
+
+app.get("/sounds/prewarm", requireScope("read"), (req, res) => {
+    res.json(prewarmStatus || { state: "idle" });
+});
+
+// Reference library used by /classify-sound; ?sync=true extracts features for new recordings first
+app.get("/sounds/reference", requireScope("read"), async (req, res) => {
+    try {
+        const sync = req.query.sync === "true" ? await soundMatcher.sync() : undefined;
+        res.json({ ...soundMatcher.getStats(), ...(sync && { sync }) });
+    } catch (error) {
+        console.error("Error indexing sounds:", error);
+        res.status(500).json({ error: "Failed to index sound library." });
+    }
+});
+
+// Serve a stored recording; express handles Range requests (206 partial content)
+app.get("/sounds/:id", requireScope("read"), (req, res) => {
+    const recording = soundLibrary.get(req.params.id);
+    if (!recording) {
+        return res.status(404).json({ error: "Recording not found." });
+    }
+
+    res.type(recording.contentType);
+    res.sendFile(soundLibrary.filePath(recording), { acceptRanges: true }, (error) => {
+        if (error && !res.headersSent) {
+            res.status(error.status || 500).json({ error: "Failed to send recording." });
+        }
+    });
+});
+
+// Upstream cache statistics, plus fixture use when recording or replaying
+app.get("/cache/stats", requireScope("read"), async (req, res) => {
+    res.json({ ...await httpCache.getStats(), upstream: upstream.getStats() });
+});
+
+// eBird sightings from cached eBird responses, by species
+const ebirdSightings = new SightingIndex({ httpCache });
+
+// Species range as a GeoJSON grid for Leaflet heatmaps and month-by-month animation.
+// ?species=&grid=hex|square&cellSize=(degrees)&month=1-12&byMonth=false&ebird=false plus the /observations filters
+app.get("/range", requireScope("read"), async (req, res) => {
+    const { filters, status, error, candidates } = parseObservationFilters(req.query);
+    if (error) {
+        return res.status(status).json({ error, candidates });
+    }
+    if (!filters.speciesCode) {
+        return res.status(400).json({ error: "species is required." });
+    }
+
+    const grid = req.query.grid || "hex";
+    if (!GRID_TYPES.includes(grid)) {
+        return res.status(400).json({ error: `grid must be one of ${GRID_TYPES.join(", ")}.` });
+    }
+    const cellSize = req.query.cellSize ? Number(req.query.cellSize) : DEFAULT_CELL_SIZE;
+    if (!Number.isFinite(cellSize) || cellSize < MIN_CELL_SIZE || cellSize > MAX_CELL_SIZE) {
+        return res.status(400).json({ error: `cellSize must be between ${MIN_CELL_SIZE} and ${MAX_CELL_SIZE} degrees.` });
+    }
+    const month = req.query.month ? Number(req.query.month) : null;
+    if (month !== null && !(Number.isInteger(month) && month >= 1 && month <= 12)) {
+        return res.status(400).json({ error: "month must be 1-12." });
+    }
+    const byMonth = req.query.byMonth !== "false";
+    const includeEbird = req.query.ebird !== "false";
+
+    try {
+        const { observations } = observationStore.query({ ...filters, limit: Infinity });
+        const points = observations.map(observation => ({
+            latitude: observation.latitude,
+            longitude: observation.longitude,
+            date: observation.observationDate,
+            source: "local",
+        }));
+
+        if (includeEbird) {
+            const fromDay = filters.from && new Date(filters.from).toISOString().slice(0, 10);
+            const toDay = filters.to && new Date(filters.to).toISOString().slice(0, 10);
+            (await ebirdSightings.sightings(filters.speciesCode))
+                .filter(obs =>
+                    (!filters.bbox || inBoundingBox({ latitude: obs.lat, longitude: obs.lng }, filters.bbox)) &&
+                    (!fromDay || obs.obsDt.slice(0, 10) >= fromDay) &&
+                    (!toDay || obs.obsDt.slice(0, 10) <= toDay)
+                )
+                .forEach(obs => points.push({
+                    latitude: obs.lat,
+                    longitude: obs.lng,
+                    date: obs.obsDt,
+                    source: "ebird",
+                    individuals: obs.howMany,
+                }));
+        }
+
+        const selected = month === null ? points : points.filter(point => parseInt(String(point.date).slice(5, 7)) === month);
+        const collection = aggregateGrid(selected, { grid, cellSize, byMonth });
+        const taxon = speciesIndex.getByCode(filters.speciesCode);
+
+        res.type(FORMATS.geojson.contentType).send(JSON.stringify({
+            ...collection,
+            metadata: {
+                speciesCode: filters.speciesCode,
+                comName: taxon?.comName ?? null,
+                sciName: taxon?.sciName ?? null,
+                grid,
+                cellSize,
+                byMonth,
+                month,
+                statuses: filters.status,
+                sightings: {
+                    local: selected.filter(point => point.source === "local").length,
+                    ebird: selected.filter(point => point.source === "ebird").length,
+                },
+                cells: collection.features.length,
+            },
+        }));
+    } catch (error) {
+        console.error("Error building range grid:", error);
+        res.status(500).json({ error: "Failed to build range grid." });
+    }
+});
+
+// Ranked species search / autocomplete
+app.get("/species/search", requireScope("read"), (req, res) => {
+    const { q, limit } = req.query;
+
+    if (!q || !String(q).trim()) {
+        return res.status(400).json({ error: "Query parameter 'q' is required." });
+    }
+
+    const maxResults = Math.min(Math.max(parseInt(limit) || 10, 1), 50);
+    const results = speciesIndex.search(q, { limit: maxResults });
+    res.json({ query: q, count: results.length, results });
+});
+
 // Predict migration path endpoint
-app.get("/predict-migration", async (req, res) => {
+app.get("/predict-migration", requireScope("read"), async (req, res) => {
     const { species, periods } = req.query; // Number of periods to forecast
 
+    // Unreviewed sightings only join the training data when asked for (?status=verified,pending)
+    const { statuses, error } = parseStatusFilter(req.query.status);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
     try {
         // 1. Get species code
-        const speciesCode = getSpeciesCode(species);
+        const { speciesCode, candidates } = lookupSpecies(species);
         if (!speciesCode) {
-            return res.status(404).json({ error: "Species not found." });
+            const { status, error } = speciesLookupError(species, candidates);
+            return res.status(status).json({ error, candidates });
         }
 
         // 2. Load historical data
-        const historicalData = await loadHistoricalData(speciesCode);
+        const historicalData = await loadHistoricalData(speciesCode, statuses);
         if (!historicalData || historicalData.length === 0) {
             return res.status(404).json({ error: "No historical data found for this species." });
         }
@@ -227,105 +1013,254 @@ app.get("/predict-migration", async (req, res) => {
         }
 
         // 4. Predict migration path
-        const numPeriods = parseInt(periods) || 365;  // Default to 365 days if not provided
+        const numPeriods = Math.min(parseInt(periods) || 365, MAX_PERIODS);  // Default to 365 days if not provided
         const migrationPath = await predictMigrationPath(model, numPeriods);
 
         // 5. Return the predicted path
-        res.json({ migrationPath });
+        res.json({ speciesCode, statuses, migrationPath, model: model.summary() });
     } catch (error) {
+        if (error instanceof InsufficientDataError) {
+            return res.status(422).json({ error: error.message, details: error.details });
+        }
         console.error("Error predicting migration:", error);
         res.status(500).json({ error: "Failed to predict migration." });
     }
 });
 
-// Image classification endpoint with sound integration
-app.post("/classify-bird", upload.single("image"), async (req, res) => {
-    let imagePath;
+// Month-by-month centre of verified sightings, plus the forecaster's fit when there is enough data
+async function migrationSummary(speciesCode) {
+    const { observations } = observationStore.query({ speciesCode, status: ["verified"], limit: Infinity });
+    const months = Array.from({ length: 12 }, (_, i) => ({ month: i + 1, observations: 0, latitude: null, longitude: null }));
+
+    const sums = months.map(() => ({ latitude: 0, sin: 0, cos: 0 }));
+    observations.forEach(({ latitude, longitude, observationDate }) => {
+        const index = parseInt(observationDate.slice(5, 7)) - 1;
+        const radians = longitude * Math.PI / 180;
+        months[index].observations++;
+        sums[index].latitude += latitude;
+        sums[index].sin += Math.sin(radians);
+        sums[index].cos += Math.cos(radians);
+    });
+    months.forEach((month, i) => {
+        if (month.observations === 0) return;
+        // Circular mean so sightings either side of the antimeridian do not average to 0
+        month.latitude = Math.round(sums[i].latitude / month.observations * 1e4) / 1e4;
+        month.longitude = Math.round(Math.atan2(sums[i].sin, sums[i].cos) * 180 / Math.PI * 1e4) / 1e4;
+    });
+
+    let model = null;
+    let forecastUnavailable = null;
     try {
-        // Validate upload
-        if (!req.file) {
-            throw new Error("No image uploaded");
-        }
-
-        // Process image
-        imagePath = path.resolve(req.file.path);
-        const imageBuffer = fs.readFileSync(imagePath);
-        const base64Image = imageBuffer.toString("base64");
-        const ext = path.extname(req.file.originalname).toLowerCase();
-        const mimeType = {
-            ".jpg": "image/jpeg",
-            ".jpeg": "image/jpeg",
-            ".png": "image/png",
-            ".webp": "image/webp",
-        }[ext] || "image/jpeg";
-
-        // Send to OpenAI
-        const openaiResponse = await openai.chat.completions.create({
-            model: "gpt-4o",
-            messages: [
-                {
-                    role: "user",
-                    content: [
-                        {
-                            type: "text",
-                            text: "Identify the bird species in this image. Provide response in format:\nSpecies: [name]\nDescription: [detailed description]\nLifespan: [Lifespan]\nCommonFood: [Common Food]\nCommonPredators: [Common Predators]\nScientificName: [scientific name]",
-                        },
-                        {
-                            type: "image_url",
-                            image_url: {
-                                url: `data:${mimeType};base64,${base64Image}`,
-                            },
-                        },
-                    ],
-                },
-            ],
-            max_tokens: 500,
-            temperature: 0.2,
-        });
+        const trained = await trainProphetModel(await loadHistoricalData(speciesCode));
+        model = trained ? trained.summary() : null;
+        if (!trained) forecastUnavailable = "No verified observations for this species.";
+    } catch (error) {
+        if (!(error instanceof InsufficientDataError)) throw error;
+        forecastUnavailable = error.message;
+    }
+
+    return {
+        observations: observations.length,
+        firstDate: observations[0]?.observationDate ?? null,
+        lastDate: observations[observations.length - 1]?.observationDate ?? null,
+        months,
+        model,
+        forecastUnavailable,
+        forecastUrl: `/predict-migration?species=${encodeURIComponent(speciesCode)}`,
+    };
+}
 
-        // Process OpenAI response
-        const content = openaiResponse.choices[0]?.message?.content;
-        if (!content) throw new Error("No classification received");
+// Everything known about one species. ?lat=&lng=&dist= adds live eBird sightings around a point;
+// otherwise eBird sightings come from the cache. ?limit= caps each sightings list (default 10)
+app.get("/species/:speciesCode", requireScope("read"), async (req, res) => {
+    const taxon = speciesIndex.getByCode(req.params.speciesCode);
+    if (!taxon) {
+        return res.status(404).json({ error: "Species not found." });
+    }
+    const { speciesCode, sciName, comName } = taxon;
+    const { lat, lng, dist } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 10, 1), 100);
 
-        // Robust parsing using field mapping
-        const fields = {};
-        content.split('\n').forEach(line => {
-            const [key, ...valueParts] = line.split(':');
-            if (key && valueParts.length) {
-                fields[key.trim()] = valueParts.join(':').trim();
-            }
+    try {
+        const { observations } = observationStore.query({ speciesCode, status: ["verified"], limit: Infinity });
+        const liveEbird = lat && lng && dist && EBIRD_API_KEY;
+
+        // Upstream sections fail on their own; the rest of the profile is still returned
+        const [soundUrls, images, ebird, migration] = await Promise.allSettled([
+            getSoundUrls(speciesCode, sciName),
+            getBirdAndNestImages(sciName),
+            liveEbird ? fetchRecentEbird(speciesCode, { lat, lng, dist }) : ebirdSightings.sightings(speciesCode),
+            migrationSummary(speciesCode),
+        ]);
+        const unavailable = Object.fromEntries(
+            Object.entries({ sounds: soundUrls, images, ebird, migration })
+                .filter(([, result]) => result.status === "rejected")
+                .map(([section, result]) => [section, result.reason.message])
+        );
+
+        res.json({
+            speciesCode,
+            comName,
+            sciName,
+            category: taxon.category,
+            profile: speciesProfiles.get(speciesCode),
+            sounds: {
+                urls: soundUrls.value ?? [],
+                recordings: soundLibrary.list({ speciesCode }).map(publicRecording),
+            },
+            images: {
+                bird: images.value?.birdImages ?? [],
+                nest: images.value?.nestImages ?? [],
+            },
+            sightings: {
+                local: observations.slice(-limit).reverse(),
+                ebird: (ebird.value ?? [])
+                    .slice()
+                    .sort((a, b) => String(b.obsDt).localeCompare(String(a.obsDt)))
+                    .slice(0, limit)
+                    .map(obs => ({
+                        locName: obs.locName ?? null,
+                        obsDt: obs.obsDt,
+                        lat: obs.lat,
+                        lng: obs.lng,
+                        howMany: obs.howMany ?? null,
+                    })),
+                ebirdSource: liveEbird ? "live" : "cache",
+            },
+            migration: migration.value ?? null,
+            unavailable,
         });
+    } catch (error) {
+        console.error("Error building species profile:", error);
+        res.status(500).json({ error: "Failed to load species profile." });
+    }
+});
 
-        // Validate required fields
-        const requiredFields = ['Species', 'Description', 'Lifespan', 'CommonFood', 'CommonPredators', 'ScientificName'];
-        const missingFields = requiredFields.filter(field => !(field in fields));
+// Write or correct a species' profile text: { description, lifespan, commonFood, commonPredators }
+app.put("/species/:speciesCode/profile", requireScope("write"), express.json(), async (req, res) => {
+    const taxon = speciesIndex.getByCode(req.params.speciesCode);
+    if (!taxon) {
+        return res.status(404).json({ error: "Species not found." });
+    }
 
-        if (missingFields.length > 0) {
-            throw new Error(`Missing fields in response: ${missingFields.join(', ')}`);
+    try {
+        const profile = await speciesProfiles.write(taxon.speciesCode, req.body || {}, { editor: req.auth.keyId });
+        res.json(profile);
+    } catch (error) {
+        if (error instanceof ProfileValidationError) {
+            return res.status(400).json({ error: error.message, details: error.details });
         }
+        console.error("Error saving species profile:", error);
+        res.status(500).json({ error: "Failed to save species profile." });
+    }
+});
 
-        const {
-            Species: species,
-            Description: description,
-            Lifespan: lifespan,
-            CommonFood: commonFood,
-            CommonPredators: commonPredators,
-            ScientificName: scientificName,
-        } = fields;
-
-        // Get bird sound from Xeno-Canto using scientific name
-        const xenoCantoResponse = await axios.get(
-            `https://xeno-canto.org/api/2/recordings?query=${scientificName}`
+// Classify a processed image, answering from the memo when the same or a near-identical image was seen before
+async function classifyImage({ image, hashes, fresh = false }) {
+    const remembered = fresh ? null : classificationMemo.lookup(classifier.name, hashes);
+    if (remembered) {
+        classificationMemo.recordHit(remembered.entry);
+        return {
+            classification: remembered.entry.result,
+            memo: {
+                hit: true,
+                match: remembered.match,
+                distance: remembered.distance,
+                classifiedAt: remembered.entry.createdAt,
+            },
+        };
+    }
+
+    const classification = await classifier.classify({ buffer: image.buffer, mimeType: image.mimeType, sha256: hashes.sha256 });
+    await classificationMemo.remember(classifier.name, hashes, classification);
+    await speciesProfiles.learn(classification);
+    return { classification, memo: { hit: false } };
+}
+
+// Turn photo EXIF data into a sighting: "logged"/"duplicate" when logRequested, otherwise "suggested",
+// or "unavailable" with a reason when the photo or classification lacks what a sighting needs
+async function handlePhotoSighting({ exif, image, speciesCode, logRequested, submittedBy = null }) {
+    const missing = [];
+    if (!speciesCode) missing.push("species is not in the taxonomy");
+    if (exif.latitude === null) missing.push("photo has no GPS location");
+    if (!exif.capturedAt) missing.push("photo has no capture time");
+    if (missing.length > 0) {
+        return { status: "unavailable", reason: missing.join("; ") };
+    }
+
+    const suggestion = {
+        species: speciesCode,
+        latitude: exif.latitude,
+        longitude: exif.longitude,
+        observationDate: exif.capturedAt,
+    };
+    if (!logRequested) {
+        return { status: "suggested", suggestion };
+    }
+
+    try {
+        let { observation, duplicate } = await observationStore.add(
+            { ...suggestion, speciesCode },
+            { source: "photo-exif", submittedBy }
         );
+        // The classified photo goes to the reviewers with the pending sighting
+        if (!duplicate && image) {
+            observation = await saveObservationPhoto(observation, image);
+        }
+        return { status: duplicate ? "duplicate" : "logged", observation };
+    } catch (error) {
+        if (error instanceof ObservationValidationError) {
+            return { status: "unavailable", reason: "EXIF data failed validation", details: error.details };
+        }
+        throw error;
+    }
+}
 
-        // Find the first recording with good quality
-        const recordings = xenoCantoResponse.data.recordings?.slice(0, 3) || [];
-        const soundUrls = recordings.map(r => r.file).filter(Boolean);
-        const { birdImages, nestImages } = await getBirdAndNestImages(scientificName);
+// Image classification endpoint with sound integration
+app.post("/classify-bird", requireScope("classify"), upload.single("image"), async (req, res) => {
+    try {
+        // Validate upload
+        if (!req.file) {
+            return res.status(400).json({ success: false, error: "No image uploaded" });
+        }
+
+        // Read EXIF location/time, then downscale and strip metadata before classification
+        const { image, exif, hashes } = await processUpload(req.file.buffer, { maxDimension: IMAGE_MAX_DIMENSION });
+
+        // Only a readable image counts against the daily quota
+        if (!(await consumeClassificationQuota(req, res))) return;
+
+        // Classify with the configured provider, reusing an earlier result for the same image (?fresh=true skips that)
+        const { classification, memo } = await classifyImage({ image, hashes, fresh: String(req.query.fresh) === "true" });
+        const {
+            species,
+            speciesCode,
+            description,
+            lifespan,
+            commonFood,
+            commonPredators,
+            scientificName,
+            confidence,
+            provider,
+            candidates,
+        } = classification;
+
+        // Get bird sound using scientific name (group-level results may only have a common name)
+        const searchName = scientificName || species;
+        const soundUrls = await getSoundUrls(speciesCode, searchName);
+        const { birdImages, nestImages } = await getBirdAndNestImages(searchName);
+
+        // Offer (or, with logSighting=true, record) a sighting from the photo's EXIF data
+        const logRequested = String(req.body?.logSighting ?? req.query.logSighting) === "true";
+        const sighting = await handlePhotoSighting({ exif, image, speciesCode, logRequested, submittedBy: req.auth.keyId });
 
         res.json({
             success: true,
+            provider,
             species,
+            speciesCode,
+            confidence,
+            candidates,
             description,
             scientificName,
             lifespan,
@@ -336,23 +1271,260 @@ app.post("/classify-bird", upload.single("image"), async (req, res) => {
                 bird: birdImages,
                 nest: nestImages
             },
+            memo,
+            photo: {
+                width: image.width,
+                height: image.height,
+                originalWidth: image.originalWidth,
+                originalHeight: image.originalHeight,
+                capturedAt: exif.capturedAt,
+                camera: exif.camera,
+                hasLocation: exif.latitude !== null,
+            },
+            sighting,
         });
     } catch (error) {
         console.error("Error:", error);
-        res.status(500).json({
+        const status = error instanceof ClassifierError || error instanceof ImageProcessingError || error instanceof FixtureMissingError
+            ? error.statusCode
+            : 500;
+        res.status(status).json({
             success: false,
             error: error.message,
+            ...(error instanceof ClassificationValidationError && { details: error.details }),
+        });
+    }
+});
+
+// Batch jobs classify without fetching sounds/images; results carry EXIF data and sighting status
+const batchJobs = new BatchJobManager({
+    concurrency: parseInt(process.env.BATCH_CONCURRENCY) || 2,
+    // Uploads are decoded when the job is created, so each item is already a processUpload result
+    processItem: async ({ input }, { logSightings, submittedBy }) => {
+        const { image, exif, hashes } = input;
+        const { classification, memo } = await classifyImage({ image, hashes });
+        const sighting = await handlePhotoSighting({
+            exif,
+            image,
+            speciesCode: classification.speciesCode,
+            logRequested: logSightings,
+            submittedBy,
+        });
+        return { ...classification, memo, exif, sighting };
+    },
+});
+
+// Queue a batch classification job; poll /classify-batch/:id or stream /classify-batch/:id/events
+app.post("/classify-batch", requireScope("classify"), limitBatchRequest, batchUpload.fields([
+    { name: "images", maxCount: MAX_BATCH_ITEMS },
+    { name: "archive", maxCount: 1 },
+]), async (req, res) => {
+    try {
+        // The multer limit is sized for archives; single images keep the /classify-bird limit
+        const oversized = (req.files?.images || []).find(file => file.size > IMAGE_SIZE_LIMIT);
+        if (oversized) {
+            return res.status(413).json({ error: `${oversized.originalname} is larger than the 5MB limit for each image.` });
+        }
+
+        const files = (req.files?.images || []).map(file => ({ name: file.originalname, buffer: file.buffer }));
+        (req.files?.archive || []).forEach(archive => files.push(...extractImages(archive.buffer, { maxEntryBytes: IMAGE_SIZE_LIMIT })));
+
+        checkBatchSize(files.length);
+
+        // Decode everything first: unreadable files are reported in the job and only readable images use quota
+        const prepared = [];
+        for (const file of files) {
+            try {
+                prepared.push({ name: file.name, input: await processUpload(file.buffer, { maxDimension: IMAGE_MAX_DIMENSION }) });
+            } catch (error) {
+                if (!(error instanceof ImageProcessingError)) throw error;
+                prepared.push({ name: file.name, error: error.message });
+            }
+        }
+        const readable = prepared.filter(file => file.input).length;
+        if (readable === 0) {
+            return res.status(400).json({ error: "None of the images could be read." });
+        }
+
+        const logSightings = String(req.body?.logSighting ?? req.query.logSighting) === "true";
+        if (!(await consumeClassificationQuota(req, res, readable))) return;
+        const job = batchJobs.create(prepared, { logSightings, owner: req.auth.clientId, submittedBy: req.auth.keyId });
+
+        res.status(202).json({
+            ...BatchJobManager.summary(job),
+            statusUrl: `/classify-batch/${job.id}`,
+            eventsUrl: `/classify-batch/${job.id}/events`,
+            resultsUrl: `/classify-batch/${job.id}/results`,
         });
-    } finally {
-        // Cleanup uploaded file
-        if (imagePath && fs.existsSync(imagePath)) {
-            fs.unlinkSync(imagePath);
+    } catch (error) {
+        if (error instanceof BatchInputError) {
+            return res.status(error.statusCode).json({ error: error.message });
+        }
+        console.error("Error creating batch job:", error);
+        res.status(500).json({ error: "Failed to create batch job." });
+    }
+});
+
+// Jobs are only visible to the client that created them (and to admins)
+const canSeeJob = (req, job) => job.options.owner === req.auth.clientId || req.auth.scopes.includes("admin");
+
+app.get("/classify-batch/:id", requireScope("classify"), (req, res) => {
+    const job = batchJobs.get(req.params.id);
+    if (!job || !canSeeJob(req, job)) {
+        return res.status(404).json({ error: "Job not found." });
+    }
+    res.json(BatchJobManager.details(job));
+});
+
+// Server-Sent Events: a "status" snapshot, one "progress" event per image, then "done"
+app.get("/classify-batch/:id/events", requireScope("classify"), (req, res) => {
+    const job = batchJobs.get(req.params.id);
+    if (!job || !canSeeJob(req, job)) {
+        return res.status(404).json({ error: "Job not found." });
+    }
+
+    res.writeHead(200, {
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+    });
+    const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+    send("status", BatchJobManager.summary(job));
+    if (job.finishedAt) {
+        send("done", BatchJobManager.summary(job));
+        return res.end();
+    }
+
+    const onProgress = (data) => send("progress", data);
+    const onDone = (data) => {
+        send("done", data);
+        res.end();
+    };
+    job.events.on("progress", onProgress);
+    job.events.once("done", onDone);
+    req.on("close", () => {
+        job.events.off("progress", onProgress);
+        job.events.off("done", onDone);
+    });
+});
+
+// Combined results as JSON (default) or ?format=csv
+app.get("/classify-batch/:id/results", requireScope("classify"), (req, res) => {
+    const job = batchJobs.get(req.params.id);
+    if (!job || !canSeeJob(req, job)) {
+        return res.status(404).json({ error: "Job not found." });
+    }
+
+    if (req.query.format === "csv") {
+        res.setHeader("Content-Type", "text/csv; charset=utf-8");
+        res.setHeader("Content-Disposition", `attachment; filename="batch-${job.id}.csv"`);
+        return Readable.from(BatchJobManager.resultsCsv(job)).pipe(res);
+    }
+    res.json(BatchJobManager.details(job));
+});
+
+// Forget remembered classifications for a species so its next uploads are classified again
+app.delete("/classifications/memo/:species", requireScope("write"), async (req, res) => {
+    const { speciesCode, candidates } = lookupSpecies(req.params.species);
+    if (!speciesCode) {
+        const { status, error } = speciesLookupError(req.params.species, candidates);
+        return res.status(status).json({ error, candidates });
+    }
+
+    try {
+        const removed = await classificationMemo.invalidate({ speciesCode });
+        res.json({ speciesCode, removed });
+    } catch (error) {
+        console.error("Error invalidating classifications:", error);
+        res.status(500).json({ error: "Failed to invalidate classifications." });
+    }
+});
+
+// Identify a bird from a WAV/MP3/OGG recording by matching its spectrogram against the sound library.
+// ?species=code1,code2 limits the candidates; ?topK= sets how many are returned
+app.post("/classify-sound", requireScope("classify"), soundUpload.single("audio"), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({ success: false, error: "No recording uploaded" });
         }
+
+        let speciesCodes;
+        if (req.query.species) {
+            const names = String(req.query.species).split(",").map(name => name.trim()).filter(Boolean);
+            const lookups = names.map(lookupSpecies);
+            speciesCodes = lookups.map(lookup => lookup.speciesCode);
+            const unresolved = names.filter((_, i) => !speciesCodes[i]);
+            if (unresolved.length > 0) {
+                const candidates = lookups.flatMap(lookup => lookup.candidates);
+                return res.status(candidates.length > 0 ? 409 : 404).json({
+                    success: false,
+                    error: `Species not found or ambiguous: ${unresolved.join(", ")}`,
+                    candidates,
+                });
+            }
+        }
+
+        // Decode and summarise the recording (reference features are synced by syncSoundReferences)
+        const recording = await decodeAudio(req.file.buffer);
+        if (!(await consumeClassificationQuota(req, res))) return;
+        const { segments, activeSeconds } = extractFeatures(recording.samples);
+
+        const topK = parseInt(req.query.topK) || parseInt(process.env.CLASSIFIER_TOP_K) || DEFAULT_TOP_K;
+        const candidates = soundMatcher.match(segments, { topK, speciesCodes }).map(match => {
+            const entry = speciesIndex.getByCode(match.speciesCode);
+            return {
+                species: entry?.comName || match.comName || match.sciName,
+                scientificName: entry?.sciName || match.sciName,
+                confidence: match.confidence,
+                speciesCode: match.speciesCode,
+                taxonomyName: entry?.comName ?? null,
+                matchScore: entry ? 1 : null,
+                unknown: !entry,
+                similarity: match.similarity,
+                reference: `/sounds/${match.bestMatch}`,
+            };
+        });
+        const [{ species, speciesCode, scientificName, confidence }] = candidates;
+
+        const searchName = scientificName || species;
+        const soundUrls = await getSoundUrls(speciesCode, searchName);
+        const { birdImages, nestImages } = await getBirdAndNestImages(searchName);
+
+        res.json({
+            success: true,
+            provider: "spectrogram",
+            species,
+            speciesCode,
+            confidence,
+            candidates,
+            description: null,
+            scientificName,
+            lifespan: null,
+            commonFood: null,
+            commonPredators: null,
+            soundUrls,
+            images: {
+                bird: birdImages,
+                nest: nestImages
+            },
+            recording: {
+                duration: Math.round(recording.duration * 10) / 10,
+                sampleRate: recording.originalSampleRate,
+                channels: recording.channels,
+                activeSeconds,
+                segments: segments.length,
+            },
+        });
+    } catch (error) {
+        console.error("Error:", error);
+        const status = error instanceof ClassifierError || error instanceof AudioProcessingError ? error.statusCode : 500;
+        res.status(status).json({ success: false, error: error.message });
     }
 });
 
 // Updated /bird-locations endpoint
-app.get("/bird-locations", async (req, res) => {
+app.get("/bird-locations", requireScope("read"), async (req, res) => {
     const { species, lat, lng, dist } = req.query;
 
     // Initialize an object to hold the response data
@@ -384,20 +1556,13 @@ app.get("/bird-locations", async (req, res) => {
 
         // If lat, lng, and dist are provided, fetch observations
         if (lat && lng && dist) {
-            const apiResponse = await axios.get(
-                `https://api.ebird.org/v2/data/obs/geo/recent/${speciesCode || ''}`,
-                {
-                    params: {
-                        lat: parseFloat(lat),
-                        lng: parseFloat(lng),
-                        dist: parseInt(dist)
-                    },
-                    headers: { "X-eBirdApiToken": "nbne3sijs8r9" },
-                }
-            );
+            if (!EBIRD_API_KEY) {
+                return res.status(503).json({ ...responseData, success: false, error: "eBird API key is not configured (EBIRD_API_KEY)." });
+            }
+            const ebirdObservations = await fetchRecentEbird(speciesCode, { lat, lng, dist });
 
             // Map the observations to the desired format
-            responseData.observations = apiResponse.data.map(obs => ({
+            responseData.observations = ebirdObservations.map(obs => ({
                 comName: obs.comName,
                 locName: obs.locName,
                 obsDt: obs.obsDt,
@@ -417,36 +1582,283 @@ app.get("/bird-locations", async (req, res) => {
     }
 });
 
-// Add bird location to CSV
-app.post("/add-bird-location", express.json(), async (req, res) => {
-    const { species, latitude, longitude, observationDate } = req.body;
+// Sighting watches: a species (or "any") within radiusKm of a point, checked by a background poller.
+// New matches are POSTed to the watch's webhook; see the README for the payload and signature.
+const WATCH_LOOKBACK_DAYS = 14; // eBird's default window for recent observations
+// Webhooks go to public addresses only; WEBHOOK_ALLOWED_HOSTS narrows that to a list of hosts, and
+// WEBHOOK_ALLOW_PRIVATE=true lets them reach local and private networks (for the stand-in and trusted setups)
+const webhookPolicy = new WebhookPolicy({
+    allowedHosts: (process.env.WEBHOOK_ALLOWED_HOSTS || "").split(",").map(host => host.trim()).filter(Boolean),
+    allowPrivate: process.env.WEBHOOK_ALLOW_PRIVATE === 'true',
+});
+const watchStore = new WatchStore(process.env.WATCHES_FILE || path.join(__dirname, 'data', 'watches.json'), { webhookPolicy }).load();
+const webhookDeliveries = new AuditLog(
+    process.env.WEBHOOK_LOG_FILE || path.join(__dirname, 'data', 'webhook-deliveries.jsonl'),
+    { idPrefix: "att" }
+).load();
+const webhookDispatcher = new WebhookDispatcher({
+    log: webhookDeliveries,
+    policy: webhookPolicy,
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 4,
+    retryBaseMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 1000,
+});
 
-    if (!species || !latitude || !longitude || !observationDate) {
-        return res.status(400).json({ error: "Missing required fields." });
+// Recent eBird sightings and stored observations inside the watch circle; a failing source is reported, not fatal
+const findWatchMatches = async (watch) => {
+    const { speciesCode, latitude, longitude, radiusKm } = watch;
+    const matches = [];
+    const errors = {};
+    const within = (lat, lng) => {
+        const distanceKm = haversineKm(latitude, longitude, lat, lng);
+        return distanceKm <= radiusKm ? Math.round(distanceKm * 100) / 100 : null;
+    };
+
+    if (EBIRD_API_KEY) {
+        try {
+            const sightings = await fetchRecentEbird(speciesCode, { lat: latitude, lng: longitude, dist: Math.ceil(radiusKm) });
+            for (const sighting of sightings) {
+                const distanceKm = within(sighting.lat, sighting.lng);
+                if (distanceKm === null) continue;
+                matches.push({
+                    key: `ebird:${sighting.subId}:${sighting.speciesCode}`,
+                    source: "ebird",
+                    speciesCode: sighting.speciesCode,
+                    comName: sighting.comName,
+                    sciName: sighting.sciName,
+                    latitude: sighting.lat,
+                    longitude: sighting.lng,
+                    observationDate: sighting.obsDt,
+                    howMany: sighting.howMany ?? null,
+                    locationName: sighting.locName,
+                    checklistId: sighting.subId,
+                    distanceKm,
+                });
+            }
+        } catch (error) {
+            errors.ebird = error.message;
+        }
+    } else {
+        errors.ebird = "eBird API key is not configured (EBIRD_API_KEY).";
     }
 
-    try {
-        // Check if the species exists
-        const speciesCode = getSpeciesCode(species);
+    const from = new Date(Date.now() - WATCH_LOOKBACK_DAYS * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    const { observations } = observationStore.query({
+        speciesCode: speciesCode || undefined,
+        from,
+        status: watch.includePending ? ["pending", "verified"] : ["verified"],
+        limit: Infinity,
+    });
+    for (const observation of observations) {
+        const distanceKm = within(observation.latitude, observation.longitude);
+        if (distanceKm === null) continue;
+        const species = speciesIndex.getByCode(observation.speciesCode);
+        matches.push({
+            key: `local:${observation.id}`,
+            source: "local",
+            speciesCode: observation.speciesCode,
+            comName: species?.comName || null,
+            sciName: species?.sciName || null,
+            latitude: observation.latitude,
+            longitude: observation.longitude,
+            observationDate: observation.observationDate,
+            observationId: observation.id,
+            status: observation.status,
+            distanceKm,
+        });
+    }
+
+    return { matches, errors };
+};
+
+const watchPoller = new WatchPoller({
+    store: watchStore,
+    dispatcher: webhookDispatcher,
+    findMatches: findWatchMatches,
+    intervalMs: (parseInt(process.env.WATCH_POLL_INTERVAL) || 15 * 60) * 1000,
+});
+if (process.env.WATCH_POLLER !== 'false') watchPoller.start();
+
+const canSeeWatch = (req, watch) => watch.owner === req.auth.clientId || req.auth.scopes.includes("admin");
+
+// Body: { name, species ("any" or a name/code), latitude, longitude, radiusKm, webhookUrl, includePending }
+// The webhook secret is returned here and in GET /watches/:id
+app.post("/watches", requireScope("write"), express.json(), async (req, res) => {
+    const { species, ...input } = req.body || {};
+    let speciesCode = null;
+    if (species && species !== "any") {
+        let candidates;
+        ({ speciesCode, candidates } = lookupSpecies(String(species)));
         if (!speciesCode) {
-            return res.status(404).json({ error: "Species not found." });
+            const { status, error } = speciesLookupError(String(species), candidates);
+            return res.status(status).json({ error, candidates });
         }
+    }
 
-        // Append the data to the CSV file
-        const csvLine = `${speciesCode},${latitude},${longitude},${observationDate}\n`;
-        fs.appendFile(HISTORICAL_DATA_FILE, csvLine, (err) => {
-            if (err) {
-                console.error("Failed to append to historical data file:", err);
-                return res.status(500).json({ error: "Failed to save data." });
-            }
+    try {
+        const watch = await watchStore.create({ ...input, speciesCode }, { owner: req.auth.clientId });
+        res.status(201).json(WatchStore.view(watch));
+    } catch (error) {
+        if (error instanceof WatchValidationError) {
+            return res.status(400).json({ error: error.message, details: error.details });
+        }
+        console.error("Error creating watch:", error);
+        res.status(500).json({ error: "Failed to create watch." });
+    }
+});
 
-            console.log(`Added bird location data for ${species}.`);
-            res.json({ message: "Bird location data added successfully." });
-        });
+// The caller's watches (every watch for admins)
+app.get("/watches", requireScope("write"), (req, res) => {
+    const owner = req.auth.scopes.includes("admin") ? undefined : req.auth.clientId;
+    const watches = watchStore.list({ owner }).map(WatchStore.view);
+    res.json({ count: watches.length, watches, lastPoll: watchPoller.lastRun });
+});
+
+// Admin: poll every watch now instead of waiting for the next interval
+app.post("/watches/poll", requireScope("admin"), async (req, res) => {
+    try {
+        res.json(await watchPoller.pollAll());
     } catch (error) {
-        console.error("Error adding bird location:", error);
-        res.status(500).json({ error: "Failed to add bird location." });
+        console.error("Error polling watches:", error);
+        res.status(500).json({ error: "Failed to poll watches." });
+    }
+});
+
+app.get("/watches/:id", requireScope("write"), (req, res) => {
+    const watch = watchStore.get(req.params.id);
+    if (!watch || !canSeeWatch(req, watch)) {
+        return res.status(404).json({ error: "Watch not found." });
+    }
+    res.json(WatchStore.view(watch));
+});
+
+app.delete("/watches/:id", requireScope("write"), async (req, res) => {
+    const watch = watchStore.get(req.params.id);
+    if (!watch || !canSeeWatch(req, watch)) {
+        return res.status(404).json({ error: "Watch not found." });
+    }
+    try {
+        await watchStore.remove(watch.id);
+        res.json({ deleted: watch.id });
+    } catch (error) {
+        console.error("Error deleting watch:", error);
+        res.status(500).json({ error: "Failed to delete watch." });
+    }
+});
+
+// Delivery attempts for a watch, newest first: ?delivered=true|false&limit=&offset=
+app.get("/watches/:id/deliveries", requireScope("write"), (req, res) => {
+    const watch = watchStore.get(req.params.id);
+    if (!watch || !canSeeWatch(req, watch)) {
+        return res.status(404).json({ error: "Watch not found." });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), MAX_PAGE_SIZE);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const delivered = req.query.delivered === undefined ? undefined : req.query.delivered === "true";
+    res.json({ limit, offset, ...webhookDeliveries.list({ watchId: watch.id, delivered, limit, offset }) });
+});
+
+// Send a "test" event to the webhook (with the usual retries) to check the receiver
+app.post("/watches/:id/test", requireScope("write"), async (req, res) => {
+    const watch = watchStore.get(req.params.id);
+    if (!watch || !canSeeWatch(req, watch)) {
+        return res.status(404).json({ error: "Watch not found." });
+    }
+    try {
+        // A single attempt, so the caller gets an answer now instead of after the whole backoff
+        const result = await webhookDispatcher.deliver(watch, "test", { matches: [] }, { maxAttempts: 1 });
+        res.status(result.delivered ? 200 : 502).json(result);
+    } catch (error) {
+        console.error("Error sending test webhook:", error);
+        res.status(500).json({ error: "Failed to send test webhook." });
+    }
+});
+
+// The caller's own key: scopes, limits and today's classification count
+app.get("/auth/key", (req, res) => {
+    const { keyId, name, scopes, rateLimit, key } = req.auth;
+    res.json({
+        id: keyId,
+        name,
+        scopes,
+        rateLimit,
+        ...(key && { dailyQuota: key.dailyQuota, usage: key.usage }),
+        ...(!keyId && { dailyQuota: ANONYMOUS.dailyQuota }),
+    });
+});
+
+// Admin: issue, list, change and revoke API keys
+app.get("/admin/keys", requireScope("admin"), (req, res) => {
+    const keys = apiKeys.list().map(ApiKeyStore.view);
+    res.json({ count: keys.length, keys });
+});
+
+// Body: { name, scopes: ["read", "write", "classify", "admin"], rateLimit, dailyQuota } (null = unlimited)
+// The secret is only ever returned here
+app.post("/admin/keys", requireScope("admin"), express.json(), async (req, res) => {
+    try {
+        const { key, secret } = await apiKeys.create(req.body || {});
+        console.log(`API key ${key.id} (${key.name}) issued by ${req.auth.name}`);
+        res.status(201).json({ key: ApiKeyStore.view(key), secret });
+    } catch (error) {
+        if (error instanceof ApiKeyValidationError) {
+            return res.status(400).json({ error: error.message, details: error.details });
+        }
+        console.error("Error creating API key:", error);
+        res.status(500).json({ error: "Failed to create API key." });
+    }
+});
+
+app.get("/admin/keys/:id", requireScope("admin"), (req, res) => {
+    const key = apiKeys.get(req.params.id);
+    if (!key) {
+        return res.status(404).json({ error: "API key not found." });
+    }
+    res.json(ApiKeyStore.view(key));
+});
+
+app.patch("/admin/keys/:id", requireScope("admin"), express.json(), async (req, res) => {
+    try {
+        const key = await apiKeys.update(req.params.id, req.body || {});
+        if (!key) {
+            return res.status(404).json({ error: "API key not found." });
+        }
+        res.json(ApiKeyStore.view(key));
+    } catch (error) {
+        if (error instanceof ApiKeyValidationError) {
+            return res.status(400).json({ error: error.message, details: error.details });
+        }
+        console.error("Error updating API key:", error);
+        res.status(500).json({ error: "Failed to update API key." });
+    }
+});
+
+// Revoked keys stay listed so attributed records can still be traced
+app.delete("/admin/keys/:id", requireScope("admin"), async (req, res) => {
+    try {
+        const key = await apiKeys.revoke(req.params.id);
+        if (!key) {
+            return res.status(404).json({ error: "API key not found." });
+        }
+        console.log(`API key ${key.id} (${key.name}) revoked by ${req.auth.name}`);
+        res.json(ApiKeyStore.view(key));
+    } catch (error) {
+        console.error("Error revoking API key:", error);
+        res.status(500).json({ error: "Failed to revoke API key." });
+    }
+});
+
+// Upload errors (size limits, file filters) and unexpected errors are answered as JSON instead of Express's HTML page
+app.use((error, req, res, next) => {
+    if (error instanceof multer.MulterError || error.message?.startsWith("Invalid file type")) {
+        return res.status(400).json({ success: false, error: error.message });
+    }
+    // Client errors from body parsers (malformed JSON, oversized bodies) carry a safe message
+    if (error.expose && error.statusCode < 500) {
+        return res.status(error.statusCode).json({ success: false, error: error.message });
     }
+    // Anything else is logged here and never shown to the caller as a stack trace
+    console.error("Unhandled error:", error);
+    res.status(500).json({ success: false, error: "Internal server error." });
 });
 
 // Load taxonomy data on server start
@@ -0,0 +1,28 @@
+// Import the legacy historical_bird_data.csv into the observation store.
+// Usage: npm run migrate:observations [-- path/to/file.csv]
+import fs from "fs";
+import path from "path";
+import dotenv from "dotenv";
+import { fileURLToPath } from "url";
+import { ObservationStore } from "../services/observationStore.js";
+
+dotenv.config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const rootDir = path.join(__dirname, "..");
+
+const csvPath = path.resolve(process.argv[2] || path.join(rootDir, "historical_bird_data.csv"));
+const storePath = process.env.OBSERVATIONS_FILE || path.join(rootDir, "data", "observations.json");
+
+if (!fs.existsSync(csvPath)) {
+    console.error(`CSV file not found: ${csvPath}`);
+    process.exit(1);
+}
+
+const store = new ObservationStore(storePath).load();
+const report = await store.migrateCsv(csvPath);
+
+console.log(`Imported ${report.imported} observation(s), skipped ${report.duplicates} duplicate(s) into ${storePath}`);
+report.invalid.forEach(({ line, errors }) => {
+    console.warn(`Line ${line}: ${errors.map(error => `${error.field} ${error.message}`).join("; ")}`);
+});
@@ -0,0 +1,355 @@
+// End-to-end check of the main routes against the committed upstream fixtures (UPSTREAM_MODE=replay),
+// so it runs without API keys or network access. Every data file lives in a temporary directory.
+// Usage: npm test
+//        npm run fixtures:record   re-records fixtures/upstream from scratch. Every answer comes from the
+//                                  local stand-ins (scripts/watch-standin.js for eBird and
+//                                  scripts/upstream-standin.js for OpenAI, Xeno-Canto and Unsplash),
+//                                  which this starts; no real service is called.
+import assert from "assert/strict";
+import crypto from "crypto";
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+import AdmZip from "adm-zip";
+import { spawn } from "child_process";
+import { fileURLToPath } from "url";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const rootDir = path.join(__dirname, "..");
+
+const recording = process.argv.includes("--record");
+const PORT = parseInt(process.env.TEST_PORT) || 5099;
+const WEBHOOK_PORT = PORT - 1;
+const ADMIN_KEY = "replay-test-admin";
+const BASE_URL = `http://localhost:${PORT}`;
+// The stand-in ports are part of the fixture keys, so they are fixed
+const EBIRD_STANDIN = "localhost:5055";
+const UPSTREAM_STANDIN_PORT = 5056;
+const OPENAI_STANDIN = `localhost:${UPSTREAM_STANDIN_PORT}`;
+const XENO_CANTO_STANDIN = `localhost:${UPSTREAM_STANDIN_PORT + 1}`;
+const UNSPLASH_STANDIN = `localhost:${UPSTREAM_STANDIN_PORT + 2}`;
+const FIXTURES_DIR = path.join(rootDir, "fixtures", "upstream");
+const PHOTO = path.join(rootDir, "fixtures", "photos", "bird.jpg");
+const SECOND_PHOTO = path.join(rootDir, "fixtures", "photos", "bird-2.jpg");
+
+// Fixture directories (and /cache/stats services) are named after the host
+const serviceFor = (host) => host.replace(/[^\w.-]/g, "_");
+const SERVICES = ["openai", ...[EBIRD_STANDIN, XENO_CANTO_STANDIN, UNSPLASH_STANDIN].map(serviceFor)];
+
+// Sightings the stand-in serves while recording; replays must return exactly these
+const EBIRD_SIGHTINGS = [
+    { speciesCode: "amerob", lat: 40.7812, lng: -73.9665, howMany: 3, obsDt: "2026-04-12 07:30", locName: "Central Park" },
+    { speciesCode: "amerob", lat: 40.7527, lng: -73.9772, howMany: 1, obsDt: "2026-04-13 17:05", locName: "Bryant Park" },
+];
+
+// Baltimore Orioles over three months, enough for the forecaster
+const IMPORTED_SIGHTINGS = {
+    type: "FeatureCollection",
+    features: [
+        ["2026-04-20", 29.95, -90.07], ["2026-04-28", 32.30, -90.18], ["2026-05-06", 35.15, -90.05],
+        ["2026-05-15", 38.63, -90.20], ["2026-05-24", 41.88, -87.63], ["2026-06-02", 43.07, -89.40],
+    ].map(([date, latitude, longitude]) => ({
+        type: "Feature",
+        geometry: { type: "Point", coordinates: [longitude, latitude] },
+        properties: { species: "Baltimore Oriole", date },
+    })),
+};
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "bird-replay-"));
+const dataFile = (name) => path.join(dataDir, name);
+
+// Everything that shapes an upstream request is pinned, so a local .env cannot change the fixture keys
+const serverEnv = {
+    ...process.env,
+    PORT: String(PORT),
+    UPSTREAM_MODE: recording ? "record" : "replay",
+    FIXTURES_DIR,
+    CLASSIFIER_PROVIDER: "openai",
+    OPENAI_MODEL: "gpt-4o",
+    CLASSIFIER_TOP_K: "5",
+    OPENAI_BASE_URL: `http://${OPENAI_STANDIN}/v1`,
+    OPENAI_API_KEY: recording ? "standin" : "",
+    EBIRD_API_URL: `http://${EBIRD_STANDIN}/v2`,
+    EBIRD_API_KEY: recording ? "standin" : "",
+    XENO_CANTO_API_URL: `http://${XENO_CANTO_STANDIN}/api/2/recordings`,
+    UNSPLASH_API_URL: `http://${UNSPLASH_STANDIN}/search/photos`,
+    UNSPLASH_API_KEY: recording ? "standin" : "",
+    ADMIN_API_KEY: ADMIN_KEY,
+    WATCH_POLLER: "false",
+    WEBHOOK_ALLOW_PRIVATE: "true",
+    SOUND_LIBRARY_AUTOFETCH: "false",
+    CACHE_DIR: dataFile("cache"),
+    OBSERVATIONS_FILE: dataFile("observations.json"),
+    OBSERVATION_PHOTOS_DIR: dataFile("observation-photos"),
+    REVIEW_LOG_FILE: dataFile("review-log.jsonl"),
+    API_KEYS_FILE: dataFile("api-keys.json"),
+    CLASSIFICATION_MEMO_FILE: dataFile("classifications.json"),
+    SPECIES_PROFILES_FILE: dataFile("species-profiles.json"),
+    SOUNDS_DIR: dataFile("sounds"),
+    WATCHES_FILE: dataFile("watches.json"),
+    WEBHOOK_LOG_FILE: dataFile("webhook-deliveries.jsonl"),
+};
+
+const children = [];
+let serverLog = "";
+
+const start = (script, env) => {
+    const child = spawn(process.execPath, [path.join(rootDir, script)], { cwd: rootDir, env, stdio: ["ignore", "pipe", "pipe"] });
+    child.stdout.on("data", chunk => { serverLog += chunk; });
+    child.stderr.on("data", chunk => { serverLog += chunk; });
+    children.push(child);
+    return child;
+};
+
+// Resolves once the child prints `text`, so an unrelated process on the same port is never mistaken for it
+const waitForOutput = (child, text) => new Promise((resolve, reject) => {
+    let output = "";
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for "${text}"`)), 15000);
+    child.stdout.on("data", chunk => {
+        output += chunk;
+        if (output.includes(text)) {
+            clearTimeout(timer);
+            resolve();
+        }
+    });
+    child.on("exit", code => {
+        clearTimeout(timer);
+        reject(new Error(`Process exited with code ${code} before printing "${text}"`));
+    });
+});
+
+const api = async (method, route, { json, form, raw, type } = {}) => {
+    const contentType = json ? "application/json" : type;
+    const response = await fetch(`${BASE_URL}${route}`, {
+        method,
+        headers: { "x-api-key": ADMIN_KEY, ...(contentType && { "content-type": contentType }) },
+        body: form || raw || (json && JSON.stringify(json)),
+    });
+    const text = await response.text();
+    let body;
+    try {
+        body = JSON.parse(text);
+    } catch {
+        body = text;
+    }
+    return { status: response.status, body };
+};
+
+const photoForm = () => {
+    const form = new FormData();
+    form.append("image", new Blob([fs.readFileSync(PHOTO)], { type: "image/jpeg" }), "bird.jpg");
+    return form;
+};
+
+// Polls until check() returns something truthy
+const waitFor = async (description, check, timeoutMs = 15000) => {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        const result = await check();
+        if (result) return result;
+        if (Date.now() > deadline) throw new Error(`Timed out waiting for ${description}`);
+        await new Promise(resolve => setTimeout(resolve, 200));
+    }
+};
+
+// Webhook deliveries from the watch check land here
+const deliveries = [];
+const webhookReceiver = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => { body += chunk; });
+    req.on("end", () => {
+        deliveries.push({ signature: req.headers["x-watch-signature"], body });
+        res.end("ok");
+    });
+});
+
+const checks = [
+    ["POST /classify-bird classifies the photo, with sounds and photos", async () => {
+        const { status, body } = await api("POST", "/classify-bird", { form: photoForm() });
+        assert.equal(status, 200, JSON.stringify(body));
+        assert.equal(body.provider, "openai");
+        assert.equal(body.speciesCode, "amerob");
+        assert.equal(body.memo.hit, false);
+        assert.equal(body.soundUrls.length, 2);
+        assert.ok(body.soundUrls.every(url => url.startsWith(`http://${XENO_CANTO_STANDIN}/`)), body.soundUrls.join(", "));
+        assert.equal(body.images.bird.length, 8);
+        assert.equal(body.images.nest.length, 4);
+    }],
+    ["POST /classify-bird answers the same photo from the memo", async () => {
+        const { status, body } = await api("POST", "/classify-bird", { form: photoForm() });
+        assert.equal(status, 200, JSON.stringify(body));
+        assert.equal(body.memo.hit, true);
+    }],
+    ["GET /species/amerob includes the learned profile and recent eBird sightings", async () => {
+        const { status, body } = await api("GET", "/species/amerob?lat=40.77&lng=-73.97&dist=10");
+        assert.equal(status, 200, JSON.stringify(body));
+        assert.equal(body.comName, "American Robin");
+        assert.ok(body.profile, "profile was not learned from the classification");
+        assert.equal(body.sightings.ebird.length, EBIRD_SIGHTINGS.length);
+    }],
+    ["GET /range maps the cached eBird sightings", async () => {
+        const { status, body } = await api("GET", "/range?species=amerob&grid=square");
+        assert.equal(status, 200, JSON.stringify(body));
+        assert.equal(body.metadata.sightings.ebird, EBIRD_SIGHTINGS.length);
+    }],
+    ["GET /bird-locations lists eBird sightings around a point", async () => {
+        const { status, body } = await api("GET", "/bird-locations?species=American%20Robin&lat=40.76&lng=-73.98&dist=5");
+        assert.equal(status, 200, JSON.stringify(body));
+        assert.equal(body.success, true, body.error);
+        assert.deepEqual(body.observations.map(obs => obs.locName).sort(), EBIRD_SIGHTINGS.map(s => s.locName).sort());
+    }],
+    ["GET /sounds?fetch=true downloads Xeno-Canto recordings into the library", async () => {
+        const { status, body } = await api("GET", "/sounds?species=amerob&fetch=true");
+        assert.equal(status, 200, JSON.stringify(body));
+        assert.equal(body.count, 2);
+        assert.ok(body.recordings.every(recording => recording.speciesCode === "amerob" && recording.size > 0));
+    }],
+    ["POST /classify-sound matches a library recording to its species", async () => {
+        const { body: reference } = await api("GET", "/sounds/reference?sync=true");
+        assert.equal(reference.recordings, 2, JSON.stringify(reference));
+        const { body: { recordings: [recording] } } = await api("GET", "/sounds?species=amerob");
+        const audio = await (await fetch(`${BASE_URL}${recording.url}`, { headers: { "x-api-key": ADMIN_KEY } })).arrayBuffer();
+        const form = new FormData();
+        form.append("audio", new Blob([audio], { type: "audio/wav" }), "recording.wav");
+        const { status, body } = await api("POST", "/classify-sound", { form });
+        assert.equal(status, 200, JSON.stringify(body));
+        assert.equal(body.provider, "spectrogram");
+        assert.equal(body.speciesCode, "amerob");
+    }],
+    ["POST /observations/import reads a GeoJSON file", async () => {
+        const { status, body } = await api("POST", "/observations/import", {
+            raw: JSON.stringify(IMPORTED_SIGHTINGS),
+            type: "application/geo+json",
+        });
+        assert.equal(status, 200, JSON.stringify(body));
+        assert.equal(body.format, "geojson");
+        assert.equal(body.imported, IMPORTED_SIGHTINGS.features.length, JSON.stringify(body.errors));
+    }],
+    ["GET /observations/export writes the imported sightings back out", async () => {
+        const { status, body } = await api("GET", "/observations/export?format=geojson&species=balori&status=pending");
+        assert.equal(status, 200, JSON.stringify(body));
+        assert.equal(body.features.length, IMPORTED_SIGHTINGS.features.length);
+    }],
+    ["GET /predict-migration forecasts from the imported sightings", async () => {
+        const { status, body } = await api("GET", "/predict-migration?species=balori&status=verified,pending&periods=30");
+        assert.equal(status, 200, JSON.stringify(body));
+        assert.equal(body.speciesCode, "balori");
+        assert.equal(body.migrationPath.length, 30);
+    }],
+    ["POST /classify-batch classifies uploaded and zipped photos", async () => {
+        const zip = new AdmZip();
+        zip.addFile("photos/bird.jpg", fs.readFileSync(PHOTO));
+        const form = new FormData();
+        form.append("images", new Blob([fs.readFileSync(SECOND_PHOTO)], { type: "image/jpeg" }), "bird-2.jpg");
+        form.append("archive", new Blob([zip.toBuffer()], { type: "application/zip" }), "photos.zip");
+        const { status, body } = await api("POST", "/classify-batch", { form });
+        assert.equal(status, 202, JSON.stringify(body));
+        assert.equal(body.total, 2);
+
+        const job = await waitFor("the batch job", async () => {
+            const { body: details } = await api("GET", body.statusUrl);
+            return details.finishedAt && details;
+        });
+        assert.equal(job.completed, 2, JSON.stringify(job.items));
+        assert.ok(job.items.every(item => item.result.speciesCode === "amerob"));
+    }],
+    ["POST /watches/poll sends new sightings to the watch's webhook", async () => {
+        const { status, body: watch } = await api("POST", "/watches", {
+            json: {
+                name: "Central Park robins",
+                species: "amerob",
+                latitude: 40.77,
+                longitude: -73.97,
+                radiusKm: 10,
+                includePending: true,
+                webhookUrl: `http://localhost:${WEBHOOK_PORT}/hook`,
+            },
+        });
+        assert.equal(status, 201, JSON.stringify(watch));
+
+        // The first poll only takes note of what is already there
+        const { body: first } = await api("POST", "/watches/poll");
+        assert.equal(first.results[0].found, EBIRD_SIGHTINGS.length, JSON.stringify(first));
+        assert.equal(first.results[0].primed, true);
+
+        const today = new Date().toISOString().slice(0, 10);
+        const added = await api("POST", "/add-bird-location", {
+            json: { species: "American Robin", latitude: 40.7794, longitude: -73.9632, observationDate: today },
+        });
+        assert.equal(added.status, 201, JSON.stringify(added.body));
+
+        const { body: second } = await api("POST", "/watches/poll");
+        assert.equal(second.results[0].new, 1, JSON.stringify(second));
+        assert.equal(second.results[0].delivered, true, JSON.stringify(second));
+        assert.equal(deliveries.length, 1);
+        const expected = crypto.createHmac("sha256", watch.secret).update(deliveries[0].body).digest("hex");
+        assert.equal(deliveries[0].signature, `sha256=${expected}`);
+        assert.equal(JSON.parse(deliveries[0].body).matches[0].source, "local");
+    }],
+    ["GET /cache/stats reports every upstream call as replayed", async () => {
+        const { status, body } = await api("GET", "/cache/stats");
+        assert.equal(status, 200, JSON.stringify(body));
+        for (const service of SERVICES) {
+            const counters = body.upstream.services[service];
+            assert.ok(counters?.[recording ? "recorded" : "replayed"] > 0, `${service} was not ${recording ? "recorded" : "replayed"}`);
+        }
+        for (const [service, counters] of Object.entries(body.upstream.services)) {
+            assert.equal(counters.missing, 0, `${service} had unrecorded calls`);
+        }
+    }],
+];
+
+let failed = 0;
+try {
+    await new Promise((resolve, reject) => webhookReceiver.listen(WEBHOOK_PORT, resolve).once("error", reject));
+
+    if (recording) {
+        fs.rmSync(FIXTURES_DIR, { recursive: true, force: true });
+        const ebird = start("scripts/watch-standin.js", { ...process.env, STANDIN_PORT: EBIRD_STANDIN.split(":")[1] });
+        const upstreams = start("scripts/upstream-standin.js", { ...process.env, STANDIN_PORT: String(UPSTREAM_STANDIN_PORT) });
+        await Promise.all([
+            waitForOutput(ebird, "listening on port"),
+            ...["OpenAI", "Xeno-Canto", "Unsplash"].map(name => waitForOutput(upstreams, `${name} stand-in listening`)),
+        ]);
+        for (const sighting of EBIRD_SIGHTINGS) {
+            await fetch(`http://${EBIRD_STANDIN}/sightings`, {
+                method: "POST",
+                headers: { "content-type": "application/json" },
+                body: JSON.stringify(sighting),
+            });
+        }
+    }
+
+    const server = start("index.js", serverEnv);
+    await waitForOutput(server, "Server running on port");
+
+    console.log(`${recording ? "Recording" : "Replaying"} upstream fixtures from ${path.relative(rootDir, FIXTURES_DIR)}`);
+    for (const [name, check] of checks) {
+        try {
+            await check();
+            console.log(`  ok    ${name}`);
+        } catch (error) {
+            failed++;
+            console.log(`  FAIL  ${name}\n        ${error.message}`);
+        }
+    }
+} catch (error) {
+    failed++;
+    console.error(error.message);
+} finally {
+    // The server may still be flushing data files, so the directory goes only after it has exited
+    await Promise.all(children.map(child => new Promise(resolve => {
+        if (child.exitCode !== null || child.signalCode !== null) return resolve();
+        child.once("exit", resolve);
+        child.kill();
+    })));
+    webhookReceiver.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+}
+
+if (failed > 0) {
+    console.log(`\n${failed} check(s) failed. Server output:\n${serverLog}`);
+    process.exit(1);
+}
+console.log(`\nAll ${checks.length} checks passed.`);
@@ -0,0 +1,120 @@
+// Local stand-in for OpenAI, Xeno-Canto and Unsplash, for recording fixtures and trying the API
+// without outside services. Each service has its own port, so fixtures and /cache/stats keep them apart.
+// Usage: npm run upstream:standin  (then start the API with
+// OPENAI_BASE_URL=http://localhost:5056/v1 OPENAI_API_KEY=standin
+// XENO_CANTO_API_URL=http://localhost:5057/api/2/recordings
+// UNSPLASH_API_URL=http://localhost:5058/search/photos UNSPLASH_API_KEY=standin)
+//
+//   STANDIN_PORT      POST /v1/chat/completions    OpenAI-shaped classification; always STANDIN_SPECIES (default American Robin)
+//   STANDIN_PORT + 1  GET  /api/2/recordings       Xeno-Canto-shaped search: two recordings of whatever ?query= names
+//                     GET  /audio/:id.wav          the recording itself, a few seconds of synthetic chirps
+//   STANDIN_PORT + 2  GET  /search/photos          Unsplash-shaped search: ?per_page= photos for ?query=
+import express from "express";
+
+const PORT = parseInt(process.env.STANDIN_PORT) || 5056;
+const SAMPLE_RATE = 22050;
+const RECORDING_SECONDS = 2;
+
+const [standinSpecies, standinSciName] = (process.env.STANDIN_SPECIES || "American Robin|Turdus migratorius").split("|");
+
+// Stable small number for a string, so the same query always gets the same ids
+const numberFor = (text) => [...text].reduce((sum, char) => (sum * 31 + char.charCodeAt(0)) % 90000, 7) + 10000;
+
+// 16-bit mono WAV of rising chirps; the pitch depends on the recording id
+const chirpWav = (id) => {
+    const samples = SAMPLE_RATE * RECORDING_SECONDS;
+    const wav = Buffer.alloc(44 + samples * 2);
+    wav.write("RIFF", 0);
+    wav.writeUInt32LE(36 + samples * 2, 4);
+    wav.write("WAVEfmt ", 8);
+    wav.writeUInt32LE(16, 16);
+    wav.writeUInt16LE(1, 20);
+    wav.writeUInt16LE(1, 22);
+    wav.writeUInt32LE(SAMPLE_RATE, 24);
+    wav.writeUInt32LE(SAMPLE_RATE * 2, 28);
+    wav.writeUInt16LE(2, 32);
+    wav.writeUInt16LE(16, 34);
+    wav.write("data", 36);
+    wav.writeUInt32LE(samples * 2, 40);
+
+    const base = 2000 + (id % 7) * 300;
+    for (let i = 0; i < samples; i++) {
+        const t = i / SAMPLE_RATE;
+        const inChirp = t % 0.4 < 0.25;
+        const frequency = base + 4000 * (t % 0.4);
+        const amplitude = inChirp ? 0.6 : 0.002;
+        wav.writeInt16LE(Math.round(amplitude * 32767 * Math.sin(2 * Math.PI * frequency * t)), 44 + i * 2);
+    }
+    return wav;
+};
+
+const openai = express();
+openai.post("/v1/chat/completions", express.json({ limit: "20mb" }), (req, res) => {
+    const classification = {
+        candidates: [{ species: standinSpecies, scientificName: standinSciName || null, confidence: 0.9 }],
+        description: `Stand-in answer: every image is classified as ${standinSpecies}.`,
+        lifespan: null,
+        commonFood: null,
+        commonPredators: null,
+    };
+    res.json({
+        id: `chatcmpl-standin-${Date.now()}`,
+        object: "chat.completion",
+        created: Math.floor(Date.now() / 1000),
+        model: req.body?.model || "gpt-4o",
+        choices: [{ index: 0, finish_reason: "stop", message: { role: "assistant", content: JSON.stringify(classification) } }],
+    });
+});
+
+const xenoCanto = express();
+xenoCanto.get("/api/2/recordings", (req, res) => {
+    const query = String(req.query.query || "").trim();
+    if (!query) {
+        return res.status(400).json({ error: { code: "missing_parameter", message: "No query specified" } });
+    }
+    const [gen = "", sp = ""] = query.split(/\s+/);
+    const first = numberFor(query);
+    const recordings = [first, first + 1].map((id, i) => ({
+        id: String(id),
+        gen,
+        sp,
+        en: query === standinSciName ? standinSpecies : query,
+        rec: "Stand-in Recordist",
+        cnt: "United States",
+        loc: "Central Park, New York",
+        lat: "40.7812",
+        lng: "-73.9665",
+        type: i === 0 ? "song" : "call",
+        url: `//localhost:${PORT + 1}/${id}`,
+        file: `http://localhost:${PORT + 1}/audio/${id}.wav`,
+        "file-name": `XC${id}-standin.wav`,
+        lic: "//creativecommons.org/licenses/by-nc-sa/4.0/",
+        q: i === 0 ? "A" : "B",
+        length: `0:0${RECORDING_SECONDS}`,
+        date: "2026-04-12",
+    }));
+    res.json({ numRecordings: String(recordings.length), numSpecies: "1", page: 1, numPages: 1, recordings });
+});
+xenoCanto.get("/audio/:id.wav", (req, res) => {
+    res.type("audio/wav").send(chirpWav(parseInt(req.params.id) || 0));
+});
+
+const unsplash = express();
+unsplash.get("/search/photos", (req, res) => {
+    if (!req.query.client_id) {
+        return res.status(401).json({ errors: ["OAuth error: The access token is invalid"] });
+    }
+    const query = String(req.query.query || "").trim();
+    const perPage = Math.min(parseInt(req.query.per_page) || 10, 30);
+    const first = numberFor(query);
+    const results = Array.from({ length: perPage }, (_, i) => ({
+        id: `standin-${first + i}`,
+        description: `Stand-in photo ${i + 1} for "${query}"`,
+        urls: { regular: `http://localhost:${PORT + 2}/photos/${first + i}.jpg` },
+    }));
+    res.json({ total: perPage, total_pages: 1, results });
+});
+
+openai.listen(PORT, () => console.log(`OpenAI stand-in listening on port ${PORT}`));
+xenoCanto.listen(PORT + 1, () => console.log(`Xeno-Canto stand-in listening on port ${PORT + 1}`));
+unsplash.listen(PORT + 2, () => console.log(`Unsplash stand-in listening on port ${PORT + 2}`));
@@ -0,0 +1,84 @@
+// Local stand-in for eBird and a webhook receiver, for trying watches and recording fixtures
+// without outside services (scripts/upstream-standin.js covers OpenAI, Xeno-Canto and Unsplash).
+// Usage: npm run watch:standin  (then start the API with EBIRD_API_URL=http://localhost:5055/v2
+// EBIRD_API_KEY=standin WEBHOOK_ALLOW_PRIVATE=true so webhooks may reach localhost)
+//
+//   GET  /v2/data/obs/geo/recent/:speciesCode?  eBird-shaped recent sightings around ?lat=&lng=&dist=
+//   POST /sightings                             add a sighting: { speciesCode, comName, sciName, lat, lng, howMany, obsDt, locName }
+//   POST /webhook                               receive a delivery; the first FAIL_FIRST deliveries get a 500
+//   GET  /webhook                               deliveries received so far, with signature checks when WATCH_SECRET is set
+import crypto from "crypto";
+import express from "express";
+import { haversineKm } from "../services/watchlists.js";
+
+const PORT = parseInt(process.env.STANDIN_PORT) || 5055;
+let failuresLeft = parseInt(process.env.FAIL_FIRST) || 0;
+
+const sightings = [];
+const received = [];
+
+const app = express();
+
+app.get("/v2/data/obs/geo/recent/:speciesCode?", (req, res) => {
+    const lat = parseFloat(req.query.lat);
+    const lng = parseFloat(req.query.lng);
+    const dist = parseFloat(req.query.dist) || 25;
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+        return res.status(400).json({ errors: [{ title: "lat and lng are required" }] });
+    }
+    res.json(sightings.filter(sighting =>
+        (!req.params.speciesCode || sighting.speciesCode === req.params.speciesCode) &&
+        haversineKm(lat, lng, sighting.lat, sighting.lng) <= dist
+    ));
+});
+
+app.post("/sightings", express.json(), (req, res) => {
+    const { speciesCode = "amerob", comName = "American Robin", sciName = "Turdus migratorius", lat, lng, howMany = 1 } = req.body || {};
+    if (!Number.isFinite(lat) || !Number.isFinite(lng)) {
+        return res.status(400).json({ error: "lat and lng must be numbers." });
+    }
+    const sighting = {
+        speciesCode,
+        comName,
+        sciName,
+        locId: `L${sightings.length + 1}`,
+        locName: req.body.locName || "Stand-in location",
+        obsDt: req.body.obsDt || new Date().toISOString().slice(0, 16).replace("T", " "),
+        howMany,
+        lat,
+        lng,
+        obsValid: true,
+        obsReviewed: false,
+        locationPrivate: false,
+        subId: `S${100000 + sightings.length}`,
+    };
+    sightings.push(sighting);
+    res.status(201).json(sighting);
+});
+
+app.post("/webhook", express.text({ type: "*/*" }), (req, res) => {
+    const signature = req.get("X-Watch-Signature") || null;
+    const secret = process.env.WATCH_SECRET;
+    const expected = secret && `sha256=${crypto.createHmac("sha256", secret).update(req.body).digest("hex")}`;
+    const failed = failuresLeft > 0;
+    if (failed) failuresLeft--;
+
+    received.push({
+        receivedAt: new Date().toISOString(),
+        delivery: req.get("X-Watch-Delivery"),
+        event: req.get("X-Watch-Event"),
+        signatureValid: secret ? signature === expected : null,
+        answered: failed ? 500 : 200,
+        body: JSON.parse(req.body),
+    });
+    console.log(`${failed ? "Rejected" : "Accepted"} ${req.get("X-Watch-Event")} delivery ${req.get("X-Watch-Delivery")}`);
+    res.status(failed ? 500 : 200).json({ ok: !failed });
+});
+
+app.get("/webhook", (req, res) => {
+    res.json({ count: received.length, received });
+});
+
+app.listen(PORT, () => {
+    console.log(`Watch stand-in listening on port ${PORT}`);
+});
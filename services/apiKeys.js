@@ -0,0 +1,195 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+// Issued API keys with scopes, per-key rate limits and daily classification
+// quotas. Only a SHA-256 of each secret is stored; the secret itself is
+// returned once, when the key is created. Daily usage is kept on the key
+// record so quotas survive restarts.
+
+export const SCOPES = ["read", "write", "classify", "review", "admin"];
+export const DEFAULT_RATE_LIMIT = 60; // requests per minute
+export const DEFAULT_DAILY_QUOTA = 500; // classifications per UTC day
+const MAX_NAME_LENGTH = 100;
+const SECRET_PREFIX = "bik_";
+
+export class ApiKeyValidationError extends Error {
+    constructor(details) {
+        super("Invalid API key settings");
+        this.name = "ApiKeyValidationError";
+        this.details = details;
+    }
+}
+
+const hashSecret = (secret) => crypto.createHash("sha256").update(secret).digest("hex");
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Check { name, scopes, rateLimit, dailyQuota }; with partial, missing fields are left out
+export const validateKeySettings = (input = {}, { partial = false } = {}) => {
+    const errors = [];
+    const settings = {};
+
+    if (input.name !== undefined || !partial) {
+        const name = typeof input.name === "string" ? input.name.trim() : "";
+        if (!name || name.length > MAX_NAME_LENGTH) {
+            errors.push({ field: "name", message: `must be 1-${MAX_NAME_LENGTH} characters` });
+        }
+        settings.name = name;
+    }
+    if (input.scopes !== undefined || !partial) {
+        const scopes = Array.isArray(input.scopes) ? [...new Set(input.scopes)] : [];
+        if (scopes.length === 0 || scopes.some(scope => !SCOPES.includes(scope))) {
+            errors.push({ field: "scopes", message: `must be a non-empty list of ${SCOPES.join(", ")}` });
+        }
+        settings.scopes = scopes;
+    }
+    // null means "no limit"; omitted means the default
+    for (const [field, fallback] of [["rateLimit", DEFAULT_RATE_LIMIT], ["dailyQuota", DEFAULT_DAILY_QUOTA]]) {
+        if (input[field] === undefined) {
+            if (!partial) settings[field] = fallback;
+        } else if (input[field] === null || (Number.isInteger(input[field]) && input[field] >= 0)) {
+            settings[field] = input[field];
+        } else {
+            errors.push({ field, message: "must be a non-negative integer or null" });
+        }
+    }
+
+    if (errors.length > 0) throw new ApiKeyValidationError(errors);
+    return settings;
+};
+
+export class ApiKeyStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.keys = new Map();
+        this.bySecret = new Map();
+        this.pendingWrite = Promise.resolve();
+    }
+
+    load() {
+        if (fs.existsSync(this.filePath)) {
+            const { keys = [] } = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+            keys.forEach(key => {
+                this.keys.set(key.id, key);
+                this.bySecret.set(key.secretHash, key);
+            });
+        }
+        return this;
+    }
+
+    persist() {
+        const snapshot = JSON.stringify({ version: 1, keys: [...this.keys.values()] });
+        this.pendingWrite = this.pendingWrite
+            .catch(() => {})
+            .then(async () => {
+                await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+                const tempPath = `${this.filePath}.${process.pid}.tmp`;
+                await fs.promises.writeFile(tempPath, snapshot, { mode: 0o600 });
+                await fs.promises.rename(tempPath, this.filePath);
+            });
+        return this.pendingWrite;
+    }
+
+    // Returns { key, secret }; the secret cannot be recovered later
+    async create(input) {
+        const settings = validateKeySettings(input);
+        const secret = SECRET_PREFIX + crypto.randomBytes(24).toString("base64url");
+        const key = {
+            id: `key_${crypto.randomBytes(6).toString("hex")}`,
+            ...settings,
+            secretHash: hashSecret(secret),
+            secretHint: `${secret.slice(0, SECRET_PREFIX.length + 4)}…`,
+            createdAt: new Date().toISOString(),
+            revokedAt: null,
+            lastUsedAt: null,
+            usage: { day: today(), classifications: 0 },
+        };
+        this.keys.set(key.id, key);
+        this.bySecret.set(key.secretHash, key);
+        await this.persist();
+        return { key, secret };
+    }
+
+    list() {
+        return [...this.keys.values()].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    get(id) {
+        return this.keys.get(id) || null;
+    }
+
+    async update(id, input) {
+        const key = this.get(id);
+        if (!key) return null;
+        Object.assign(key, validateKeySettings(input, { partial: true }));
+        await this.persist();
+        return key;
+    }
+
+    async revoke(id) {
+        const key = this.get(id);
+        if (!key) return null;
+        if (!key.revokedAt) {
+            key.revokedAt = new Date().toISOString();
+            await this.persist();
+        }
+        return key;
+    }
+
+    // Active key for a presented secret, or null
+    authenticate(secret) {
+        const key = this.bySecret.get(hashSecret(String(secret)));
+        if (!key || key.revokedAt) return null;
+        key.lastUsedAt = new Date().toISOString();
+        return key;
+    }
+
+    // Count `count` classifications against today's quota; nothing is counted when it would be exceeded
+    async consumeQuota(key, count = 1) {
+        if (key.usage?.day !== today()) key.usage = { day: today(), classifications: 0 };
+        const allowed = key.dailyQuota === null || key.usage.classifications + count <= key.dailyQuota;
+        if (allowed) {
+            key.usage.classifications += count;
+            await this.persist();
+        }
+        return { allowed, used: key.usage.classifications, limit: key.dailyQuota };
+    }
+
+    // Key as shown to admins (never includes the secret hash)
+    static view({ secretHash, ...key }) {
+        return key;
+    }
+}
+
+// Fixed one-minute windows per client id
+export class RateLimiter {
+    constructor({ windowMs = 60 * 1000 } = {}) {
+        this.windowMs = windowMs;
+        this.windows = new Map();
+    }
+
+    // Returns { allowed, limit, remaining, resetAt (ms) }
+    hit(clientId, limit) {
+        const now = Date.now();
+        let window = this.windows.get(clientId);
+        if (!window || window.resetAt <= now) {
+            window = { count: 0, resetAt: now + this.windowMs };
+            this.windows.set(clientId, window);
+            this.prune(now);
+        }
+        window.count++;
+        return {
+            allowed: window.count <= limit,
+            limit,
+            remaining: Math.max(0, limit - window.count),
+            resetAt: window.resetAt,
+        };
+    }
+
+    prune(now) {
+        for (const [clientId, window] of this.windows) {
+            if (window.resetAt <= now) this.windows.delete(clientId);
+        }
+    }
+}
@@ -0,0 +1,243 @@
+import decode from "audio-decode";
+
+// Spectrogram features for bird sound matching. Audio is decoded, mixed to
+// mono and resampled to SAMPLE_RATE, then turned into a log-mel spectrogram
+// over the 500 Hz - 11 kHz range where most birdsong sits. Background noise
+// is removed by subtracting each band's quiet-time level, and the active
+// parts of the recording are summarised as one vector per ~1 s segment.
+
+export const SAMPLE_RATE = 22050;
+export const MAX_DURATION_SECONDS = 60;
+export const FEATURE_VERSION = 1;
+
+const FFT_SIZE = 1024;
+const HOP_SIZE = 512;
+const MEL_BANDS = 32;
+const MIN_FREQUENCY = 500;
+const MAX_FREQUENCY = 11000;
+const SEGMENT_FRAMES = 43; // ~1 s at 22050 Hz / 512
+const SEGMENT_HOP = 21;
+const MIN_ACTIVE_SHARE = 0.25;
+const MAX_SEGMENTS = 30;
+const NOISE_PERCENTILE = 0.2;
+const ACTIVITY_THRESHOLD_DB = 6;
+const MIN_SECONDS = 0.5;
+
+export class AudioProcessingError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "AudioProcessingError";
+        this.statusCode = 400;
+    }
+}
+
+// audio-decode reuses one decoder instance per format, so decodes run one at a time
+let decodeQueue = Promise.resolve();
+
+const decodeSerially = (buffer) => {
+    const result = decodeQueue.then(() => decode(buffer));
+    decodeQueue = result.catch(() => {});
+    return result;
+};
+
+// Box-filter downsampling (cheap anti-aliasing) or linear interpolation when upsampling
+const resample = (samples, fromRate, toRate) => {
+    if (fromRate === toRate) return samples;
+    const ratio = fromRate / toRate;
+    const output = new Float32Array(Math.floor(samples.length / ratio));
+
+    for (let i = 0; i < output.length; i++) {
+        if (ratio > 1) {
+            const start = Math.floor(i * ratio);
+            const end = Math.min(samples.length, Math.max(start + 1, Math.floor((i + 1) * ratio)));
+            let sum = 0;
+            for (let j = start; j < end; j++) sum += samples[j];
+            output[i] = sum / (end - start);
+        } else {
+            const position = i * ratio;
+            const index = Math.floor(position);
+            const next = Math.min(index + 1, samples.length - 1);
+            output[i] = samples[index] + (samples[next] - samples[index]) * (position - index);
+        }
+    }
+    return output;
+};
+
+// Returns { samples: Float32Array (mono, SAMPLE_RATE), duration, originalSampleRate, channels }
+export const decodeAudio = async (buffer, { maxDuration = MAX_DURATION_SECONDS } = {}) => {
+    let audio;
+    try {
+        audio = await decodeSerially(buffer);
+    } catch (error) {
+        throw new AudioProcessingError(`Unable to decode audio: ${error.message}`);
+    }
+    if (!audio || audio.length === 0) {
+        throw new AudioProcessingError("Audio file contains no samples.");
+    }
+
+    const length = Math.min(audio.length, Math.floor(maxDuration * audio.sampleRate));
+    const mono = new Float32Array(length);
+    for (let channel = 0; channel < audio.numberOfChannels; channel++) {
+        const data = audio.getChannelData(channel);
+        for (let i = 0; i < length; i++) mono[i] += data[i] / audio.numberOfChannels;
+    }
+
+    const samples = resample(mono, audio.sampleRate, SAMPLE_RATE);
+    if (samples.length < MIN_SECONDS * SAMPLE_RATE) {
+        throw new AudioProcessingError(`Recording is too short; at least ${MIN_SECONDS} s of audio is needed.`);
+    }
+    return {
+        samples,
+        duration: samples.length / SAMPLE_RATE,
+        originalSampleRate: audio.sampleRate,
+        channels: audio.numberOfChannels,
+    };
+};
+
+// In-place iterative radix-2 FFT
+const fft = (re, im) => {
+    const n = re.length;
+    for (let i = 1, j = 0; i < n; i++) {
+        let bit = n >> 1;
+        for (; j & bit; bit >>= 1) j ^= bit;
+        j ^= bit;
+        if (i < j) {
+            [re[i], re[j]] = [re[j], re[i]];
+            [im[i], im[j]] = [im[j], im[i]];
+        }
+    }
+    for (let size = 2; size <= n; size <<= 1) {
+        const angle = -2 * Math.PI / size;
+        for (let start = 0; start < n; start += size) {
+            for (let k = 0; k < size / 2; k++) {
+                const cos = Math.cos(angle * k);
+                const sin = Math.sin(angle * k);
+                const a = start + k;
+                const b = a + size / 2;
+                const tRe = re[b] * cos - im[b] * sin;
+                const tIm = re[b] * sin + im[b] * cos;
+                re[b] = re[a] - tRe;
+                im[b] = im[a] - tIm;
+                re[a] += tRe;
+                im[a] += tIm;
+            }
+        }
+    }
+};
+
+const HANN = Float32Array.from({ length: FFT_SIZE }, (_, i) => 0.5 - 0.5 * Math.cos(2 * Math.PI * i / FFT_SIZE));
+
+const toMel = (hz) => 2595 * Math.log10(1 + hz / 700);
+const fromMel = (mel) => 700 * (10 ** (mel / 2595) - 1);
+
+// Triangular mel filters as [{ start, weights }] over FFT bins
+const MEL_FILTERS = (() => {
+    const binHz = SAMPLE_RATE / FFT_SIZE;
+    const low = toMel(MIN_FREQUENCY);
+    const high = toMel(Math.min(MAX_FREQUENCY, SAMPLE_RATE / 2));
+    const edges = Array.from({ length: MEL_BANDS + 2 }, (_, i) => fromMel(low + (high - low) * i / (MEL_BANDS + 1)) / binHz);
+
+    return Array.from({ length: MEL_BANDS }, (_, band) => {
+        const [left, center, right] = edges.slice(band, band + 3);
+        const start = Math.ceil(left);
+        const weights = [];
+        for (let bin = start; bin <= Math.floor(right); bin++) {
+            weights.push(bin <= center ? (bin - left) / (center - left) : (right - bin) / (right - center));
+        }
+        return { start, weights };
+    });
+})();
+
+// Log-mel spectrogram in dB: one Float32Array(MEL_BANDS) per frame
+export const melSpectrogram = (samples) => {
+    const frames = [];
+    const re = new Float32Array(FFT_SIZE);
+    const im = new Float32Array(FFT_SIZE);
+
+    for (let offset = 0; offset + FFT_SIZE <= samples.length; offset += HOP_SIZE) {
+        for (let i = 0; i < FFT_SIZE; i++) {
+            re[i] = samples[offset + i] * HANN[i];
+            im[i] = 0;
+        }
+        fft(re, im);
+
+        const frame = new Float32Array(MEL_BANDS);
+        MEL_FILTERS.forEach(({ start, weights }, band) => {
+            let energy = 0;
+            weights.forEach((weight, k) => {
+                const bin = start + k;
+                energy += weight * (re[bin] * re[bin] + im[bin] * im[bin]);
+            });
+            frame[band] = 10 * Math.log10(energy + 1e-10);
+        });
+        frames.push(frame);
+    }
+    return frames;
+};
+
+const percentile = (values, p) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+};
+
+// Zero mean, unit length, so a dot product is a correlation
+const normalize = (vector) => {
+    const mean = vector.reduce((sum, value) => sum + value, 0) / vector.length;
+    const centered = vector.map(value => value - mean);
+    const norm = Math.sqrt(centered.reduce((sum, value) => sum + value * value, 0)) || 1;
+    return centered.map(value => value / norm);
+};
+
+// One segment -> band means, band spreads and band modulation, each normalised separately
+const segmentVector = (frames) => {
+    const means = new Array(MEL_BANDS).fill(0);
+    const spreads = new Array(MEL_BANDS).fill(0);
+    const modulation = new Array(MEL_BANDS).fill(0);
+
+    for (let band = 0; band < MEL_BANDS; band++) {
+        const values = frames.map(frame => frame[band]);
+        const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+        means[band] = mean;
+        spreads[band] = Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length);
+        modulation[band] = values.slice(1).reduce((sum, value, i) => sum + Math.abs(value - values[i]), 0) /
+            Math.max(1, values.length - 1);
+    }
+
+    return [...normalize(means), ...normalize(spreads), ...normalize(modulation)]
+        .map(value => Math.round(value / Math.sqrt(3) * 1e4) / 1e4);
+};
+
+// Returns { segments: number[][], activeSeconds } where each segment vector has unit length
+export const extractFeatures = (samples) => {
+    const frames = melSpectrogram(samples);
+
+    // Each band's quiet level is treated as background noise
+    const noise = Array.from({ length: MEL_BANDS }, (_, band) => percentile(frames.map(frame => frame[band]), NOISE_PERCENTILE));
+    const cleaned = frames.map(frame => frame.map((value, band) => Math.max(0, value - noise[band])));
+    const active = cleaned.map(frame => Math.max(...frame) >= ACTIVITY_THRESHOLD_DB);
+
+    const candidates = [];
+    for (let start = 0; start + SEGMENT_FRAMES <= cleaned.length; start += SEGMENT_HOP) {
+        const window = cleaned.slice(start, start + SEGMENT_FRAMES);
+        const activeShare = active.slice(start, start + SEGMENT_FRAMES).filter(Boolean).length / SEGMENT_FRAMES;
+        if (activeShare < MIN_ACTIVE_SHARE) continue;
+        const loudness = window.reduce((sum, frame) => sum + frame.reduce((a, b) => a + b, 0), 0);
+        candidates.push({ start, loudness, vector: segmentVector(window) });
+    }
+
+    // Short clips that never fill a whole segment are summarised as one
+    if (candidates.length === 0 && active.some(Boolean)) {
+        candidates.push({ start: 0, loudness: 0, vector: segmentVector(cleaned) });
+    }
+
+    const segments = candidates
+        .sort((a, b) => b.loudness - a.loudness)
+        .slice(0, MAX_SEGMENTS)
+        .sort((a, b) => a.start - b.start)
+        .map(candidate => candidate.vector);
+
+    return {
+        segments,
+        activeSeconds: Math.round(active.filter(Boolean).length * HOP_SIZE / SAMPLE_RATE * 10) / 10,
+    };
+};
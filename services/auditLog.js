@@ -0,0 +1,48 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+
+// Append-only log, one JSON object per line (reviewer decisions, webhook
+// deliveries). Entries are never rewritten, so the file is a complete history.
+
+export class AuditLog {
+    constructor(filePath, { idPrefix = "log" } = {}) {
+        this.filePath = filePath;
+        this.idPrefix = idPrefix;
+        this.entries = [];
+        this.pendingWrite = Promise.resolve();
+    }
+
+    load() {
+        if (fs.existsSync(this.filePath)) {
+            this.entries = fs.readFileSync(this.filePath, "utf8")
+                .split("\n")
+                .filter(line => line.trim())
+                .map(line => JSON.parse(line));
+        }
+        return this;
+    }
+
+    // Appends are chained so lines land in order
+    async append(fields) {
+        const entry = { id: `${this.idPrefix}_${crypto.randomBytes(8).toString("hex")}`, at: new Date().toISOString(), ...fields };
+        this.entries.push(entry);
+        this.pendingWrite = this.pendingWrite
+            .catch(() => {})
+            .then(async () => {
+                await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+                await fs.promises.appendFile(this.filePath, `${JSON.stringify(entry)}\n`);
+            });
+        await this.pendingWrite;
+        return entry;
+    }
+
+    // Newest first; every other option is a field that must match exactly (undefined = any)
+    list({ limit = 100, offset = 0, ...filters } = {}) {
+        const fields = Object.entries(filters).filter(([, value]) => value !== undefined && value !== "");
+        const matches = this.entries
+            .filter(entry => fields.every(([field, value]) => entry[field] === value))
+            .reverse();
+        return { total: matches.length, entries: matches.slice(offset, offset + limit) };
+    }
+}
@@ -0,0 +1,245 @@
+import crypto from "crypto";
+import path from "path";
+import zlib from "zlib";
+import { EventEmitter } from "events";
+import AdmZip from "adm-zip";
+import { csvLine } from "./csv.js";
+
+// Batch classification jobs. Every job's images go into one shared FIFO queue
+// drained by a fixed number of workers, so a large batch never runs more
+// than `concurrency` classifications at once. Each job emits "progress"
+// events per image and a final "done" event for Server-Sent Events clients.
+
+export const MAX_BATCH_ITEMS = 500;
+export const MAX_ENTRY_BYTES = 5 * 1024 * 1024;
+const MAX_ARCHIVE_BYTES = 200 * 1024 * 1024;
+const JOB_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+const IMAGE_EXTENSIONS = new Set([".jpg", ".jpeg", ".png", ".webp"]);
+
+export class BatchInputError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "BatchInputError";
+        this.statusCode = 400;
+    }
+}
+
+// A batch needs at least one image and at most MAX_BATCH_ITEMS, counting images and archive entries together
+export const checkBatchSize = (count) => {
+    if (count === 0) throw new BatchInputError("No images to classify.");
+    if (count > MAX_BATCH_ITEMS) throw new BatchInputError(`At most ${MAX_BATCH_ITEMS} images per batch.`);
+};
+
+// Entry sizes in a zip's headers are whatever its author wrote, so entries are inflated here
+// with an output cap instead of trusting them (adm-zip's getData() inflates without a limit)
+const inflateEntry = (entry, limit) => {
+    if (entry.header.encrypted) throw new BatchInputError(`${entry.entryName} is encrypted.`);
+    const compressed = entry.getCompressedData();
+    let data;
+    switch (entry.header.method) {
+        case 0: // stored
+            data = compressed;
+            break;
+        case 8: // deflated
+            try {
+                data = zlib.inflateRawSync(compressed, { maxOutputLength: limit + 1 });
+            } catch (error) {
+                if (error.code === "ERR_BUFFER_TOO_LARGE") return null;
+                throw new BatchInputError(`${entry.entryName} could not be decompressed: ${error.message}`);
+            }
+            break;
+        default:
+            throw new BatchInputError(`${entry.entryName} uses an unsupported compression method.`);
+    }
+    return data.length > limit ? null : data;
+};
+
+// Pull image files out of a zip, skipping folders, hidden files and macOS resource forks.
+// Each image may be up to maxEntryBytes once inflated, and all of them together MAX_ARCHIVE_BYTES.
+export const extractImages = (zipBuffer, { maxEntryBytes = MAX_ENTRY_BYTES } = {}) => {
+    let entries;
+    try {
+        entries = new AdmZip(zipBuffer).getEntries();
+    } catch (error) {
+        throw new BatchInputError(`Unreadable zip archive: ${error.message}`);
+    }
+
+    const images = entries.filter(entry => {
+        const name = path.basename(entry.entryName);
+        return !entry.isDirectory &&
+            !entry.entryName.startsWith("__MACOSX/") &&
+            !name.startsWith(".") &&
+            IMAGE_EXTENSIONS.has(path.extname(name).toLowerCase());
+    });
+
+    // Declared sizes reject honest oversized archives early; the real sizes are checked while inflating
+    if (images.length > MAX_BATCH_ITEMS) {
+        throw new BatchInputError(`Archive holds ${images.length} images; the limit is ${MAX_BATCH_ITEMS}.`);
+    }
+    const declared = images.reduce((sum, entry) => sum + entry.header.size, 0);
+    if (declared > MAX_ARCHIVE_BYTES || images.some(entry => entry.header.size > maxEntryBytes)) {
+        throw new BatchInputError("Archive contents are too large.");
+    }
+
+    let total = 0;
+    return images.map(entry => {
+        const buffer = inflateEntry(entry, Math.min(maxEntryBytes, MAX_ARCHIVE_BYTES - total));
+        if (!buffer) {
+            throw new BatchInputError(total + maxEntryBytes > MAX_ARCHIVE_BYTES
+                ? "Archive contents are too large."
+                : `${entry.entryName} is larger than the ${maxEntryBytes / (1024 * 1024)}MB limit for each image.`);
+        }
+        total += buffer.length;
+        return { name: entry.entryName, buffer };
+    });
+};
+
+const RESULT_COLUMNS = [
+    "index", "file", "status", "species", "speciesCode", "scientificName", "confidence",
+    "memo", "latitude", "longitude", "capturedAt", "sighting", "error",
+];
+
+export class BatchJobManager {
+    // processItem({ name, input }, options) -> result object stored on the item
+    constructor({ processItem, concurrency = 2 }) {
+        this.processItem = processItem;
+        this.concurrency = concurrency;
+        this.jobs = new Map();
+        this.queue = [];
+        this.active = 0;
+    }
+
+    // files: [{ name, input }] to process, or [{ name, error }] for files rejected before the job started
+    create(files, options = {}) {
+        checkBatchSize(files.length);
+        this.prune();
+
+        const job = {
+            id: crypto.randomUUID(),
+            status: "queued",
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            options,
+            total: files.length,
+            completed: 0,
+            failed: files.filter(file => file.error).length,
+            items: files.map((file, index) => ({
+                index,
+                name: file.name,
+                status: file.error ? "error" : "queued",
+                result: null,
+                error: file.error ?? null,
+                input: file.error ? null : file.input,
+            })),
+            events: new EventEmitter(),
+        };
+        job.events.setMaxListeners(0);
+        this.jobs.set(job.id, job);
+
+        job.items.filter(item => item.status === "queued").forEach(item => this.queue.push({ job, item }));
+        this.drain();
+        return job;
+    }
+
+    get(id) {
+        return this.jobs.get(id) || null;
+    }
+
+    drain() {
+        while (this.active < this.concurrency && this.queue.length > 0) {
+            const { job, item } = this.queue.shift();
+            this.active++;
+            this.run(job, item).finally(() => {
+                this.active--;
+                this.drain();
+            });
+        }
+    }
+
+    async run(job, item) {
+        if (job.status === "queued") {
+            job.status = "running";
+            job.startedAt = new Date().toISOString();
+        }
+        item.status = "processing";
+
+        try {
+            item.result = await this.processItem({ name: item.name, input: item.input }, job.options);
+            item.status = "done";
+            job.completed++;
+        } catch (error) {
+            item.status = "error";
+            item.error = error.message;
+            job.failed++;
+        } finally {
+            // The image is not needed once it has been classified
+            item.input = null;
+        }
+
+        job.events.emit("progress", {
+            ...BatchJobManager.itemView(item),
+            processed: job.completed + job.failed,
+            total: job.total,
+        });
+
+        if (job.completed + job.failed === job.total) {
+            job.status = job.completed === 0 ? "failed" : "completed";
+            job.finishedAt = new Date().toISOString();
+            job.events.emit("done", BatchJobManager.summary(job));
+        }
+    }
+
+    // Forget finished jobs after a day
+    prune() {
+        const cutoff = Date.now() - JOB_RETENTION_MS;
+        for (const [id, job] of this.jobs) {
+            if (job.finishedAt && new Date(job.finishedAt).getTime() < cutoff) this.jobs.delete(id);
+        }
+    }
+
+    static itemView({ input, ...item }) {
+        return item;
+    }
+
+    static summary(job) {
+        return {
+            id: job.id,
+            status: job.status,
+            createdAt: job.createdAt,
+            startedAt: job.startedAt,
+            finishedAt: job.finishedAt,
+            total: job.total,
+            completed: job.completed,
+            failed: job.failed,
+            pending: job.total - job.completed - job.failed,
+        };
+    }
+
+    static details(job) {
+        return { ...BatchJobManager.summary(job), items: job.items.map(BatchJobManager.itemView) };
+    }
+
+    static *resultsCsv(job) {
+        yield csvLine(RESULT_COLUMNS);
+        for (const item of job.items) {
+            const result = item.result || {};
+            yield csvLine([
+                item.index,
+                item.name,
+                item.status,
+                result.species,
+                result.speciesCode,
+                result.scientificName,
+                result.confidence,
+                result.memo ? (result.memo.hit ? result.memo.match : "miss") : "",
+                result.exif?.latitude,
+                result.exif?.longitude,
+                result.exif?.capturedAt,
+                result.sighting?.status,
+                item.error,
+            ]);
+        }
+    }
+}
@@ -0,0 +1,120 @@
+import fs from "fs";
+import path from "path";
+
+// Remembers classifier results by image hash so repeat uploads skip the
+// model call. Exact repeats match on SHA-256 of the uploaded bytes;
+// near-identical images match when their perceptual hashes are within
+// maxDistance bits. Results are only reused for the provider that produced them.
+
+export const DEFAULT_MAX_DISTANCE = 6;
+const DEFAULT_HIT_FLUSH_MS = 30 * 1000;
+
+const hammingDistance = (a, b) => {
+    let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+    let count = 0;
+    while (diff) {
+        count += Number(diff & 1n);
+        diff >>= 1n;
+    }
+    return count;
+};
+
+export class ClassificationMemo {
+    constructor(filePath, { maxDistance = DEFAULT_MAX_DISTANCE, hitFlushMs = DEFAULT_HIT_FLUSH_MS } = {}) {
+        this.filePath = filePath;
+        this.maxDistance = maxDistance;
+        this.hitFlushMs = hitFlushMs;
+        this.hitTimer = null;
+        this.entries = [];
+        this.bySha = new Map();
+        this.pendingWrite = Promise.resolve();
+    }
+
+    load() {
+        if (fs.existsSync(this.filePath)) {
+            const { entries = [] } = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+            this.entries = entries;
+            this.bySha = new Map(entries.map(entry => [`${entry.provider}:${entry.sha256}`, entry]));
+        }
+        return this;
+    }
+
+    persist() {
+        // Every snapshot carries the hit counts too, so a pending hit flush is no longer needed
+        clearTimeout(this.hitTimer);
+        this.hitTimer = null;
+        const snapshot = JSON.stringify({ version: 1, entries: this.entries });
+        this.pendingWrite = this.pendingWrite
+            .catch(() => {})
+            .then(async () => {
+                await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+                const tempPath = `${this.filePath}.${process.pid}.tmp`;
+                await fs.promises.writeFile(tempPath, snapshot);
+                await fs.promises.rename(tempPath, this.filePath);
+            });
+        return this.pendingWrite;
+    }
+
+    get size() {
+        return this.entries.length;
+    }
+
+    // Returns { entry, match: "exact" | "perceptual", distance } or null
+    lookup(provider, { sha256, perceptual }) {
+        const exact = this.bySha.get(`${provider}:${sha256}`);
+        if (exact) return { entry: exact, match: "exact", distance: 0 };
+
+        let best = null;
+        for (const entry of this.entries) {
+            if (entry.provider !== provider) continue;
+            const distance = hammingDistance(entry.perceptual, perceptual);
+            if (distance <= this.maxDistance && (!best || distance < best.distance)) {
+                best = { entry, match: "perceptual", distance };
+            }
+        }
+        return best;
+    }
+
+    // Hit counts are only statistics, so they are written at most once per hitFlushMs instead of on
+    // every hit; hits since the last write are lost if the process exits first
+    recordHit(entry) {
+        entry.hits = (entry.hits || 0) + 1;
+        entry.lastHitAt = new Date().toISOString();
+        if (!this.hitTimer) {
+            this.hitTimer = setTimeout(() => {
+                this.persist().catch(error => console.error("Failed to save classification memo hits:", error.message));
+            }, this.hitFlushMs);
+            this.hitTimer.unref();
+        }
+    }
+
+    async remember(provider, { sha256, perceptual }, result) {
+        const key = `${provider}:${sha256}`;
+        const entry = {
+            sha256,
+            perceptual,
+            provider,
+            speciesCode: result.speciesCode,
+            result,
+            createdAt: new Date().toISOString(),
+            hits: 0,
+        };
+        const existing = this.bySha.get(key);
+        if (existing) this.entries.splice(this.entries.indexOf(existing), 1);
+        this.entries.push(entry);
+        this.bySha.set(key, entry);
+        await this.persist();
+        return entry;
+    }
+
+    // Drop stored results whose top species is speciesCode; returns how many were removed
+    async invalidate({ speciesCode }) {
+        const removed = this.entries.filter(entry => entry.speciesCode === speciesCode);
+        if (removed.length === 0) return 0;
+
+        this.entries = this.entries.filter(entry => entry.speciesCode !== speciesCode);
+        removed.forEach(entry => this.bySha.delete(`${entry.provider}:${entry.sha256}`));
+        await this.persist();
+        return removed.length;
+    }
+}
@@ -0,0 +1,17 @@
+// Errors raised by classifier providers; statusCode is what the route should answer with
+export class ClassifierError extends Error {
+    constructor(message, statusCode = 500) {
+        super(message);
+        this.name = "ClassifierError";
+        this.statusCode = statusCode;
+    }
+}
+
+// A provider answered, but the answer does not match CLASSIFICATION_SCHEMA
+export class ClassificationValidationError extends ClassifierError {
+    constructor(details) {
+        super("Classification output failed schema validation", 422);
+        this.name = "ClassificationValidationError";
+        this.details = details;
+    }
+}
@@ -0,0 +1,101 @@
+import { createOpenAIClassifier } from "./openai.js";
+import { createLocalClassifier } from "./local.js";
+import { createStubClassifier } from "./stub.js";
+import { ClassifierError, ClassificationValidationError } from "./errors.js";
+import { MAX_CANDIDATES, validateClassification } from "./schema.js";
+
+export { ClassifierError, ClassificationValidationError };
+
+const PROVIDERS = {
+    openai: createOpenAIClassifier,
+    local: createLocalClassifier,
+    stub: createStubClassifier,
+};
+
+export const CLASSIFIER_PROVIDERS = Object.keys(PROVIDERS);
+
+export const DEFAULT_TOP_K = 5;
+
+const textOrNull = (value) => {
+    const text = typeof value === "string" ? value.trim() : value;
+    return text ? String(text) : null;
+};
+
+// A taxonomy match below this score is treated as unresolved, whatever resolver is passed in
+export const MIN_MATCH_SCORE = 0.8;
+
+// Look a candidate up in the taxonomy, scientific name first. A generic answer such as "Robin" stays
+// unknown: its species code would drive sound lookups and sighting logging, so it must not be a guess.
+const resolveCandidate = (candidate, resolveSpecies) => {
+    const accept = (match) => (match && (match.score ?? 1) >= MIN_MATCH_SCORE ? match : null);
+    const match = (candidate.scientificName && accept(resolveSpecies(candidate.scientificName))) ||
+        accept(resolveSpecies(candidate.species));
+
+    return {
+        species: candidate.species,
+        scientificName: candidate.scientificName ?? match?.sciName ?? null,
+        confidence: candidate.confidence,
+        speciesCode: match?.speciesCode ?? null,
+        taxonomyName: match?.comName ?? null,
+        matchScore: match?.score ?? null,
+        unknown: !match,
+    };
+};
+
+// Every provider result goes through here so the route sees one shape
+const normalizeResult = (provider, result, { topK, resolveSpecies }) => {
+    const errors = validateClassification(result);
+    if (errors.length > 0) {
+        throw new ClassificationValidationError(errors);
+    }
+
+    const candidates = result.candidates
+        .map(candidate => ({
+            ...candidate,
+            species: candidate.species.trim(),
+            scientificName: textOrNull(candidate.scientificName),
+        }))
+        .sort((a, b) => b.confidence - a.confidence)
+        .slice(0, topK)
+        .map(candidate => resolveCandidate(candidate, resolveSpecies));
+    const [top] = candidates;
+
+    return {
+        provider: provider.name,
+        model: provider.model,
+        species: top.species,
+        scientificName: top.scientificName,
+        speciesCode: top.speciesCode,
+        confidence: top.confidence,
+        description: textOrNull(result.description),
+        lifespan: textOrNull(result.lifespan),
+        commonFood: textOrNull(result.commonFood),
+        commonPredators: textOrNull(result.commonPredators),
+        candidates,
+    };
+};
+
+// Select a provider by name (CLASSIFIER_PROVIDER env var by default)
+// resolveSpecies(name) should return a taxonomy match ({ speciesCode, comName, sciName, score }) or null,
+// and only for a name that identifies one species (SpeciesIndex.resolve)
+export const createClassifier = (name = process.env.CLASSIFIER_PROVIDER || "openai", {
+    topK = parseInt(process.env.CLASSIFIER_TOP_K) || DEFAULT_TOP_K,
+    resolveSpecies = () => null,
+    ...options
+} = {}) => {
+    const factory = PROVIDERS[name];
+    if (!factory) {
+        throw new Error(`Unknown classifier provider "${name}". Expected one of: ${CLASSIFIER_PROVIDERS.join(", ")}`);
+    }
+    const provider = factory(options);
+
+    return {
+        name: provider.name,
+        model: provider.model,
+        async classify(image) {
+            const limit = Math.min(Math.max(topK, 1), MAX_CANDIDATES);
+            const result = await provider.classify(image, { topK: limit });
+            return normalizeResult(provider, result, { topK: limit, resolveSpecies });
+        },
+    };
+};
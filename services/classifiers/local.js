@@ -0,0 +1,175 @@
+import fs from "fs";
+import path from "path";
+import sharp from "sharp";
+import * as tf from "@tensorflow/tfjs";
+import * as mobilenet from "@tensorflow-models/mobilenet";
+import { ClassifierError } from "./errors.js";
+
+const INPUT_SIZE = 224;
+
+// ImageNet bird classes (as named by mobilenet.classify), mapped to eBird
+// taxonomy names. Classes that cover a whole group map to the eBird group
+// (spuh or slash) closest to what the class pictures; some only carry a common name.
+// Every name must exist in taxonomyCache.json (see test/local-classifier.test.js).
+export const IMAGENET_BIRDS = {
+    "cock": ["Red Junglefowl (Domestic type)", "Gallus gallus (Domestic type)"],
+    "hen": ["Red Junglefowl (Domestic type)", "Gallus gallus (Domestic type)"],
+    "ostrich, Struthio camelus": ["Common Ostrich", "Struthio camelus"],
+    "brambling, Fringilla montifringilla": ["Brambling", "Fringilla montifringilla"],
+    "goldfinch, Carduelis carduelis": ["European Goldfinch", "Carduelis carduelis"],
+    "house finch, linnet, Carpodacus mexicanus": ["House Finch", "Haemorhous mexicanus"],
+    "junco, snowbird": ["Dark-eyed Junco", "Junco hyemalis"],
+    "indigo bunting, indigo finch, indigo bird, Passerina cyanea": ["Indigo Bunting", "Passerina cyanea"],
+    "robin, American robin, Turdus migratorius": ["American Robin", "Turdus migratorius"],
+    "bulbul": ["Pycnonotus sp.", "Pycnonotus sp."],
+    "jay": ["jay sp."],
+    "magpie": ["Eurasian Magpie", "Pica pica"],
+    "chickadee": ["chickadee sp."],
+    "water ouzel, dipper": ["White-throated Dipper", "Cinclus cinclus"],
+    "kite": ["Red/Black Kite", "Milvus milvus/migrans"],
+    "bald eagle, American eagle, Haliaeetus leucocephalus": ["Bald Eagle", "Haliaeetus leucocephalus"],
+    "vulture": ["new world vulture sp.", "Cathartidae sp."],
+    "great grey owl, great gray owl, Strix nebulosa": ["Great Gray Owl", "Strix nebulosa"],
+    "black grouse": ["Black Grouse", "Lyrurus tetrix"],
+    "ptarmigan": ["ptarmigan sp."],
+    "ruffed grouse, partridge, Bonasa umbellus": ["Ruffed Grouse", "Bonasa umbellus"],
+    "prairie chicken, prairie grouse, prairie fowl": ["Greater/Lesser Prairie-Chicken", "Tympanuchus cupido/pallidicinctus"],
+    "peacock": ["Indian Peafowl", "Pavo cristatus"],
+    "quail": ["old world quail sp.", "Synoicus/Coturnix sp."],
+    "partridge": ["Gray Partridge", "Perdix perdix"],
+    "African grey, African gray, Psittacus erithacus": ["Gray Parrot", "Psittacus erithacus"],
+    "macaw": ["large macaw sp.", "Ara sp."],
+    "sulphur-crested cockatoo, Kakatoe galerita, Cacatua galerita": ["Sulphur-crested Cockatoo", "Cacatua galerita"],
+    "lorikeet": ["lorikeet sp."],
+    "coucal": ["coucal sp."],
+    "bee eater": ["bee-eater sp."],
+    "hornbill": ["hornbill sp."],
+    "hummingbird": ["hummingbird sp."],
+    "jacamar": ["jacamar sp."],
+    "toucan": ["large toucan sp.", "Ramphastos sp."],
+    "drake": ["Mallard", "Anas platyrhynchos"],
+    "red-breasted merganser, Mergus serrator": ["Red-breasted Merganser", "Mergus serrator"],
+    "goose": ["goose sp."],
+    "black swan, Cygnus atratus": ["Black Swan", "Cygnus atratus"],
+    "white stork, Ciconia ciconia": ["White Stork", "Ciconia ciconia"],
+    "black stork, Ciconia nigra": ["Black Stork", "Ciconia nigra"],
+    "spoonbill": ["spoonbill sp."],
+    "flamingo": ["flamingo sp."],
+    "little blue heron, Egretta caerulea": ["Little Blue Heron", "Egretta caerulea"],
+    "American egret, great white heron, Egretta albus": ["Great Egret", "Ardea alba"],
+    "bittern": ["Eurasian Bittern", "Botaurus stellaris"],
+    "crane": ["crane sp."],
+    "limpkin, Aramus pictus": ["Limpkin", "Aramus guarauna"],
+    "European gallinule, Porphyrio porphyrio": ["Western Swamphen", "Porphyrio porphyrio"],
+    "American coot, marsh hen, mud hen, water hen, Fulica americana": ["American Coot", "Fulica americana"],
+    "bustard": ["bustard sp."],
+    "ruddy turnstone, Arenaria interpres": ["Ruddy Turnstone", "Arenaria interpres"],
+    "red-backed sandpiper, dunlin, Erolia alpina": ["Dunlin", "Calidris alpina"],
+    "redshank, Tringa totanus": ["Common Redshank", "Tringa totanus"],
+    "dowitcher": ["Short-billed/Long-billed Dowitcher", "Limnodromus griseus/scolopaceus"],
+    "oystercatcher, oyster catcher": ["oystercatcher sp."],
+    "pelican": ["pelican sp."],
+    "king penguin, Aptenodytes patagonica": ["King Penguin", "Aptenodytes patagonicus"],
+    "albatross, mollymawk": ["albatross sp."],
+};
+
+// Reads a converted TF.js graph model (model.json + weight shards) from disk
+const fileSystemHandler = (modelJsonPath) => ({
+    async load() {
+        const { weightsManifest, ...modelJson } = JSON.parse(await fs.promises.readFile(modelJsonPath, "utf8"));
+        const directory = path.dirname(modelJsonPath);
+        const weightSpecs = [];
+        const shards = [];
+
+        for (const group of weightsManifest) {
+            weightSpecs.push(...group.weights);
+            for (const shard of group.paths) {
+                shards.push(await fs.promises.readFile(path.join(directory, shard)));
+            }
+        }
+
+        const weights = Buffer.concat(shards);
+        return {
+            ...modelJson,
+            weightSpecs,
+            weightData: weights.buffer.slice(weights.byteOffset, weights.byteOffset + weights.byteLength),
+        };
+    },
+});
+
+// Offline TensorFlow.js MobileNet provider running on the CPU backend. The model is read from
+// modelPath only: without it mobilenet.load() would download the weights from the internet.
+export const createLocalClassifier = ({ modelPath = process.env.LOCAL_MODEL_PATH } = {}) => {
+    if (!modelPath) {
+        throw new Error("The local classifier needs LOCAL_MODEL_PATH set to a MobileNet v2 model.json (see README)");
+    }
+    if (!fs.existsSync(modelPath)) {
+        throw new Error(`LOCAL_MODEL_PATH does not exist: ${path.resolve(modelPath)}`);
+    }
+    let modelPromise = null;
+
+    const loadModel = () => {
+        if (!modelPromise) {
+            modelPromise = (async () => {
+                await tf.setBackend("cpu");
+                await tf.ready();
+                return mobilenet.load({ version: 2, alpha: 1.0, modelUrl: fileSystemHandler(path.resolve(modelPath)) });
+            })().catch(error => {
+                modelPromise = null;
+                throw new ClassifierError(`Failed to load local model: ${error.message}`, 503);
+            });
+        }
+        return modelPromise;
+    };
+
+    return {
+        name: "local",
+        model: path.basename(path.dirname(path.resolve(modelPath))),
+        async classify({ buffer }, { topK }) {
+            const model = await loadModel();
+
+            let pixels;
+            try {
+                pixels = await sharp(buffer)
+                    .removeAlpha()
+                    .toColourspace("srgb")
+                    .resize(INPUT_SIZE, INPUT_SIZE, { fit: "cover" })
+                    .raw()
+                    .toBuffer();
+            } catch (error) {
+                throw new ClassifierError(`Unable to decode image: ${error.message}`, 400);
+            }
+
+            const input = tf.tensor3d(new Int32Array(pixels), [INPUT_SIZE, INPUT_SIZE, 3], "int32");
+            let predictions;
+            try {
+                // Ask for extra classes since most of ImageNet is not birds
+                predictions = await model.classify(input, Math.max(20, topK * 4));
+            } finally {
+                input.dispose();
+            }
+
+            const birds = predictions.filter(prediction => prediction.className in IMAGENET_BIRDS);
+            if (birds.length === 0) {
+                throw new ClassifierError("No bird detected in image", 422);
+            }
+
+            // Several ImageNet classes can map to one species (cock/hen), so merge them
+            const candidates = new Map();
+            birds.forEach(({ className, probability }) => {
+                const [species, scientificName = null] = IMAGENET_BIRDS[className];
+                const existing = candidates.get(species);
+                if (existing) existing.confidence += probability;
+                else candidates.set(species, { species, scientificName, confidence: probability });
+            });
+
+            return {
+                candidates: [...candidates.values()].slice(0, topK),
+                description: null,
+                lifespan: null,
+                commonFood: null,
+                commonPredators: null,
+            };
+        },
+    };
+};
@@ -0,0 +1,65 @@
+import OpenAI from "openai";
+import { ClassifierError, ClassificationValidationError } from "./errors.js";
+import { CLASSIFICATION_SCHEMA } from "./schema.js";
+
+const buildPrompt = (topK) =>
+    `Identify the bird species in this image. List up to ${topK} candidate species, most likely first, ` +
+    "each with its common name, scientific name and a confidence between 0 and 1. " +
+    "Describe the most likely species and give its lifespan, common food and common predators. " +
+    "Use null for anything you cannot determine.";
+
+// Models without native structured output sometimes wrap JSON in a code fence
+const parseJson = (content) => {
+    const text = content.trim().replace(/^```(?:json)?\s*/i, "").replace(/\s*```$/, "");
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        throw new ClassificationValidationError([{ field: "(root)", message: `response is not valid JSON: ${error.message}` }]);
+    }
+};
+
+// OpenAI vision provider; wrapClient can put a layer (such as fixture record/replay) around the SDK client.
+// It is applied per request and told the hash of the uploaded file, when the caller passes one.
+export const createOpenAIClassifier = ({
+    apiKey = process.env.OPENAI_API_KEY,
+    model = process.env.OPENAI_MODEL || "gpt-4o",
+    client,
+    wrapClient = (openaiClient) => openaiClient,
+} = {}) => {
+    const openai = client || new OpenAI({ apiKey: apiKey || "" });
+
+    return {
+        name: "openai",
+        model,
+        async classify({ buffer, mimeType, sha256 }, { topK }) {
+            const openaiResponse = await wrapClient(openai, { imageSha256: sha256 }).chat.completions.create({
+                model,
+                messages: [
+                    {
+                        role: "user",
+                        content: [
+                            { type: "text", text: buildPrompt(topK) },
+                            {
+                                type: "image_url",
+                                image_url: {
+                                    url: `data:${mimeType};base64,${buffer.toString("base64")}`,
+                                },
+                            },
+                        ],
+                    },
+                ],
+                response_format: {
+                    type: "json_schema",
+                    json_schema: { name: "bird_classification", schema: CLASSIFICATION_SCHEMA },
+                },
+                max_tokens: 800,
+                temperature: 0.2,
+            });
+
+            const content = openaiResponse.choices[0]?.message?.content;
+            if (!content) throw new ClassifierError("No classification received", 502);
+
+            return parseJson(content);
+        },
+    };
+};
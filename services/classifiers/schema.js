@@ -0,0 +1,94 @@
+// Schema every provider's classification has to satisfy. It is also sent to
+// OpenAI as the response_format so the model answers in this exact shape.
+
+export const MAX_CANDIDATES = 10;
+
+const nullableText = { type: ["string", "null"] };
+
+export const CLASSIFICATION_SCHEMA = {
+    type: "object",
+    additionalProperties: false,
+    required: ["candidates", "description", "lifespan", "commonFood", "commonPredators"],
+    properties: {
+        candidates: {
+            type: "array",
+            minItems: 1,
+            maxItems: MAX_CANDIDATES,
+            items: {
+                type: "object",
+                additionalProperties: false,
+                required: ["species", "scientificName", "confidence"],
+                properties: {
+                    species: { type: "string", minLength: 1 },
+                    scientificName: nullableText,
+                    confidence: { type: "number", minimum: 0, maximum: 1 },
+                },
+            },
+        },
+        description: nullableText,
+        lifespan: nullableText,
+        commonFood: nullableText,
+        commonPredators: nullableText,
+    },
+};
+
+const typeOf = (value) => {
+    if (value === null) return "null";
+    if (Array.isArray(value)) return "array";
+    if (typeof value === "number") return Number.isFinite(value) ? "number" : "NaN";
+    return typeof value;
+};
+
+// Small JSON Schema subset: type, required, properties, additionalProperties,
+// items, minItems/maxItems, minLength, minimum/maximum.
+// Returns a list of { field, message } problems (empty when valid).
+export const validateAgainstSchema = (value, schema, field = "") => {
+    const label = field || "(root)";
+    const types = [].concat(schema.type || []);
+    const actual = typeOf(value);
+
+    if (types.length && !types.includes(actual)) {
+        return [{ field: label, message: `expected ${types.join(" or ")}, got ${actual}` }];
+    }
+
+    const errors = [];
+    if (actual === "object") {
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) errors.push({ field: field ? `${field}.${key}` : key, message: "is required" });
+        });
+        Object.entries(value).forEach(([key, child]) => {
+            const path = field ? `${field}.${key}` : key;
+            const childSchema = schema.properties?.[key];
+            if (childSchema) {
+                errors.push(...validateAgainstSchema(child, childSchema, path));
+            } else if (schema.additionalProperties === false) {
+                errors.push({ field: path, message: "is not allowed" });
+            }
+        });
+    }
+    if (actual === "array") {
+        if (schema.minItems != null && value.length < schema.minItems) {
+            errors.push({ field: label, message: `must have at least ${schema.minItems} item(s)` });
+        }
+        if (schema.maxItems != null && value.length > schema.maxItems) {
+            errors.push({ field: label, message: `must have at most ${schema.maxItems} item(s)` });
+        }
+        if (schema.items) {
+            value.forEach((item, i) => errors.push(...validateAgainstSchema(item, schema.items, `${field}[${i}]`)));
+        }
+    }
+    if (actual === "string" && schema.minLength != null && value.trim().length < schema.minLength) {
+        errors.push({ field: label, message: "must not be empty" });
+    }
+    if (actual === "number") {
+        if (schema.minimum != null && value < schema.minimum) {
+            errors.push({ field: label, message: `must be >= ${schema.minimum}` });
+        }
+        if (schema.maximum != null && value > schema.maximum) {
+            errors.push({ field: label, message: `must be <= ${schema.maximum}` });
+        }
+    }
+    return errors;
+};
+
+export const validateClassification = (value) => validateAgainstSchema(value, CLASSIFICATION_SCHEMA);
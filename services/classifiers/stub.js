@@ -0,0 +1,62 @@
+import crypto from "crypto";
+
+// Canned answers for demos; the same image always maps to the same bird
+const PROFILES = [
+    {
+        species: "Indian Peafowl",
+        scientificName: "Pavo cristatus",
+        description: "Large pheasant; males carry a long iridescent blue-green train with eye spots.",
+        lifespan: "10-25 years",
+        commonFood: "Seeds, insects, small reptiles, berries",
+        commonPredators: "Leopards, tigers, dogs, large raptors",
+    },
+    {
+        species: "European Goldfinch",
+        scientificName: "Carduelis carduelis",
+        description: "Small finch with a red face, black-and-white head and bright yellow wing bars.",
+        lifespan: "2-3 years",
+        commonFood: "Thistle and teasel seeds, insects in summer",
+        commonPredators: "Sparrowhawks, cats, magpies",
+    },
+    {
+        species: "American Robin",
+        scientificName: "Turdus migratorius",
+        description: "Gray-brown thrush with a warm orange breast, common on lawns and in woodland.",
+        lifespan: "About 2 years in the wild",
+        commonFood: "Earthworms, insects, fruit",
+        commonPredators: "Hawks, cats, snakes",
+    },
+];
+
+const STUB_CONFIDENCES = [0.86, 0.09, 0.03];
+
+// Deterministic provider for demos and offline development
+export const createStubClassifier = ({ species = process.env.STUB_SPECIES } = {}) => {
+    const fixed = species
+        ? PROFILES.find(profile => profile.species.toLowerCase() === species.toLowerCase())
+        : null;
+
+    return {
+        name: "stub",
+        model: "stub",
+        async classify({ buffer }, { topK }) {
+            const index = fixed
+                ? PROFILES.indexOf(fixed)
+                : crypto.createHash("sha256").update(buffer).digest()[0] % PROFILES.length;
+            const { species, scientificName, ...details } = PROFILES[index];
+
+            // The other profiles become lower-ranked alternatives
+            const alternatives = PROFILES.filter((_, i) => i !== index)
+                .map((profile, i) => ({
+                    species: profile.species,
+                    scientificName: profile.scientificName,
+                    confidence: STUB_CONFIDENCES[i + 1],
+                }));
+
+            return {
+                candidates: [{ species, scientificName, confidence: STUB_CONFIDENCES[0] }, ...alternatives].slice(0, topK),
+                ...details,
+            };
+        },
+    };
+};
@@ -0,0 +1,8 @@
+// CSV output helpers shared by the exporters
+
+export const csvField = (value) => {
+    const text = value == null ? "" : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const csvLine = (values) => values.map(csvField).join(",") + "\n";
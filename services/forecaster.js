@@ -0,0 +1,207 @@
+// Seasonal forecaster for migration paths.
+// Fits latitude (y) and longitude (z) independently as a mean plus a Fourier
+// series over the year (Prophet-style yearly seasonality), solved with ridge
+// regularised least squares so the output is fully deterministic.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_DAYS = 365.25;
+const MAX_FOURIER_ORDER = 3;
+const RIDGE = 1e-6;
+const Z_95 = 1.96;
+
+export const MIN_OBSERVATIONS = 5;
+// Enough of the year for one yearly harmonic (see train)
+export const MIN_MONTHS = 3;
+export const MAX_PERIODS = 3 * 365;
+
+export class InsufficientDataError extends Error {
+    constructor(message, details = {}) {
+        super(message);
+        this.name = "InsufficientDataError";
+        this.details = details;
+    }
+}
+
+const toDayNumber = (ds) => {
+    const time = new Date(ds).getTime();
+    return Number.isNaN(time) ? NaN : Math.floor(time / DAY_MS);
+};
+
+const formatDay = (day) => new Date(day * DAY_MS).toISOString().slice(0, 10);
+
+const wrapLongitude = (lng) => ((((lng + 180) % 360) + 360) % 360) - 180;
+
+// Circular mean so flocks crossing the antimeridian don't average to 0°.
+const circularMeanLongitude = (values) => {
+    let sin = 0;
+    let cos = 0;
+    values.forEach(v => {
+        const rad = (v * Math.PI) / 180;
+        sin += Math.sin(rad);
+        cos += Math.cos(rad);
+    });
+    return (Math.atan2(sin, cos) * 180) / Math.PI;
+};
+
+// Row of the design matrix: intercept followed by sin/cos pairs.
+const features = (day, order) => {
+    const row = [1];
+    for (let k = 1; k <= order; k++) {
+        const angle = (2 * Math.PI * k * day) / YEAR_DAYS;
+        row.push(Math.sin(angle), Math.cos(angle));
+    }
+    return row;
+};
+
+// Gauss-Jordan inverse with partial pivoting; matrices here are at most 7x7.
+const invert = (matrix) => {
+    const n = matrix.length;
+    const a = matrix.map((row, i) => [...row, ...row.map((_, j) => (i === j ? 1 : 0))]);
+
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let r = col + 1; r < n; r++) {
+            if (Math.abs(a[r][col]) > Math.abs(a[pivot][col])) pivot = r;
+        }
+        if (Math.abs(a[pivot][col]) < 1e-12) {
+            throw new Error("Design matrix is singular");
+        }
+        [a[col], a[pivot]] = [a[pivot], a[col]];
+
+        const p = a[col][col];
+        for (let j = 0; j < 2 * n; j++) a[col][j] /= p;
+
+        for (let r = 0; r < n; r++) {
+            if (r === col) continue;
+            const factor = a[r][col];
+            if (factor === 0) continue;
+            for (let j = 0; j < 2 * n; j++) a[r][j] -= factor * a[col][j];
+        }
+    }
+
+    return a.map(row => row.slice(n));
+};
+
+const dot = (a, b) => a.reduce((sum, v, i) => sum + v * b[i], 0);
+
+const multiplyVector = (matrix, vector) => matrix.map(row => dot(row, vector));
+
+export class SimpleForecaster {
+    constructor({ fourierOrder = MAX_FOURIER_ORDER, interval = Z_95 } = {}) {
+        this.maxOrder = fourierOrder;
+        this.interval = interval;
+        this.trained = false;
+    }
+
+    train(historicalData) {
+        const rows = (historicalData || [])
+            .map(row => ({ day: toDayNumber(row.ds), y: Number(row.y), z: Number(row.z) }))
+            .filter(row =>
+                Number.isFinite(row.day) &&
+                Number.isFinite(row.y) && Math.abs(row.y) <= 90 &&
+                Number.isFinite(row.z) && Math.abs(row.z) <= 180
+            )
+            .sort((a, b) => a.day - b.day);
+
+        const distinctDays = new Set(rows.map(row => row.day)).size;
+        if (rows.length < MIN_OBSERVATIONS || distinctDays < 2) {
+            throw new InsufficientDataError(
+                `At least ${MIN_OBSERVATIONS} valid observations on 2 or more dates are required to forecast migration.`,
+                { validObservations: rows.length, distinctDates: distinctDays, required: MIN_OBSERVATIONS }
+            );
+        }
+
+        // Each harmonic adds a sin/cos pair, so order k needs 2k+1 distinct months of the year to be
+        // pinned down; fewer days spread over the year leave the curve free to swing between them.
+        const distinctMonths = new Set(rows.map(row => new Date(row.day * DAY_MS).getUTCMonth())).size;
+        if (distinctMonths < MIN_MONTHS) {
+            throw new InsufficientDataError(
+                `Observations from at least ${MIN_MONTHS} different months of the year are required to forecast migration.`,
+                { validObservations: rows.length, distinctDates: distinctDays, distinctMonths, requiredMonths: MIN_MONTHS }
+            );
+        }
+
+        // Keep at least two residual degrees of freedom for the interval estimate.
+        const order = Math.min(
+            this.maxOrder,
+            Math.floor((distinctDays - 3) / 2),
+            Math.floor((distinctMonths - 1) / 2)
+        );
+
+        this.longitudeCenter = circularMeanLongitude(rows.map(row => row.z));
+        const X = rows.map(row => features(row.day, order));
+        const lat = rows.map(row => row.y);
+        const lng = rows.map(row => wrapLongitude(row.z - this.longitudeCenter));
+
+        const size = X[0].length;
+        const xtx = Array.from({ length: size }, (_, i) =>
+            Array.from({ length: size }, (_, j) =>
+                X.reduce((sum, row) => sum + row[i] * row[j], 0) + (i === j && i > 0 ? RIDGE : 0)
+            )
+        );
+        const xtxInv = invert(xtx);
+
+        const fit = (target) => {
+            const xty = Array.from({ length: size }, (_, i) => X.reduce((sum, row, r) => sum + row[i] * target[r], 0));
+            const coefficients = multiplyVector(xtxInv, xty);
+            const sse = X.reduce((sum, row, r) => sum + (target[r] - dot(row, coefficients)) ** 2, 0);
+            const dof = Math.max(1, rows.length - size);
+            return { coefficients, sigma: Math.sqrt(sse / dof) };
+        };
+
+        this.order = order;
+        this.xtxInv = xtxInv;
+        this.latitude = fit(lat);
+        this.longitude = fit(lng);
+        this.observations = rows.length;
+        this.firstDay = rows[0].day;
+        this.lastDay = rows[rows.length - 1].day;
+        this.trained = true;
+        return this;
+    }
+
+    predict(periods = 365) {
+        if (!this.trained) {
+            throw new Error("Forecaster must be trained before predicting");
+        }
+
+        const count = Math.min(Math.max(1, Math.floor(periods)), MAX_PERIODS);
+        const path = [];
+
+        for (let step = 1; step <= count; step++) {
+            const day = this.lastDay + step;
+            const x = features(day, this.order);
+            // Prediction interval: residual noise plus coefficient uncertainty.
+            const leverage = dot(x, multiplyVector(this.xtxInv, x));
+            const spread = Math.sqrt(1 + leverage) * this.interval;
+
+            const lat = dot(x, this.latitude.coefficients);
+            const latBand = spread * this.latitude.sigma;
+            const lngOffset = dot(x, this.longitude.coefficients);
+            const lngBand = Math.min(180, spread * this.longitude.sigma);
+
+            path.push({
+                ds: formatDay(day),
+                latitude: Math.max(-90, Math.min(90, lat)),
+                longitude: wrapLongitude(lngOffset + this.longitudeCenter),
+                latitudeLower: Math.max(-90, lat - latBand),
+                latitudeUpper: Math.min(90, lat + latBand),
+                longitudeLower: wrapLongitude(lngOffset - lngBand + this.longitudeCenter),
+                longitudeUpper: wrapLongitude(lngOffset + lngBand + this.longitudeCenter),
+            });
+        }
+
+        return path;
+    }
+
+    summary() {
+        return {
+            observations: this.observations,
+            fourierOrder: this.order,
+            trainedFrom: formatDay(this.firstDay),
+            trainedTo: formatDay(this.lastDay),
+            latitudeStdDev: this.latitude.sigma,
+            longitudeStdDev: this.longitude.sigma,
+        };
+    }
+}
@@ -0,0 +1,253 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import axios from "axios";
+import { EventEmitter } from "events";
+
+// Shared cache for upstream GET requests (Xeno-Canto, Unsplash, eBird).
+// Entries are kept in memory and mirrored to <directory>/<source>/<hash>.json
+// so they survive restarts. When an upstream call fails, an expired entry
+// still inside the source's maxStale window is served instead. Entries past
+// that window are deleted when read, and by a sweep at most once an hour.
+// Every new entry is announced as a "write" event (source, entry).
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+const PRUNE_INTERVAL = HOUR;
+
+export const DEFAULT_SOURCES = {
+    xenocanto: { ttl: 7 * DAY, maxStale: 90 * DAY },
+    unsplash: { ttl: DAY, maxStale: 30 * DAY },
+    ebird: { ttl: 15 * MINUTE, maxStale: 2 * DAY },
+};
+
+// Query parameters and headers that carry credentials never become part of a key
+const SECRET_PARAMS = new Set(["client_id", "key", "api_key", "apikey", "token"]);
+
+export class HttpCache extends EventEmitter {
+    constructor({ directory, sources = DEFAULT_SOURCES, maxMemoryEntries = 500, client = axios } = {}) {
+        super();
+        this.directory = directory;
+        this.sources = sources;
+        this.maxMemoryEntries = maxMemoryEntries;
+        this.client = client;
+        this.memory = new Map();
+        this.inFlight = new Map();
+        this.stats = {};
+        this.lastPrune = 0;
+    }
+
+    counters(source) {
+        if (!this.stats[source]) {
+            this.stats[source] = { hits: 0, misses: 0, stale: 0, errors: 0 };
+        }
+        return this.stats[source];
+    }
+
+    static keyFor(url, params = {}) {
+        const query = Object.keys(params)
+            .filter(name => !SECRET_PARAMS.has(name.toLowerCase()) && params[name] != null)
+            .sort()
+            .map(name => `${name}=${params[name]}`)
+            .join("&");
+        return query ? `${url}?${query}` : url;
+    }
+
+    entryPath(source, key) {
+        const hash = crypto.createHash("sha1").update(key).digest("hex");
+        return path.join(this.directory, source, `${hash}.json`);
+    }
+
+    // An entry past ttl + maxStale can no longer be served, not even as a fallback
+    isExpired(source, storedAt) {
+        const { ttl, maxStale = 0 } = this.sources[source] || {};
+        return ttl != null && Date.now() - storedAt > ttl + maxStale;
+    }
+
+    async evict(source, key) {
+        this.memory.delete(`${source}:${key}`);
+        if (this.directory) await fs.promises.rm(this.entryPath(source, key), { force: true });
+    }
+
+    async read(source, key) {
+        const cacheKey = `${source}:${key}`;
+        let entry = null;
+        if (this.memory.has(cacheKey)) {
+            entry = this.memory.get(cacheKey);
+            // Re-insert to keep Map order as least-recently-used first
+            this.memory.delete(cacheKey);
+            this.memory.set(cacheKey, entry);
+        } else if (this.directory) {
+            try {
+                entry = JSON.parse(await fs.promises.readFile(this.entryPath(source, key), "utf8"));
+            } catch {
+                return null;
+            }
+            if (entry.key !== key) return null;
+            this.remember(cacheKey, entry);
+        }
+
+        if (entry && this.isExpired(source, entry.storedAt)) {
+            await this.evict(source, key).catch(() => {});
+            return null;
+        }
+        return entry;
+    }
+
+    remember(cacheKey, entry) {
+        this.memory.set(cacheKey, entry);
+        if (this.memory.size > this.maxMemoryEntries) {
+            this.memory.delete(this.memory.keys().next().value);
+        }
+    }
+
+    async write(source, key, data) {
+        const entry = { key, storedAt: Date.now(), data };
+        this.remember(`${source}:${key}`, entry);
+        this.emit("write", source, entry);
+        if (Date.now() - this.lastPrune > PRUNE_INTERVAL) {
+            this.prune().catch(error => console.error(`Cache prune failed: ${error.message}`));
+        }
+        if (!this.directory) return entry;
+
+        try {
+            const filePath = this.entryPath(source, key);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            const tempPath = `${filePath}.${process.pid}.tmp`;
+            await fs.promises.writeFile(tempPath, JSON.stringify(entry));
+            await fs.promises.rename(tempPath, filePath);
+        } catch (error) {
+            // A failed disk write only costs us persistence, not the response
+            console.error(`Cache write failed for ${source}: ${error.message}`);
+        }
+        return entry;
+    }
+
+    // Returns { data, cache: "hit" | "miss" | "stale", storedAt }
+    async fetch(source, key, loader) {
+        const { ttl, maxStale = 0 } = this.sources[source] || {};
+        if (ttl == null) throw new Error(`Unknown cache source: ${source}`);
+        const stats = this.counters(source);
+
+        const cached = await this.read(source, key);
+        const age = cached ? Date.now() - cached.storedAt : Infinity;
+        if (cached && age <= ttl) {
+            stats.hits++;
+            return { data: cached.data, cache: "hit", storedAt: cached.storedAt };
+        }
+
+        // Identical concurrent requests share one upstream call
+        const flightKey = `${source}:${key}`;
+        if (!this.inFlight.has(flightKey)) {
+            this.inFlight.set(flightKey, loader()
+                .then(data => this.write(source, key, data))
+                .finally(() => this.inFlight.delete(flightKey)));
+        }
+
+        try {
+            const entry = await this.inFlight.get(flightKey);
+            stats.misses++;
+            return { data: entry.data, cache: "miss", storedAt: entry.storedAt };
+        } catch (error) {
+            stats.errors++;
+            if (cached && age <= ttl + maxStale) {
+                stats.stale++;
+                console.warn(`Serving stale ${source} data after upstream error: ${error.message}`);
+                return { data: cached.data, cache: "stale", storedAt: cached.storedAt };
+            }
+            throw error;
+        }
+    }
+
+    // Cached axios GET; only the response body is stored
+    get(source, url, { params, headers } = {}) {
+        return this.fetch(source, HttpCache.keyFor(url, params), async () => {
+            const response = await this.client.get(url, { params, headers });
+            return response.data;
+        });
+    }
+
+    // Delete entries that have outlived their maxStale window from memory and disk; returns the number of files removed
+    async prune() {
+        this.lastPrune = Date.now();
+        for (const [cacheKey, entry] of this.memory) {
+            if (this.isExpired(cacheKey.slice(0, cacheKey.indexOf(":")), entry.storedAt)) this.memory.delete(cacheKey);
+        }
+        if (!this.directory) return 0;
+
+        let removed = 0;
+        for (const source of Object.keys(this.sources)) {
+            let names;
+            try {
+                names = await fs.promises.readdir(path.join(this.directory, source));
+            } catch {
+                continue;
+            }
+            for (const name of names.filter(file => file.endsWith(".json"))) {
+                const filePath = path.join(this.directory, source, name);
+                try {
+                    // Entry files are written once, so their modification time is when they were stored
+                    const { mtimeMs } = await fs.promises.stat(filePath);
+                    if (this.isExpired(source, mtimeMs)) {
+                        await fs.promises.rm(filePath, { force: true });
+                        removed++;
+                    }
+                } catch {
+                    // Removed by a concurrent read or prune
+                }
+            }
+        }
+        return removed;
+    }
+
+    // Every stored entry ({ key, storedAt, data }) for a source that can still be served
+    async entries(source) {
+        if (!this.directory) {
+            return [...this.memory]
+                .filter(([cacheKey, entry]) => cacheKey.startsWith(`${source}:`) && !this.isExpired(source, entry.storedAt))
+                .map(([, entry]) => entry);
+        }
+
+        let names;
+        try {
+            names = await fs.promises.readdir(path.join(this.directory, source));
+        } catch {
+            return [];
+        }
+        const entries = [];
+        for (const name of names.filter(file => file.endsWith(".json"))) {
+            try {
+                const entry = JSON.parse(await fs.promises.readFile(path.join(this.directory, source, name), "utf8"));
+                if (!this.isExpired(source, entry.storedAt)) entries.push(entry);
+            } catch {
+                // Unreadable entries are skipped, as in read()
+            }
+        }
+        return entries;
+    }
+
+    async getStats() {
+        const sources = {};
+        for (const source of Object.keys(this.sources)) {
+            let entriesOnDisk = 0;
+            if (this.directory) {
+                try {
+                    entriesOnDisk = (await fs.promises.readdir(path.join(this.directory, source)))
+                        .filter(name => name.endsWith(".json")).length;
+                } catch {
+                    entriesOnDisk = 0;
+                }
+            }
+            const counters = this.counters(source);
+            const lookups = counters.hits + counters.misses + counters.stale;
+            sources[source] = {
+                ...counters,
+                hitRate: lookups ? (counters.hits + counters.stale) / lookups : null,
+                entriesOnDisk,
+                ttlSeconds: this.sources[source].ttl / 1000,
+            };
+        }
+        return { memoryEntries: this.memory.size, sources };
+    }
+}
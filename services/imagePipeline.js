@@ -0,0 +1,139 @@
+import crypto from "crypto";
+import sharp from "sharp";
+import exifReader from "exif-reader";
+
+// Upload pre-processing: read where/when a photo was taken from its EXIF
+// data, then produce a downscaled JPEG for classification. sharp drops all
+// metadata when re-encoding, so the processed image carries no GPS tags and
+// is the only version that should ever be written to disk.
+
+export const DEFAULT_MAX_DIMENSION = 1024;
+const JPEG_QUALITY = 85;
+
+export class ImageProcessingError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "ImageProcessingError";
+        this.statusCode = 400;
+    }
+}
+
+// [degrees, minutes, seconds] + hemisphere ref -> signed decimal degrees
+const toDecimalDegrees = (parts, ref) => {
+    if (!Array.isArray(parts) || parts.length === 0 || parts.some(part => !Number.isFinite(part))) return null;
+    const [degrees, minutes = 0, seconds = 0] = parts;
+    const value = degrees + minutes / 60 + seconds / 3600;
+    return ["S", "W"].includes(String(ref).toUpperCase()) ? -value : value;
+};
+
+const validDate = (value) => (value instanceof Date && !Number.isNaN(value.getTime()) ? value : null);
+
+// GPSDateStamp ("2024:05:01") + GPSTimeStamp ([h, m, s]) are always UTC
+const gpsTimestamp = (gps) => {
+    const match = String(gps.GPSDateStamp || "").match(/^(\d{4}):(\d{2}):(\d{2})$/);
+    if (!match) return null;
+    const [hours = 0, minutes = 0, seconds = 0] = Array.isArray(gps.GPSTimeStamp) ? gps.GPSTimeStamp : [];
+    return validDate(new Date(Date.UTC(match[1], match[2] - 1, match[3], hours, minutes, Math.floor(seconds))));
+};
+
+// DateTimeOriginal has no timezone; exif-reader reads it as UTC, so apply OffsetTimeOriginal when present
+const captureTimestamp = (photo) => {
+    const taken = validDate(photo.DateTimeOriginal) || validDate(photo.DateTimeDigitized);
+    if (!taken) return null;
+    const offset = String(photo.OffsetTimeOriginal || "").match(/^([+-])(\d{2}):(\d{2})$/);
+    if (!offset) return taken;
+    const minutes = (Number(offset[2]) * 60 + Number(offset[3])) * (offset[1] === "+" ? 1 : -1);
+    return new Date(taken.getTime() - minutes * 60 * 1000);
+};
+
+export const parseExif = (exifBuffer) => {
+    const result = { latitude: null, longitude: null, altitude: null, capturedAt: null, camera: null };
+    if (!exifBuffer) return result;
+
+    let tags;
+    try {
+        tags = exifReader(exifBuffer);
+    } catch {
+        return result;
+    }
+
+    const gps = tags.GPSInfo || {};
+    const latitude = toDecimalDegrees(gps.GPSLatitude, gps.GPSLatitudeRef);
+    const longitude = toDecimalDegrees(gps.GPSLongitude, gps.GPSLongitudeRef);
+    if (latitude !== null && longitude !== null && Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180 &&
+        !(latitude === 0 && longitude === 0)) {
+        result.latitude = latitude;
+        result.longitude = longitude;
+        if (Number.isFinite(gps.GPSAltitude)) {
+            result.altitude = gps.GPSAltitudeRef === 1 ? -gps.GPSAltitude : gps.GPSAltitude;
+        }
+    }
+
+    const capturedAt = captureTimestamp(tags.Photo || {}) || gpsTimestamp(gps);
+    result.capturedAt = capturedAt ? capturedAt.toISOString() : null;
+
+    const camera = [tags.Image?.Make, tags.Image?.Model].filter(Boolean).join(" ").trim();
+    result.camera = camera || null;
+    return result;
+};
+
+// Auto-rotate, downscale and re-encode without metadata
+export const sanitizeImage = async (buffer, { maxDimension = DEFAULT_MAX_DIMENSION } = {}) => {
+    const { data, info } = await sharp(buffer)
+        .rotate()
+        .resize(maxDimension, maxDimension, { fit: "inside", withoutEnlargement: true })
+        .flatten({ background: "#ffffff" })
+        .jpeg({ quality: JPEG_QUALITY, mozjpeg: true })
+        .toBuffer({ resolveWithObject: true });
+    return { buffer: data, mimeType: "image/jpeg", width: info.width, height: info.height };
+};
+
+// 64-bit difference hash (dHash) as 16 hex chars: near-identical images
+// (re-saved, resized, lightly recompressed) differ in only a few bits
+export const perceptualHash = async (buffer) => {
+    const pixels = await sharp(buffer)
+        .rotate()
+        .grayscale()
+        .resize(9, 8, { fit: "fill" })
+        .raw()
+        .toBuffer();
+
+    let hash = 0n;
+    for (let row = 0; row < 8; row++) {
+        for (let col = 0; col < 8; col++) {
+            hash = (hash << 1n) | (pixels[row * 9 + col] > pixels[row * 9 + col + 1] ? 1n : 0n);
+        }
+    }
+    return hash.toString(16).padStart(16, "0");
+};
+
+// Returns { image: { buffer, mimeType, width, height, originalWidth, originalHeight, originalBytes }, exif, hashes }
+export const processUpload = async (buffer, options = {}) => {
+    let metadata;
+    try {
+        metadata = await sharp(buffer).metadata();
+    } catch (error) {
+        throw new ImageProcessingError(`Unable to read image: ${error.message}`);
+    }
+
+    // A truncated or corrupt file can still have a readable header and only fail once decoded
+    let image;
+    try {
+        image = await sanitizeImage(buffer, options);
+    } catch (error) {
+        throw new ImageProcessingError(`Unable to decode image: ${error.message}`);
+    }
+    return {
+        image: {
+            ...image,
+            originalWidth: metadata.width,
+            originalHeight: metadata.height,
+            originalBytes: buffer.length,
+        },
+        exif: parseExif(metadata.exif),
+        hashes: {
+            sha256: crypto.createHash("sha256").update(buffer).digest("hex"),
+            perceptual: await perceptualHash(image.buffer),
+        },
+    };
+};
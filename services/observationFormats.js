@@ -0,0 +1,250 @@
+import csv from "csvtojson";
+import { csvLine } from "./csv.js";
+
+// Parsers and serializers for bulk observation import/export.
+// Parsers return one entry per source row: { row, speciesNames, latitude, longitude, observationDate, errors }
+// where speciesNames are tried in order against the taxonomy.
+// Serializers are generators yielding text chunks so routes can stream them.
+
+export const FORMATS = {
+    csv: { contentType: "text/csv", extension: "csv" },
+    geojson: { contentType: "application/geo+json", extension: "geojson" },
+    gpx: { contentType: "application/gpx+xml", extension: "gpx" },
+    ebird: { contentType: "text/csv", extension: "csv" },
+};
+
+const EBIRD_COLUMNS = [
+    "Submission ID", "Common Name", "Scientific Name", "Taxonomic Order", "Count",
+    "State/Province", "County", "Location ID", "Location", "Latitude", "Longitude",
+    "Date", "Time", "Protocol", "Duration (Min)", "All Obs Reported", "Distance Traveled (km)",
+    "Area Covered (ha)", "Number of Observers", "Breeding Code", "Observation Details", "Checklist Comments", "ML Catalog Numbers",
+];
+
+const CSV_COLUMNS = ["id", "speciesCode", "comName", "sciName", "latitude", "longitude", "observationDate", "status"];
+
+// Case/spacing-insensitive column lookup
+const pick = (row, ...names) => {
+    const keys = Object.keys(row);
+    for (const name of names) {
+        const key = keys.find(k => k.trim().toLowerCase() === name.toLowerCase());
+        if (key && String(row[key]).trim() !== "") return String(row[key]).trim();
+    }
+    return undefined;
+};
+
+const compact = (values) => values.filter(value => value != null && String(value).trim() !== "");
+
+// Header row of an eBird "Download My Data" export
+export const isEbirdExport = (text) => {
+    const header = text.slice(0, text.indexOf("\n") === -1 ? undefined : text.indexOf("\n"));
+    return /submission id/i.test(header) && /common name/i.test(header);
+};
+
+// eBird times look like "07:30 AM"; exports carry no timezone, so they are stored as if UTC
+const ebirdDateTime = (date, time) => {
+    if (!date) return undefined;
+    const match = time && time.match(/^(\d{1,2}):(\d{2})\s*(AM|PM)?$/i);
+    if (!match) return date;
+    let hours = parseInt(match[1]);
+    const meridiem = match[3]?.toUpperCase();
+    if (meridiem === "PM" && hours < 12) hours += 12;
+    if (meridiem === "AM" && hours === 12) hours = 0;
+    return `${date}T${String(hours).padStart(2, "0")}:${match[2]}:00Z`;
+};
+
+const parseCsvRows = async (text) => csv({ checkType: false, trim: true }).fromString(text);
+
+const parseCsv = async (text) =>
+    (await parseCsvRows(text)).map((row, index) => ({
+        row: index + 2, // header is line 1
+        speciesNames: compact([pick(row, "speciesCode", "species code"), pick(row, "sciName", "scientificName", "scientific name"), pick(row, "species", "comName", "common name")]),
+        latitude: pick(row, "latitude", "lat"),
+        longitude: pick(row, "longitude", "lng", "lon"),
+        observationDate: pick(row, "observationDate", "date", "obsDt"),
+    }));
+
+const parseEbird = async (text) =>
+    (await parseCsvRows(text)).map((row, index) => ({
+        row: index + 2,
+        speciesNames: compact([pick(row, "Scientific Name"), pick(row, "Common Name")]),
+        latitude: pick(row, "Latitude"),
+        longitude: pick(row, "Longitude"),
+        observationDate: ebirdDateTime(pick(row, "Date"), pick(row, "Time")),
+    }));
+
+const parseGeojson = async (text) => {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        return [{ row: 0, errors: [{ field: "(file)", message: `invalid JSON: ${error.message}` }] }];
+    }
+    const features = data?.type === "FeatureCollection" ? data.features : data?.type === "Feature" ? [data] : null;
+    if (!Array.isArray(features)) {
+        return [{ row: 0, errors: [{ field: "(file)", message: "expected a GeoJSON Feature or FeatureCollection" }] }];
+    }
+
+    return features.map((feature, index) => {
+        const row = index + 1;
+        if (feature?.geometry?.type !== "Point" || !Array.isArray(feature.geometry.coordinates)) {
+            return { row, errors: [{ field: "geometry", message: "must be a Point" }] };
+        }
+        const [longitude, latitude] = feature.geometry.coordinates;
+        const properties = feature.properties || {};
+        return {
+            row,
+            speciesNames: compact([properties.speciesCode, properties.sciName, properties.scientificName, properties.species, properties.comName]),
+            latitude,
+            longitude,
+            observationDate: properties.observationDate ?? properties.date ?? properties.time,
+        };
+    });
+};
+
+const XML_ENTITIES = { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" };
+
+const decodeXml = (value) =>
+    value
+        .replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, "$1")
+        .replace(/&(#x?[0-9a-f]+|\w+);/gi, (entity, code) => {
+            if (code[0] === "#") {
+                const point = code[1].toLowerCase() === "x" ? parseInt(code.slice(2), 16) : Number(code.slice(1));
+                // Out-of-range or malformed references (&#x110000;, &#12ab;) are left as written
+                return Number.isInteger(point) && point <= 0x10ffff ? String.fromCodePoint(point) : entity;
+            }
+            return XML_ENTITIES[code] ?? entity;
+        })
+        .trim();
+
+const encodeXml = (value) =>
+    String(value ?? "").replace(/[&<>"']/g, char => `&${Object.keys(XML_ENTITIES).find(key => XML_ENTITIES[key] === char)};`);
+
+const xmlAttribute = (attributes, name) => {
+    const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*("([^"]*)"|'([^']*)')`));
+    return match ? decodeXml(match[2] ?? match[3]) : undefined;
+};
+
+const xmlChild = (body, name) => {
+    const match = body.match(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`));
+    return match ? decodeXml(match[1]) : undefined;
+};
+
+// GPX waypoints: species in <name> (or <type>/<desc>), date in <time>
+const parseGpx = async (text) => {
+    if (!/<gpx[\s>]/.test(text)) {
+        return [{ row: 0, errors: [{ field: "(file)", message: "not a GPX document" }] }];
+    }
+    const waypoints = [...text.matchAll(/<wpt\b([^>]*?)(?:\/>|>([\s\S]*?)<\/wpt>)/g)];
+
+    return waypoints.map(([, attributes, body = ""], index) => ({
+        row: index + 1,
+        speciesNames: compact([xmlChild(body, "type"), xmlChild(body, "name"), xmlChild(body, "desc"), xmlChild(body, "cmt")]),
+        latitude: xmlAttribute(attributes, "lat"),
+        longitude: xmlAttribute(attributes, "lon"),
+        observationDate: xmlChild(body, "time"),
+    }));
+};
+
+const PARSERS = { csv: parseCsv, ebird: parseEbird, geojson: parseGeojson, gpx: parseGpx };
+
+export const parseObservations = async (format, text) => {
+    const parser = PARSERS[format === "csv" && isEbirdExport(text) ? "ebird" : format];
+    if (!parser) throw new Error(`Unsupported format: ${format}`);
+    return parser(text);
+};
+
+// Guess the format from a file name or content type
+export const detectFormat = ({ filename = "", contentType = "" } = {}) => {
+    const extension = filename.split(".").pop().toLowerCase();
+    if (extension === "gpx" || contentType.includes("gpx")) return "gpx";
+    if (["geojson", "json"].includes(extension) || contentType.includes("json")) return "geojson";
+    if (extension === "csv" || contentType.includes("csv")) return "csv";
+    return null;
+};
+
+// lookup(speciesCode) -> taxonomy entry ({ comName, sciName }) or null
+function* serializeCsv(observations, lookup) {
+    yield csvLine(CSV_COLUMNS);
+    for (const observation of observations) {
+        const taxon = lookup(observation.speciesCode);
+        yield csvLine([
+            observation.id,
+            observation.speciesCode,
+            taxon?.comName,
+            taxon?.sciName,
+            observation.latitude,
+            observation.longitude,
+            observation.observationDate,
+            observation.status,
+        ]);
+    }
+}
+
+function* serializeEbird(observations, lookup) {
+    yield csvLine(EBIRD_COLUMNS);
+    for (const observation of observations) {
+        const taxon = lookup(observation.speciesCode);
+        const [date, time = ""] = observation.observationDate.split("T");
+        const clock = time.slice(0, 5);
+        const hours = parseInt(clock.slice(0, 2));
+        const ebirdTime = clock ? `${String(hours % 12 || 12).padStart(2, "0")}:${clock.slice(3)} ${hours < 12 ? "AM" : "PM"}` : "";
+        const values = {
+            "Submission ID": observation.id,
+            "Common Name": taxon?.comName,
+            "Scientific Name": taxon?.sciName,
+            "Count": "X",
+            "Latitude": observation.latitude,
+            "Longitude": observation.longitude,
+            "Date": date,
+            "Time": ebirdTime,
+            "Protocol": "Incidental",
+        };
+        yield csvLine(EBIRD_COLUMNS.map(column => values[column]));
+    }
+}
+
+function* serializeGeojson(observations, lookup) {
+    yield '{"type":"FeatureCollection","features":[';
+    let first = true;
+    for (const observation of observations) {
+        const taxon = lookup(observation.speciesCode);
+        const feature = {
+            type: "Feature",
+            id: observation.id,
+            geometry: { type: "Point", coordinates: [observation.longitude, observation.latitude] },
+            properties: {
+                speciesCode: observation.speciesCode,
+                comName: taxon?.comName ?? null,
+                sciName: taxon?.sciName ?? null,
+                observationDate: observation.observationDate,
+                status: observation.status,
+            },
+        };
+        yield (first ? "" : ",") + JSON.stringify(feature);
+        first = false;
+    }
+    yield "]}\n";
+}
+
+function* serializeGpx(observations, lookup) {
+    yield '<?xml version="1.0" encoding="UTF-8"?>\n<gpx version="1.1" creator="bird-identifier-backend" xmlns="http://www.topografix.com/GPX/1/1">\n';
+    for (const observation of observations) {
+        const taxon = lookup(observation.speciesCode);
+        const time = observation.observationDate.length === 10 ? `${observation.observationDate}T00:00:00Z` : observation.observationDate;
+        yield `  <wpt lat="${observation.latitude}" lon="${observation.longitude}">\n` +
+            `    <time>${encodeXml(time)}</time>\n` +
+            `    <name>${encodeXml(taxon?.comName ?? observation.speciesCode)}</name>\n` +
+            (taxon?.sciName ? `    <desc>${encodeXml(taxon.sciName)}</desc>\n` : "") +
+            `    <type>${encodeXml(observation.speciesCode)}</type>\n` +
+            "  </wpt>\n";
+    }
+    yield "</gpx>\n";
+}
+
+const SERIALIZERS = { csv: serializeCsv, ebird: serializeEbird, geojson: serializeGeojson, gpx: serializeGpx };
+
+export const serializeObservations = (format, observations, lookup) => {
+    const serializer = SERIALIZERS[format];
+    if (!serializer) throw new Error(`Unsupported format: ${format}`);
+    return serializer(observations, lookup);
+};
@@ -0,0 +1,263 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import csv from "csvtojson";
+
+// File-backed observation store. All records live in memory and every change
+// is written back as a JSON snapshot (temp file + rename, so a crash never
+// leaves a half-written file). IDs are derived from the record contents, which
+// makes duplicate detection and re-running a migration both free.
+//
+// New submissions start as "pending" until a reviewer approves ("verified"),
+// rejects or re-identifies them. A re-identified record keeps its id, so a
+// separate content key index keeps duplicate detection working.
+
+const COORDINATE_PRECISION = 4; // ~11 m, closer than that on the same day is the same sighting
+const EARLIEST_DATE = "1900-01-01";
+export const MAX_PAGE_SIZE = 1000;
+export const OBSERVATION_STATUSES = ["pending", "verified", "rejected"];
+export const REVIEW_ACTIONS = ["approve", "reject", "reidentify"];
+
+export class ObservationValidationError extends Error {
+    constructor(details) {
+        super("Invalid observation");
+        this.name = "ObservationValidationError";
+        this.details = details;
+    }
+}
+
+// A review that cannot be applied; statusCode is what the route should answer with
+export class ObservationReviewError extends Error {
+    constructor(message, statusCode = 400) {
+        super(message);
+        this.name = "ObservationReviewError";
+        this.statusCode = statusCode;
+    }
+}
+
+const toNumber = (value) => (value === "" || value == null ? NaN : Number(value));
+
+// Returns YYYY-MM-DD for date-only input, full ISO otherwise; null if unparseable
+const normalizeDate = (value) => {
+    if (value == null || value === "") return null;
+    const text = String(value).trim();
+    if (/^\d{4}-\d{2}-\d{2}$/.test(text)) {
+        const date = new Date(`${text}T00:00:00Z`);
+        return Number.isNaN(date.getTime()) || date.toISOString().slice(0, 10) !== text ? null : text;
+    }
+    const date = new Date(text);
+    return Number.isNaN(date.getTime()) ? null : date.toISOString();
+};
+
+const dayOf = (observationDate) => observationDate.slice(0, 10);
+
+export const observationId = ({ speciesCode, latitude, longitude, observationDate }) =>
+    "obs_" + crypto
+        .createHash("sha1")
+        .update([
+            speciesCode,
+            latitude.toFixed(COORDINATE_PRECISION),
+            longitude.toFixed(COORDINATE_PRECISION),
+            dayOf(observationDate),
+        ].join("|"))
+        .digest("hex")
+        .slice(0, 16);
+
+// Check and normalize raw input; throws ObservationValidationError listing every bad field
+export const validateObservation = (input) => {
+    const errors = [];
+    const speciesCode = typeof input.speciesCode === "string" ? input.speciesCode.trim() : "";
+    const latitude = toNumber(input.latitude);
+    const longitude = toNumber(input.longitude);
+    const observationDate = normalizeDate(input.observationDate);
+
+    if (!speciesCode) errors.push({ field: "speciesCode", message: "is required" });
+    if (!Number.isFinite(latitude) || latitude < -90 || latitude > 90) {
+        errors.push({ field: "latitude", message: "must be a number between -90 and 90" });
+    }
+    if (!Number.isFinite(longitude) || longitude < -180 || longitude > 180) {
+        errors.push({ field: "longitude", message: "must be a number between -180 and 180" });
+    }
+    if (!observationDate) {
+        errors.push({ field: "observationDate", message: "must be a valid date (YYYY-MM-DD or ISO 8601)" });
+    } else {
+        // One day of slack for observers ahead of UTC
+        const tomorrow = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+        if (dayOf(observationDate) < EARLIEST_DATE || dayOf(observationDate) > tomorrow) {
+            errors.push({ field: "observationDate", message: `must be between ${EARLIEST_DATE} and today` });
+        }
+    }
+
+    if (errors.length > 0) throw new ObservationValidationError(errors);
+    return { speciesCode, latitude, longitude, observationDate };
+};
+
+export const inBoundingBox = (observation, [minLng, minLat, maxLng, maxLat]) => {
+    if (observation.latitude < minLat || observation.latitude > maxLat) return false;
+    // minLng > maxLng means the box crosses the antimeridian
+    return minLng <= maxLng
+        ? observation.longitude >= minLng && observation.longitude <= maxLng
+        : observation.longitude >= minLng || observation.longitude <= maxLng;
+};
+
+export class ObservationStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.observations = [];
+        this.byId = new Map();
+        this.byKey = new Map();
+        this.pendingWrite = Promise.resolve();
+    }
+
+    load() {
+        if (fs.existsSync(this.filePath)) {
+            const { observations = [] } = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+            // Records from before the review workflow were already in use, so they count as verified
+            observations.forEach(observation => { observation.status ??= "verified"; });
+            this.observations = observations;
+            this.byId = new Map(observations.map(observation => [observation.id, observation]));
+            this.byKey = new Map(observations.map(observation => [observationId(observation), observation]));
+        }
+        return this;
+    }
+
+    get size() {
+        return this.observations.length;
+    }
+
+    // Writes are chained so snapshots land in order
+    persist() {
+        const snapshot = JSON.stringify({ version: 1, observations: this.observations });
+        this.pendingWrite = this.pendingWrite
+            .catch(() => {})
+            .then(async () => {
+                await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+                const tempPath = `${this.filePath}.${process.pid}.tmp`;
+                await fs.promises.writeFile(tempPath, snapshot);
+                await fs.promises.rename(tempPath, this.filePath);
+            });
+        return this.pendingWrite;
+    }
+
+    get(id) {
+        return this.byId.get(id) || null;
+    }
+
+    // Adds in memory only; returns { observation, duplicate }
+    insert(input, extra = {}) {
+        const record = validateObservation(input);
+        const key = observationId(record);
+        const existing = this.byKey.get(key);
+        if (existing) return { observation: existing, duplicate: true };
+
+        // A re-identified record may still hold this id
+        const id = this.byId.has(key) ? `${key}_${crypto.randomBytes(3).toString("hex")}` : key;
+        const observation = { id, ...record, status: "pending", ...extra, createdAt: new Date().toISOString() };
+        this.observations.push(observation);
+        this.byId.set(id, observation);
+        this.byKey.set(key, observation);
+        return { observation, duplicate: false };
+    }
+
+    async add(input, extra = {}) {
+        const result = this.insert(input, extra);
+        if (!result.duplicate) await this.persist();
+        return result;
+    }
+
+    // Bulk insert with a single write; returns per-record { observation, duplicate } or { error }
+    async addMany(inputs, extra = {}) {
+        const results = inputs.map(input => {
+            try {
+                return this.insert(input, extra);
+            } catch (error) {
+                if (!(error instanceof ObservationValidationError)) throw error;
+                return { error };
+            }
+        });
+        if (results.some(result => result.observation && !result.duplicate)) await this.persist();
+        return results;
+    }
+
+    async attachPhoto(id, photo) {
+        const observation = this.get(id);
+        if (!observation) return null;
+        observation.photo = photo;
+        await this.persist();
+        return observation;
+    }
+
+    // Apply a reviewer decision; returns { observation, previous: { status, speciesCode } }
+    // action: approve | reject | reidentify (with speciesCode, which also verifies the record)
+    async review(id, { action, speciesCode, reviewer }) {
+        const observation = this.get(id);
+        if (!observation) throw new ObservationReviewError("Observation not found.", 404);
+        if (!REVIEW_ACTIONS.includes(action)) {
+            throw new ObservationReviewError(`action must be one of ${REVIEW_ACTIONS.join(", ")}.`);
+        }
+
+        const previous = { status: observation.status, speciesCode: observation.speciesCode };
+        if (action === "reidentify") {
+            if (!speciesCode) throw new ObservationReviewError("reidentify needs the corrected species.");
+            if (speciesCode === observation.speciesCode) {
+                throw new ObservationReviewError(`Observation is already identified as ${speciesCode}.`);
+            }
+            const key = observationId({ ...observation, speciesCode });
+            const clash = this.byKey.get(key);
+            if (clash) {
+                throw new ObservationReviewError(`Observation ${clash.id} already records ${speciesCode} at this place and day.`, 409);
+            }
+            this.byKey.delete(observationId(observation));
+            this.byKey.set(key, observation);
+            observation.speciesCode = speciesCode;
+        }
+
+        observation.status = action === "reject" ? "rejected" : "verified";
+        observation.reviewedBy = reviewer ?? null;
+        observation.reviewedAt = new Date().toISOString();
+        await this.persist();
+        return { observation, previous };
+    }
+
+    // Filters: speciesCode, bbox [minLng, minLat, maxLng, maxLat], from/to dates (inclusive days),
+    // status (list of statuses; all when omitted)
+    query({ speciesCode, bbox, from, to, status, limit = 100, offset = 0 } = {}) {
+        const fromDay = from ? dayOf(normalizeDate(from) || "") : null;
+        const toDay = to ? dayOf(normalizeDate(to) || "") : null;
+
+        const matches = this.observations
+            .filter(observation =>
+                (!speciesCode || observation.speciesCode === speciesCode) &&
+                (!status || status.includes(observation.status)) &&
+                (!bbox || inBoundingBox(observation, bbox)) &&
+                (!fromDay || dayOf(observation.observationDate) >= fromDay) &&
+                (!toDay || dayOf(observation.observationDate) <= toDay)
+            )
+            .sort((a, b) => a.observationDate.localeCompare(b.observationDate) || a.id.localeCompare(b.id));
+
+        return {
+            total: matches.length,
+            observations: matches.slice(offset, offset + limit),
+        };
+    }
+
+    // Import the legacy historical_bird_data.csv; safe to run more than once
+    async migrateCsv(csvPath) {
+        const rows = await csv().fromFile(csvPath);
+        const report = { imported: 0, duplicates: 0, invalid: [] };
+
+        rows.forEach((row, index) => {
+            try {
+                const { duplicate } = this.insert(row, { source: "csv-migration", status: "verified" });
+                report[duplicate ? "duplicates" : "imported"]++;
+            } catch (error) {
+                if (!(error instanceof ObservationValidationError)) throw error;
+                // +2: header line and 1-based numbering
+                report.invalid.push({ line: index + 2, errors: error.details });
+            }
+        });
+
+        if (report.imported > 0) await this.persist();
+        return report;
+    }
+}
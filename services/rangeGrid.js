@@ -0,0 +1,104 @@
+// Bin point sightings into a square or hexagonal grid for range maps and
+// heatmaps. Cells are laid out on plain longitude/latitude degrees, so they
+// look regular on a Web Mercator map only near the equator; that matches how
+// Leaflet draws GeoJSON polygons and keeps cell ids stable between requests.
+
+export const GRID_TYPES = ["square", "hex"];
+export const DEFAULT_CELL_SIZE = 1;
+export const MIN_CELL_SIZE = 0.05;
+export const MAX_CELL_SIZE = 10;
+
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+// Square cells: cellSize is the side length in degrees
+const squareCell = (latitude, longitude, size) => {
+    const col = Math.floor(longitude / size);
+    const row = Math.floor(latitude / size);
+    const west = col * size;
+    const south = row * size;
+    return {
+        id: `sq:${size}:${col}:${row}`,
+        center: [round(west + size / 2), round(south + size / 2)],
+        ring: [[west, south], [west + size, south], [west + size, south + size], [west, south + size], [west, south]]
+            .map(([x, y]) => [round(x), round(Math.min(90, Math.max(-90, y)))]),
+    };
+};
+
+// Pointy-top hexagons in axial coordinates: cellSize is the centre-to-corner radius in degrees
+const hexCell = (latitude, longitude, size) => {
+    const q = (Math.sqrt(3) / 3 * longitude - latitude / 3) / size;
+    const r = (2 / 3 * latitude) / size;
+
+    // Cube rounding picks the hexagon that contains the point
+    let rx = Math.round(q);
+    let rz = Math.round(r);
+    const ry = Math.round(-q - r);
+    const dx = Math.abs(rx - q);
+    const dy = Math.abs(ry - (-q - r));
+    const dz = Math.abs(rz - r);
+    if (dx > dy && dx > dz) rx = -ry - rz;
+    else if (dy <= dz) rz = -rx - ry;
+
+    const centerX = size * Math.sqrt(3) * (rx + rz / 2);
+    const centerY = size * 1.5 * rz;
+    const ring = Array.from({ length: 7 }, (_, i) => {
+        const angle = Math.PI / 180 * (60 * (i % 6) - 30);
+        return [round(centerX + size * Math.cos(angle)), round(Math.min(90, Math.max(-90, centerY + size * Math.sin(angle))))];
+    });
+    return { id: `hex:${size}:${rx}:${rz}`, center: [round(centerX), round(centerY)], ring };
+};
+
+const CELLS = { square: squareCell, hex: hexCell };
+
+// "2024-05-01", "2024-05-01T07:30:00Z" and eBird's "2024-05-01 07:30" all start with the date
+const dayOf = (date) => String(date).slice(0, 10);
+const monthOf = (date) => parseInt(String(date).slice(5, 7));
+
+// points: [{ latitude, longitude, date, source, individuals }]
+// Returns a GeoJSON FeatureCollection with one Polygon per cell (and month, when byMonth)
+export const aggregateGrid = (points, { grid = "hex", cellSize = DEFAULT_CELL_SIZE, byMonth = true } = {}) => {
+    const toCell = CELLS[grid];
+    if (!toCell) throw new Error(`Unknown grid type: ${grid}`);
+
+    const bins = new Map();
+    for (const point of points) {
+        const cell = toCell(point.latitude, point.longitude, cellSize);
+        const month = byMonth ? monthOf(point.date) : null;
+        const key = `${cell.id}|${month}`;
+
+        let bin = bins.get(key);
+        if (!bin) {
+            bin = { cell, month, count: 0, individuals: 0, sources: {}, firstDate: null, lastDate: null };
+            bins.set(key, bin);
+        }
+        const day = dayOf(point.date);
+        bin.count++;
+        bin.individuals += Number.isFinite(point.individuals) ? point.individuals : 1;
+        bin.sources[point.source] = (bin.sources[point.source] || 0) + 1;
+        if (!bin.firstDate || day < bin.firstDate) bin.firstDate = day;
+        if (!bin.lastDate || day > bin.lastDate) bin.lastDate = day;
+    }
+
+    const maxCount = Math.max(0, ...[...bins.values()].map(bin => bin.count));
+    const features = [...bins.values()]
+        .sort((a, b) => (a.month ?? 0) - (b.month ?? 0) || a.cell.id.localeCompare(b.cell.id))
+        .map(bin => ({
+            type: "Feature",
+            id: bin.month ? `${bin.cell.id}:m${bin.month}` : bin.cell.id,
+            geometry: { type: "Polygon", coordinates: [bin.cell.ring] },
+            properties: {
+                cell: bin.cell.id,
+                center: bin.cell.center,
+                month: bin.month,
+                count: bin.count,
+                individuals: bin.individuals,
+                // count relative to the busiest cell, for heatmap intensity
+                intensity: Math.round(bin.count / maxCount * 1000) / 1000,
+                sources: bin.sources,
+                firstDate: bin.firstDate,
+                lastDate: bin.lastDate,
+            },
+        }));
+
+    return { type: "FeatureCollection", features };
+};
@@ -0,0 +1,73 @@
+// eBird sightings from cached eBird responses, indexed by species so /range and
+// /species/:code only touch that species' sightings. The index is filled from
+// the cache on first use and then kept current by the cache's "write" events;
+// responses past their maxStale window are dropped as they are found.
+
+const sightingKey = (obs) => obs.subId || `${obs.lat},${obs.lng},${obs.obsDt}`;
+
+export class SightingIndex {
+    constructor({ httpCache, source = "ebird" }) {
+        this.httpCache = httpCache;
+        this.source = source;
+        // speciesCode -> Map(cache key -> { storedAt, sightings })
+        this.bySpecies = new Map();
+        // cache key -> { storedAt, speciesCodes }
+        this.responses = new Map();
+        this.loading = null;
+
+        httpCache.on("write", (written, entry) => {
+            if (written === this.source) this.add(entry);
+        });
+    }
+
+    async load() {
+        (await this.httpCache.entries(this.source)).forEach(entry => this.add(entry));
+        return this;
+    }
+
+    add({ key, storedAt, data }) {
+        if (!Array.isArray(data)) return;
+        // A newer response for the same request replaces what the older one contributed
+        if ((this.responses.get(key)?.storedAt ?? -Infinity) > storedAt) return;
+        this.remove(key);
+
+        const grouped = new Map();
+        data
+            .filter(obs => obs.speciesCode && Number.isFinite(obs.lat) && Number.isFinite(obs.lng) && obs.obsDt)
+            .forEach(obs => {
+                if (!grouped.has(obs.speciesCode)) grouped.set(obs.speciesCode, []);
+                grouped.get(obs.speciesCode).push(obs);
+            });
+
+        for (const [speciesCode, sightings] of grouped) {
+            if (!this.bySpecies.has(speciesCode)) this.bySpecies.set(speciesCode, new Map());
+            this.bySpecies.get(speciesCode).set(key, { storedAt, sightings });
+        }
+        this.responses.set(key, { storedAt, speciesCodes: [...grouped.keys()] });
+    }
+
+    remove(key) {
+        const response = this.responses.get(key);
+        if (!response) return;
+        for (const speciesCode of response.speciesCodes) {
+            const entries = this.bySpecies.get(speciesCode);
+            entries?.delete(key);
+            if (entries?.size === 0) this.bySpecies.delete(speciesCode);
+        }
+        this.responses.delete(key);
+    }
+
+    // One sighting per checklist across every cached response that can still be served
+    async sightings(speciesCode) {
+        await (this.loading ??= this.load());
+        const unique = new Map();
+        for (const [key, { storedAt, sightings }] of this.bySpecies.get(speciesCode) || []) {
+            if (this.httpCache.isExpired(this.source, storedAt)) {
+                this.remove(key);
+                continue;
+            }
+            sightings.forEach(obs => unique.set(sightingKey(obs), obs));
+        }
+        return [...unique.values()];
+    }
+}
@@ -0,0 +1,210 @@
+import fs from "fs";
+import path from "path";
+import axios from "axios";
+import { EventEmitter } from "events";
+
+// Offline library of Xeno-Canto recordings. Audio files are stored under
+// <directory>/<id>.<ext> and their metadata in <directory>/index.json.
+// Emits "change" ({ speciesCode, added }) once new recordings are stored.
+
+// XENO_CANTO_API_URL points elsewhere for local testing (scripts/upstream-standin.js)
+export const XENO_CANTO_URL = process.env.XENO_CANTO_API_URL || "https://xeno-canto.org/api/2/recordings";
+
+export const QUALITY_ORDER = ["A", "B", "C", "D", "E"];
+export const SOUND_TYPES = ["song", "call", "other"];
+export const MAX_PER_SPECIES = 20;
+
+const EXTENSION_TYPES = {
+    ".mp3": "audio/mpeg",
+    ".wav": "audio/wav",
+    ".ogg": "audio/ogg",
+    ".flac": "audio/flac",
+    ".m4a": "audio/mp4",
+};
+
+// Unrated recordings sort after E
+const qualityRank = (quality) => {
+    const rank = QUALITY_ORDER.indexOf(quality);
+    return rank === -1 ? QUALITY_ORDER.length : rank;
+};
+
+// Xeno-Canto types are free text ("call, flight call", "song, male")
+const soundType = (raw = "") => {
+    const text = raw.toLowerCase();
+    if (text.includes("song")) return "song";
+    if (text.includes("call")) return "call";
+    return "other";
+};
+
+const absoluteUrl = (url) => (url?.startsWith("//") ? `https:${url}` : url);
+
+const toNumberOrNull = (value) => (value === "" || value == null || Number.isNaN(Number(value)) ? null : Number(value));
+
+export class SoundLibrary extends EventEmitter {
+    constructor({ directory, httpCache, client = axios }) {
+        super();
+        this.directory = directory;
+        this.httpCache = httpCache;
+        this.client = client;
+        this.indexPath = path.join(directory, "index.json");
+        this.recordings = new Map();
+        this.pendingWrite = Promise.resolve();
+        this.downloads = new Map();
+    }
+
+    load() {
+        if (fs.existsSync(this.indexPath)) {
+            const { recordings = [] } = JSON.parse(fs.readFileSync(this.indexPath, "utf8"));
+            recordings
+                .filter(recording => fs.existsSync(this.filePath(recording)))
+                .forEach(recording => this.recordings.set(recording.id, recording));
+        }
+        return this;
+    }
+
+    persist() {
+        const snapshot = JSON.stringify({ version: 1, recordings: [...this.recordings.values()] });
+        this.pendingWrite = this.pendingWrite
+            .catch(() => {})
+            .then(async () => {
+                await fs.promises.mkdir(this.directory, { recursive: true });
+                const tempPath = `${this.indexPath}.${process.pid}.tmp`;
+                await fs.promises.writeFile(tempPath, snapshot);
+                await fs.promises.rename(tempPath, this.indexPath);
+            });
+        return this.pendingWrite;
+    }
+
+    filePath(recording) {
+        return path.join(this.directory, recording.file);
+    }
+
+    get(id) {
+        return this.recordings.get(id) || null;
+    }
+
+    // Filters: speciesCode, quality (minimum grade, e.g. "B" = A or B), type (song|call|other)
+    list({ speciesCode, quality, type } = {}) {
+        const maxRank = quality ? qualityRank(quality.toUpperCase()) : Infinity;
+        return [...this.recordings.values()]
+            .filter(recording =>
+                (!speciesCode || recording.speciesCode === speciesCode) &&
+                qualityRank(recording.quality) <= maxRank &&
+                (!type || recording.type === type)
+            )
+            .sort((a, b) => qualityRank(a.quality) - qualityRank(b.quality) || a.id.localeCompare(b.id));
+    }
+
+    async searchXenoCanto(sciName) {
+        const { data } = await this.httpCache.get("xenocanto", XENO_CANTO_URL, { params: { query: sciName } });
+        return data.recordings || [];
+    }
+
+    async download(recording, sourceUrl) {
+        const response = await this.client.get(sourceUrl, { responseType: "stream" });
+        const contentType = String(response.headers?.["content-type"] || "").split(";")[0];
+        const extension = path.extname(recording.originalName || "").toLowerCase() ||
+            Object.keys(EXTENSION_TYPES).find(ext => EXTENSION_TYPES[ext] === contentType) || ".mp3";
+
+        await fs.promises.mkdir(this.directory, { recursive: true });
+        const file = `${recording.id}${extension}`;
+        const target = path.join(this.directory, file);
+        const tempPath = `${target}.${process.pid}.tmp`;
+
+        await new Promise((resolve, reject) => {
+            const output = fs.createWriteStream(tempPath);
+            response.data.on("error", reject);
+            output.on("error", reject);
+            output.on("finish", resolve);
+            response.data.pipe(output);
+        }).catch(async (error) => {
+            await fs.promises.rm(tempPath, { force: true });
+            throw error;
+        });
+        await fs.promises.rename(tempPath, target);
+
+        const { size } = await fs.promises.stat(target);
+        return {
+            file,
+            size,
+            contentType: EXTENSION_TYPES[extension] || contentType || "application/octet-stream",
+        };
+    }
+
+    // Download up to `limit` of the best recordings for a species that we do not have yet
+    async fetchSpecies({ speciesCode, sciName, comName }, { limit = 5, quality, type } = {}) {
+        // One fetch per species at a time
+        if (this.downloads.has(speciesCode)) return this.downloads.get(speciesCode);
+
+        const task = (async () => {
+            const maxRank = quality ? qualityRank(quality.toUpperCase()) : Infinity;
+            const have = this.list({ speciesCode, quality, type });
+            const wanted = Math.max(0, Math.min(limit, MAX_PER_SPECIES) - have.length);
+            const report = { speciesCode, downloaded: [], failed: [], available: have.length };
+            if (wanted === 0) return report;
+
+            const candidates = (await this.searchXenoCanto(sciName))
+                .filter(item => item.file && !this.recordings.has(`xc${item.id}`))
+                .filter(item => qualityRank(item.q) <= maxRank && (!type || soundType(item.type) === type))
+                .sort((a, b) => qualityRank(a.q) - qualityRank(b.q) || Number(a.id) - Number(b.id))
+                .slice(0, wanted);
+
+            for (const item of candidates) {
+                const recording = {
+                    id: `xc${item.id}`,
+                    xenoCantoId: item.id,
+                    speciesCode,
+                    sciName: [item.gen, item.sp].filter(Boolean).join(" ") || sciName,
+                    comName: item.en || comName || null,
+                    recordist: item.rec || null,
+                    license: absoluteUrl(item.lic) || null,
+                    quality: item.q || null,
+                    type: soundType(item.type),
+                    rawType: item.type || null,
+                    length: item.length || null,
+                    recordedOn: item.date || null,
+                    location: {
+                        country: item.cnt || null,
+                        locality: item.loc || null,
+                        latitude: toNumberOrNull(item.lat),
+                        longitude: toNumberOrNull(item.lng),
+                    },
+                    sourcePage: absoluteUrl(item.url) || null,
+                    originalName: item["file-name"] || null,
+                };
+
+                try {
+                    const stored = await this.download(recording, absoluteUrl(item.file));
+                    const entry = { ...recording, ...stored, downloadedAt: new Date().toISOString() };
+                    this.recordings.set(entry.id, entry);
+                    report.downloaded.push(entry.id);
+                } catch (error) {
+                    report.failed.push({ id: recording.id, error: error.message });
+                }
+            }
+
+            report.available = this.list({ speciesCode, quality, type }).length;
+            if (report.downloaded.length > 0) {
+                await this.persist();
+                this.emit("change", { speciesCode, added: report.downloaded });
+            }
+            return report;
+        })().finally(() => this.downloads.delete(speciesCode));
+
+        this.downloads.set(speciesCode, task);
+        return task;
+    }
+
+    // Fill the library for several species, one at a time to stay polite to Xeno-Canto
+    async prewarm(speciesList, options = {}) {
+        const results = [];
+        for (const species of speciesList) {
+            try {
+                results.push(await this.fetchSpecies(species, options));
+            } catch (error) {
+                results.push({ speciesCode: species.speciesCode, error: error.message });
+            }
+        }
+        return results;
+    }
+}
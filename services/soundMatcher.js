@@ -0,0 +1,180 @@
+import fs from "fs";
+import path from "path";
+import { decodeAudio, extractFeatures, FEATURE_VERSION } from "./audioFeatures.js";
+import { ClassifierError } from "./classifiers/errors.js";
+
+// Reference features for every recording in the sound library, kept in
+// <file> so audio is only decoded once. A query recording is compared
+// segment by segment: each query segment finds its closest reference segment
+// per species, and a species scores the mean of those best similarities.
+// A softmax over the species splits the confidence between them; it is then
+// scaled by the similarity itself, so a sharp lead between poor matches
+// still reads as a poor match.
+
+const SOFTMAX_TEMPERATURE = 0.05;
+const MAX_CANDIDATES = 10;
+// Feature vectors are centred and normalised, so similarities are correlations in [-1, 1]
+export const DEFAULT_MIN_SIMILARITY = 0.5;
+
+const dot = (a, b) => {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+    return sum;
+};
+
+export class SoundMatcher {
+    constructor({ filePath, soundLibrary, minSimilarity = DEFAULT_MIN_SIMILARITY }) {
+        this.filePath = filePath;
+        this.soundLibrary = soundLibrary;
+        this.minSimilarity = minSimilarity;
+        this.references = new Map();
+        this.failures = new Map();
+        this.pendingWrite = Promise.resolve();
+        this.syncing = null;
+        this.queuedSync = null;
+    }
+
+    load() {
+        if (fs.existsSync(this.filePath)) {
+            const { version, references = [] } = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+            // Features from an older extractor are not comparable and get rebuilt
+            if (version === FEATURE_VERSION) {
+                references.forEach(reference => this.references.set(reference.recordingId, reference));
+            }
+        }
+        return this;
+    }
+
+    persist() {
+        const snapshot = JSON.stringify({ version: FEATURE_VERSION, references: [...this.references.values()] });
+        this.pendingWrite = this.pendingWrite
+            .catch(() => {})
+            .then(async () => {
+                await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+                const tempPath = `${this.filePath}.${process.pid}.tmp`;
+                await fs.promises.writeFile(tempPath, snapshot);
+                await fs.promises.rename(tempPath, this.filePath);
+            });
+        return this.pendingWrite;
+    }
+
+    // Extract features for library recordings that have none yet; one sync at a time. A sync asked
+    // for while one is running follows it, so recordings added in the meantime are not missed.
+    sync() {
+        if (this.syncing) {
+            this.queuedSync ??= this.syncing.catch(() => {}).then(() => {
+                this.queuedSync = null;
+                return this.sync();
+            });
+            return this.queuedSync;
+        }
+
+        this.syncing = (async () => {
+            const report = { indexed: [], failed: [] };
+            const pending = this.soundLibrary.list()
+                .filter(recording => !this.references.has(recording.id) && !this.failures.has(recording.id));
+
+            for (const recording of pending) {
+                try {
+                    const buffer = await fs.promises.readFile(this.soundLibrary.filePath(recording));
+                    const { samples } = await decodeAudio(buffer);
+                    const { segments } = extractFeatures(samples);
+                    if (segments.length === 0) throw new Error("no bird activity found");
+
+                    this.references.set(recording.id, {
+                        recordingId: recording.id,
+                        speciesCode: recording.speciesCode,
+                        sciName: recording.sciName,
+                        comName: recording.comName,
+                        quality: recording.quality,
+                        segments,
+                    });
+                    report.indexed.push(recording.id);
+                } catch (error) {
+                    // Remembered for this process only, so a fixed file is retried after a restart
+                    this.failures.set(recording.id, error.message);
+                    report.failed.push({ id: recording.id, error: error.message });
+                }
+            }
+
+            // Drop features for recordings that left the library
+            for (const id of this.references.keys()) {
+                if (!this.soundLibrary.get(id)) this.references.delete(id);
+            }
+
+            if (report.indexed.length > 0) await this.persist();
+            return report;
+        })().finally(() => {
+            this.syncing = null;
+        });
+        return this.syncing;
+    }
+
+    getStats() {
+        const species = new Set([...this.references.values()].map(reference => reference.speciesCode));
+        return {
+            recordings: this.references.size,
+            species: species.size,
+            segments: [...this.references.values()].reduce((sum, reference) => sum + reference.segments.length, 0),
+            unindexed: this.soundLibrary.list().filter(recording => !this.references.has(recording.id)).length,
+            failed: [...this.failures].map(([id, error]) => ({ id, error })),
+        };
+    }
+
+    // segments: query vectors from extractFeatures; speciesCodes optionally limits the candidates
+    // Returns ranked [{ speciesCode, sciName, comName, similarity, confidence, bestMatch }]
+    match(segments, { topK = 5, speciesCodes } = {}) {
+        if (segments.length === 0) {
+            throw new ClassifierError("No bird sounds were detected in the recording.", 422);
+        }
+
+        const bySpecies = new Map();
+        for (const reference of this.references.values()) {
+            if (speciesCodes && !speciesCodes.includes(reference.speciesCode)) continue;
+            if (!bySpecies.has(reference.speciesCode)) bySpecies.set(reference.speciesCode, []);
+            bySpecies.get(reference.speciesCode).push(reference);
+        }
+        if (bySpecies.size === 0) {
+            throw new ClassifierError("The sound reference library is empty. Add recordings with POST /sounds/prewarm.", 503);
+        }
+
+        const scored = [...bySpecies].map(([speciesCode, references]) => {
+            let total = 0;
+            const votes = new Map();
+            for (const query of segments) {
+                let best = { similarity: -Infinity, recordingId: null };
+                for (const reference of references) {
+                    for (const vector of reference.segments) {
+                        const similarity = dot(query, vector);
+                        if (similarity > best.similarity) best = { similarity, recordingId: reference.recordingId };
+                    }
+                }
+                total += best.similarity;
+                votes.set(best.recordingId, (votes.get(best.recordingId) || 0) + 1);
+            }
+
+            const [bestRecording] = [...votes].sort((a, b) => b[1] - a[1])[0];
+            const { sciName, comName } = references[0];
+            return { speciesCode, sciName, comName, similarity: total / segments.length, bestMatch: bestRecording };
+        });
+
+        const top = Math.max(...scored.map(candidate => candidate.similarity));
+        if (top < this.minSimilarity) {
+            throw new ClassifierError(
+                `No confident match: the closest library species has a similarity of ${Math.round(top * 100) / 100} (at least ${this.minSimilarity} is needed).`,
+                422
+            );
+        }
+        const weights = scored.map(candidate => Math.exp((candidate.similarity - top) / SOFTMAX_TEMPERATURE));
+        const totalWeight = weights.reduce((sum, weight) => sum + weight, 0);
+
+        return scored
+            .map((candidate, i) => ({
+                ...candidate,
+                similarity: Math.round(candidate.similarity * 1e4) / 1e4,
+                confidence: Math.round(weights[i] / totalWeight * Math.max(candidate.similarity, 0) * 1e4) / 1e4,
+            }))
+            .sort((a, b) => b.similarity - a.similarity || a.speciesCode.localeCompare(b.speciesCode))
+            .slice(0, Math.min(Math.max(topK, 1), MAX_CANDIDATES));
+    }
+}
@@ -0,0 +1,106 @@
+import fs from "fs";
+import path from "path";
+
+// Profile text per species (description, lifespan, food, predators). Entries
+// are learned from classifier answers and can be written by editors; an
+// editor's text is never replaced by a later classifier answer.
+
+export const PROFILE_FIELDS = ["description", "lifespan", "commonFood", "commonPredators"];
+const MAX_FIELD_LENGTH = 2000;
+
+export class ProfileValidationError extends Error {
+    constructor(details) {
+        super("Invalid species profile");
+        this.name = "ProfileValidationError";
+        this.details = details;
+    }
+}
+
+// Keep known fields only; strings are trimmed, empty strings become null
+export const validateProfile = (input = {}) => {
+    const errors = [];
+    const profile = {};
+    for (const field of PROFILE_FIELDS) {
+        const value = input[field];
+        if (value === undefined) continue;
+        if (value !== null && typeof value !== "string") {
+            errors.push({ field, message: "must be a string or null" });
+        } else if (value && value.length > MAX_FIELD_LENGTH) {
+            errors.push({ field, message: `must be at most ${MAX_FIELD_LENGTH} characters` });
+        } else {
+            profile[field] = value?.trim() || null;
+        }
+    }
+    if (Object.keys(profile).length === 0 && errors.length === 0) {
+        errors.push({ field: "(body)", message: `must set at least one of ${PROFILE_FIELDS.join(", ")}` });
+    }
+    if (errors.length > 0) throw new ProfileValidationError(errors);
+    return profile;
+};
+
+export class SpeciesProfileStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.profiles = new Map();
+        this.pendingWrite = Promise.resolve();
+    }
+
+    load() {
+        if (fs.existsSync(this.filePath)) {
+            const { profiles = [] } = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+            profiles.forEach(profile => this.profiles.set(profile.speciesCode, profile));
+        }
+        return this;
+    }
+
+    persist() {
+        const snapshot = JSON.stringify({ version: 1, profiles: [...this.profiles.values()] });
+        this.pendingWrite = this.pendingWrite
+            .catch(() => {})
+            .then(async () => {
+                await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+                const tempPath = `${this.filePath}.${process.pid}.tmp`;
+                await fs.promises.writeFile(tempPath, snapshot);
+                await fs.promises.rename(tempPath, this.filePath);
+            });
+        return this.pendingWrite;
+    }
+
+    get(speciesCode) {
+        return this.profiles.get(speciesCode) || null;
+    }
+
+    // Store the profile fields of a classification result unless an editor has written this species
+    async learn(classification) {
+        const { speciesCode, provider } = classification;
+        if (!speciesCode || this.get(speciesCode)?.source === "editor") return null;
+
+        const fields = Object.fromEntries(PROFILE_FIELDS.map(field => [field, classification[field] ?? null]));
+        if (PROFILE_FIELDS.every(field => !fields[field])) return null;
+
+        const existing = this.get(speciesCode);
+        if (existing && PROFILE_FIELDS.every(field => existing[field] === fields[field])) return existing;
+
+        const profile = { speciesCode, ...fields, source: `classifier:${provider}`, updatedAt: new Date().toISOString() };
+        this.profiles.set(speciesCode, profile);
+        await this.persist();
+        return profile;
+    }
+
+    // Editor changes: fields not given keep their current value
+    async write(speciesCode, input, { editor = null } = {}) {
+        const fields = validateProfile(input);
+        const existing = this.get(speciesCode);
+        const profile = {
+            speciesCode,
+            ...Object.fromEntries(PROFILE_FIELDS.map(field => [field, existing?.[field] ?? null])),
+            ...fields,
+            source: "editor",
+            editedBy: editor,
+            updatedAt: new Date().toISOString(),
+        };
+        this.profiles.set(speciesCode, profile);
+        await this.persist();
+        return profile;
+    }
+}
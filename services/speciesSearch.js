@@ -0,0 +1,228 @@
+// Indexed species lookup over taxonomyCache.json.
+// Supports exact, prefix and typo-tolerant matching on common and scientific
+// names, and ranks real species ahead of slash, hybrid and "sp." entries.
+
+const PLACEHOLDER_CODE = "SPECIES_CODE";
+
+// Non-species entries are still searchable but rank below a species with an equal match
+const CATEGORY_WEIGHT = {
+    species: 1,
+    issf: 0.95,
+    domestic: 0.95,
+    slash: 0.9,
+    spuh: 0.9,
+    hybrid: 0.85,
+};
+
+// Lowest score offered as a candidate when a name does not resolve
+export const DEFAULT_RESOLVE_THRESHOLD = 0.65;
+
+export const normalizeName = (value) =>
+    String(value ?? "")
+        .normalize("NFD")
+        .replace(/[\u0300-\u036f]/g, "")
+        .toLowerCase()
+        .replace(/['’`.]/g, "")
+        .replace(/[^a-z0-9]+/g, " ")
+        .trim();
+
+const tokenize = (normalized) => (normalized ? normalized.split(" ") : []);
+
+const categorize = ({ comName = "", sciName = "" }) => {
+    if (/\(hybrid\)/i.test(comName) || / x /.test(sciName)) return "hybrid";
+    if (/\bsp\.$/i.test(comName.trim())) return "spuh";
+    if (comName.includes("/")) return "slash";
+    if (/domestic type/i.test(comName)) return "domestic";
+    if (/\(.+\)/.test(comName)) return "issf";
+    return "species";
+};
+
+// Optimal string alignment distance, abandoned once it exceeds maxDistance
+const editDistance = (a, b, maxDistance) => {
+    if (Math.abs(a.length - b.length) > maxDistance) return maxDistance + 1;
+    let prevPrev = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+            if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, prevPrev[j - 2] + 1);
+            }
+            current.push(value);
+            rowMin = Math.min(rowMin, value);
+        }
+        if (rowMin > maxDistance) return maxDistance + 1;
+        prevPrev = prev;
+        prev = current;
+    }
+    return prev[b.length];
+};
+
+const allowedTypos = (token) => (token.length < 4 ? 0 : token.length < 8 ? 1 : 2);
+
+export class SpeciesIndex {
+    constructor(taxonomy = []) {
+        this.entries = [];
+        this.names = [];
+        this.exact = new Map();
+        this.tokens = new Map();
+        this.codes = new Map();
+
+        taxonomy.forEach(entry => {
+            if (!entry?.speciesCode || entry.speciesCode === PLACEHOLDER_CODE) return;
+            const record = {
+                speciesCode: entry.speciesCode,
+                comName: entry.comName,
+                sciName: entry.sciName,
+                category: categorize(entry),
+            };
+            const entryId = this.entries.push(record) - 1;
+            this.codes.set(record.speciesCode, record);
+
+            [["comName", entry.comName], ["sciName", entry.sciName]].forEach(([field, raw]) => {
+                const normalized = normalizeName(raw);
+                if (!normalized) return;
+                const nameTokens = tokenize(normalized);
+                const nameId = this.names.push({ entryId, field, normalized, tokenCount: nameTokens.length }) - 1;
+
+                if (!this.exact.has(normalized)) this.exact.set(normalized, []);
+                this.exact.get(normalized).push(nameId);
+
+                new Set(nameTokens).forEach(token => {
+                    if (!this.tokens.has(token)) this.tokens.set(token, []);
+                    this.tokens.get(token).push(nameId);
+                });
+            });
+        });
+
+        this.vocabulary = [...this.tokens.keys()].sort();
+    }
+
+    get size() {
+        return this.entries.length;
+    }
+
+    getByCode(speciesCode) {
+        return this.codes.get(speciesCode) || null;
+    }
+
+    // Vocabulary tokens that could stand for a query token, with a match weight
+    expandToken(token) {
+        const matches = new Map();
+        if (this.tokens.has(token)) matches.set(token, 1);
+
+        // Sorted vocabulary: prefix matches are a contiguous run
+        let lo = 0;
+        let hi = this.vocabulary.length;
+        while (lo < hi) {
+            const mid = (lo + hi) >> 1;
+            if (this.vocabulary[mid] < token) lo = mid + 1;
+            else hi = mid;
+        }
+        for (let i = lo; i < this.vocabulary.length && this.vocabulary[i].startsWith(token); i++) {
+            const candidate = this.vocabulary[i];
+            if (candidate !== token) {
+                matches.set(candidate, 0.6 + 0.3 * (token.length / candidate.length));
+            }
+        }
+
+        const maxTypos = allowedTypos(token);
+        if (maxTypos > 0) {
+            this.vocabulary.forEach(candidate => {
+                if (matches.has(candidate)) return;
+                const distance = editDistance(token, candidate, maxTypos);
+                if (distance <= maxTypos) {
+                    matches.set(candidate, distance === 1 ? 0.85 : 0.7);
+                }
+            });
+        }
+
+        return matches;
+    }
+
+    search(query, { limit = 10, minScore = 0 } = {}) {
+        const normalized = normalizeName(query);
+        if (!normalized) return [];
+
+        // nameId -> score
+        const scores = new Map();
+        (this.exact.get(normalized) || []).forEach(nameId => scores.set(nameId, 1));
+
+        const queryTokens = [...new Set(tokenize(normalized))];
+        let candidates = null;
+        const perToken = queryTokens.map(token => {
+            const best = new Map();
+            this.expandToken(token).forEach((weight, vocabToken) => {
+                this.tokens.get(vocabToken).forEach(nameId => {
+                    if ((best.get(nameId) || 0) < weight) best.set(nameId, weight);
+                });
+            });
+            return best;
+        });
+
+        // Every query token has to match some token of the name
+        perToken.forEach(best => {
+            candidates = candidates
+                ? new Set([...candidates].filter(nameId => best.has(nameId)))
+                : new Set(best.keys());
+        });
+
+        (candidates || new Set()).forEach(nameId => {
+            if (scores.has(nameId)) return;
+            const name = this.names[nameId];
+            const quality = perToken.reduce((sum, best) => sum + best.get(nameId), 0) / perToken.length;
+            const coverage = Math.min(1, queryTokens.length / name.tokenCount);
+            const weight = CATEGORY_WEIGHT[this.entries[name.entryId].category];
+            scores.set(nameId, Math.min(0.99, quality * (0.6 + 0.4 * coverage) * weight));
+        });
+
+        // Collapse to one result per entry, keeping its best-matching name
+        const byEntry = new Map();
+        scores.forEach((score, nameId) => {
+            const { entryId, field } = this.names[nameId];
+            const current = byEntry.get(entryId);
+            if (!current || current.score < score) byEntry.set(entryId, { score, matchedOn: field });
+        });
+
+        return [...byEntry.entries()]
+            .map(([entryId, { score, matchedOn }]) => ({
+                ...this.entries[entryId],
+                score: Math.round(score * 1000) / 1000,
+                matchedOn,
+                entryId,
+            }))
+            .filter(result => result.score >= minScore)
+            // Ties fall back to taxonomic order
+            .sort((a, b) => b.score - a.score || a.entryId - b.entryId)
+            .slice(0, limit)
+            .map(({ entryId, ...result }) => result);
+    }
+
+    // Strict lookup for names that end up stored: an exact name, or a whole name with one typo,
+    // that no other entry shares. Anything else gives match: null, and `candidates` lists the
+    // closest entries (the tied ones when several fit equally well) so callers can ask which was meant.
+    lookup(name, { limit = 5 } = {}) {
+        const normalized = normalizeName(name);
+        if (!normalized) return { match: null, candidates: [] };
+
+        const results = this.search(name, { limit: 50 });
+        let close = results.filter(result => result.score === 1);
+        if (close.length === 0 && normalized.length >= 4) {
+            close = results.filter(result => [result.comName, result.sciName]
+                .some(raw => editDistance(normalized, normalizeName(raw), 1) <= 1));
+        }
+        if (close.length === 1) return { match: close[0], candidates: [] };
+
+        const candidates = close.length > 1 ? close : results.filter(result => result.score >= DEFAULT_RESOLVE_THRESHOLD);
+        return { match: null, candidates: candidates.slice(0, limit) };
+    }
+
+    // Single match for a free-text name, or null when it is not near-exact or not unique (see lookup)
+    resolve(name) {
+        return this.lookup(name).match;
+    }
+}
@@ -0,0 +1,206 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import { Readable } from "stream";
+import { AxiosError } from "axios";
+import OpenAI from "openai";
+import { HttpCache } from "./httpCache.js";
+import { ClassifierError } from "./classifiers/errors.js";
+
+// Record/replay layer for upstream calls (OpenAI, Xeno-Canto, Unsplash, eBird).
+// It wraps the clients the services already take (an axios-like `get`, the
+// OpenAI SDK), so nothing above it changes:
+//   live    calls go straight through
+//   record  calls go through and every answer is saved as a fixture
+//   replay  answers come from fixtures only; an unrecorded call fails
+// Fixtures live in <directory>/<service>/<hash>.json, named after the request
+// with credentials left out, plus <hash>.bin for binary bodies (recordings).
+
+export const UPSTREAM_MODES = ["live", "record", "replay"];
+
+export class FixtureMissingError extends Error {
+    constructor(service, key) {
+        super(`No recorded ${service} response for ${key}. Record it with UPSTREAM_MODE=record.`);
+        this.name = "FixtureMissingError";
+        this.statusCode = 503;
+    }
+}
+
+const hashOf = (value) => crypto.createHash("sha1").update(value).digest("hex");
+
+// Image data URLs are replaced by a hash so OpenAI fixtures stay small and readable. When the hash of
+// the uploaded file is known it is used, since the re-encoded image can change with the sharp version.
+const withoutImageData = (value, imageSha256) => JSON.parse(JSON.stringify(value, (name, field) =>
+    typeof field === "string" && field.startsWith("data:") && field.includes(";base64,")
+        ? imageSha256
+            ? `upload:sha256=${imageSha256}`
+            : `${field.slice(0, field.indexOf(";base64,"))};sha256=${crypto.createHash("sha256").update(field).digest("hex")}`
+        : field
+));
+
+export class UpstreamFixtures {
+    constructor({ directory, mode = "live" }) {
+        if (!UPSTREAM_MODES.includes(mode)) {
+            throw new Error(`Unknown upstream mode "${mode}". Expected one of: ${UPSTREAM_MODES.join(", ")}`);
+        }
+        this.directory = directory;
+        this.mode = mode;
+        this.stats = {};
+    }
+
+    get replaying() {
+        return this.mode === "replay";
+    }
+
+    counters(service) {
+        if (!this.stats[service]) this.stats[service] = { recorded: 0, replayed: 0, missing: 0 };
+        return this.stats[service];
+    }
+
+    fixturePath(service, key, extension = ".json") {
+        return path.join(this.directory, service, `${hashOf(key)}${extension}`);
+    }
+
+    async load(service, key) {
+        try {
+            const fixture = JSON.parse(await fs.promises.readFile(this.fixturePath(service, key), "utf8"));
+            if (fixture.key !== key) return null;
+            if (fixture.response.binary) {
+                fixture.response.data = await fs.promises.readFile(this.fixturePath(service, key, ".bin"));
+            }
+            return fixture;
+        } catch {
+            return null;
+        }
+    }
+
+    async save(service, key, request, response) {
+        const filePath = this.fixturePath(service, key);
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+        const binary = Buffer.isBuffer(response.data);
+        if (binary) await fs.promises.writeFile(this.fixturePath(service, key, ".bin"), response.data);
+        const fixture = {
+            key,
+            service,
+            request,
+            recordedAt: new Date().toISOString(),
+            response: { ...response, data: binary ? null : response.data, binary },
+        };
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        await fs.promises.writeFile(tempPath, `${JSON.stringify(fixture, null, 2)}\n`);
+        await fs.promises.rename(tempPath, filePath);
+        this.counters(service).recorded++;
+    }
+
+    // Fixture for a request in replay mode; throws when nothing was recorded
+    async replay(service, key) {
+        const fixture = await this.load(service, key);
+        if (!fixture) {
+            this.counters(service).missing++;
+            throw new FixtureMissingError(service, key);
+        }
+        this.counters(service).replayed++;
+        return fixture.response;
+    }
+
+    // axios-like client with a `get(url, { params, headers, responseType })`; fixtures are grouped by host
+    http(client) {
+        return {
+            get: async (url, config = {}) => {
+                if (this.mode === "live") return client.get(url, config);
+
+                const { params, responseType } = config;
+                const service = new URL(url).host.replace(/[^\w.-]/g, "_");
+                const key = `GET ${HttpCache.keyFor(url, params)}`;
+                const asResponse = ({ status, headers, data }) => ({
+                    status,
+                    headers,
+                    data: responseType === "stream" ? Readable.from(data) : data,
+                });
+
+                if (this.replaying) {
+                    const response = await this.replay(service, key);
+                    if (response.status >= 400) {
+                        throw new AxiosError(`Request failed with status code ${response.status}`,
+                            AxiosError.ERR_BAD_RESPONSE, config, null, asResponse(response));
+                    }
+                    return asResponse(response);
+                }
+
+                // Streams are read whole so they can be saved and handed on
+                const binary = responseType === "stream" || responseType === "arraybuffer";
+                let response;
+                try {
+                    response = await client.get(url, { ...config, ...(binary && { responseType: "arraybuffer" }) });
+                } catch (error) {
+                    // Upstream error answers are recorded too, so replays take the same path
+                    if (error.response) {
+                        const { status, headers, data } = error.response;
+                        await this.save(service, key, { method: "GET", url: key.slice(4) },
+                            { status, headers: { "content-type": headers?.["content-type"] ?? null }, data: binary ? Buffer.from(data) : data });
+                    }
+                    throw error;
+                }
+                const recorded = {
+                    status: response.status,
+                    headers: { "content-type": response.headers?.["content-type"] ?? null },
+                    data: binary ? Buffer.from(response.data) : response.data,
+                };
+                await this.save(service, key, { method: "GET", url: key.slice(4) }, recorded);
+                return asResponse(recorded);
+            },
+        };
+    }
+
+    // OpenAI SDK client; only chat.completions.create is used by the classifier.
+    // imageSha256 is the hash of the uploaded file the request is about, when there is one.
+    openai(client, { imageSha256 } = {}) {
+        if (this.mode === "live") return client;
+
+        return {
+            chat: {
+                completions: {
+                    create: async (body) => {
+                        const request = withoutImageData(body, imageSha256);
+                        const key = `chat.completions ${JSON.stringify(request)}`;
+
+                        if (this.replaying) {
+                            let response;
+                            try {
+                                response = await this.replay("openai", key);
+                            } catch (error) {
+                                throw new ClassifierError(error.message, error.statusCode);
+                            }
+                            if (response.status >= 400) {
+                                throw OpenAI.APIError.generate(response.status, response.data, undefined, response.headers);
+                            }
+                            return response.data;
+                        }
+
+                        let data;
+                        try {
+                            data = await client.chat.completions.create(body);
+                        } catch (error) {
+                            // Error answers are recorded too, so replays fail the same way
+                            if (error instanceof OpenAI.APIError && error.status) {
+                                await this.save("openai", key, { method: "chat.completions.create", body: request }, {
+                                    status: error.status,
+                                    headers: { "content-type": error.headers?.["content-type"] ?? null },
+                                    data: { error: error.error ?? null },
+                                });
+                            }
+                            throw error;
+                        }
+                        await this.save("openai", key, { method: "chat.completions.create", body: request }, { status: 200, data });
+                        return data;
+                    },
+                },
+            },
+        };
+    }
+
+    getStats() {
+        return { mode: this.mode, services: this.stats };
+    }
+}
@@ -0,0 +1,372 @@
+import fs from "fs";
+import path from "path";
+import crypto from "crypto";
+import dns from "dns";
+import net from "net";
+import axios from "axios";
+
+// Sighting watches: a species (or any species), a centre point and a radius.
+// A poller asks findMatches(watch) for sightings on a schedule, drops the
+// ones already notified, and POSTs the rest to the watch's webhook. Each
+// webhook body is signed with the watch secret (X-Watch-Signature:
+// sha256=<hex HMAC of the raw body>) so receivers can check it came from us.
+// Webhooks may only reach public addresses (or an allowlist of hosts), so a
+// watch cannot be used to probe services inside our own network.
+
+export const MAX_RADIUS_KM = 50; // eBird's limit for geo queries
+const MAX_SEEN_KEYS = 5000;
+const MAX_NAME_LENGTH = 100;
+
+export class WatchValidationError extends Error {
+    constructor(details) {
+        super("Invalid watch");
+        this.name = "WatchValidationError";
+        this.details = details;
+    }
+}
+
+export class WebhookBlockedError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = "WebhookBlockedError";
+    }
+}
+
+// Loopback, private, link-local (cloud metadata), carrier-grade NAT, multicast and reserved ranges
+const PRIVATE_RANGES = new net.BlockList();
+[
+    ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+    ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 3],
+].forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, "ipv4"));
+[["::", 128], ["::1", 128], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8]]
+    .forEach(([network, prefix]) => PRIVATE_RANGES.addSubnet(network, prefix, "ipv6"));
+
+export const isPrivateAddress = (address) => {
+    // IPv4-mapped IPv6 (::ffff:127.0.0.1) is checked as the IPv4 address it carries
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i)?.[1];
+    if (mapped) return isPrivateAddress(mapped);
+    const family = net.isIPv4(address) ? "ipv4" : net.isIPv6(address) ? "ipv6" : null;
+    return !family || PRIVATE_RANGES.check(address, family);
+};
+
+// Where webhooks may go. allowedHosts (hostnames, empty = any) is checked first; unless
+// allowPrivate is set, every address a host resolves to must be public.
+export class WebhookPolicy {
+    constructor({ allowedHosts = [], allowPrivate = false } = {}) {
+        this.allowedHosts = allowedHosts.map(host => host.toLowerCase());
+        this.allowPrivate = allowPrivate;
+        // For axios: checks the address actually connected to, so DNS changes after check() do not matter
+        this.lookup = async (hostname) => {
+            const { address, family } = await dns.promises.lookup(hostname);
+            this.checkAddress(hostname, address);
+            return [address, family];
+        };
+    }
+
+    checkAddress(hostname, address) {
+        if (!this.allowPrivate && isPrivateAddress(address)) {
+            throw new WebhookBlockedError(`${hostname} resolves to a private or reserved address`);
+        }
+    }
+
+    // Throws WebhookBlockedError when the URL's host is not allowed
+    async check(url) {
+        const hostname = new URL(url).hostname.replace(/^\[|\]$/g, "").toLowerCase();
+        if (this.allowedHosts.length > 0 && !this.allowedHosts.includes(hostname)) {
+            throw new WebhookBlockedError(`${hostname} is not an allowed webhook host`);
+        }
+        if (this.allowPrivate) return;
+
+        let addresses;
+        try {
+            addresses = net.isIP(hostname) ? [{ address: hostname }] : await dns.promises.lookup(hostname, { all: true });
+        } catch {
+            throw new WebhookBlockedError(`${hostname} could not be resolved`);
+        }
+        addresses.forEach(({ address }) => this.checkAddress(hostname, address));
+    }
+}
+
+export const haversineKm = (lat1, lng1, lat2, lng2) => {
+    const toRadians = (degrees) => degrees * Math.PI / 180;
+    const dLat = toRadians(lat2 - lat1);
+    const dLng = toRadians(lng2 - lng1);
+    const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+    return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+};
+
+// Check { name, speciesCode (null = any), latitude, longitude, radiusKm, webhookUrl, includePending }
+export const validateWatch = (input = {}) => {
+    const errors = [];
+    const name = typeof input.name === "string" ? input.name.trim() : "";
+    const latitude = Number(input.latitude);
+    const longitude = Number(input.longitude);
+    const radiusKm = Number(input.radiusKm);
+
+    if (!name || name.length > MAX_NAME_LENGTH) {
+        errors.push({ field: "name", message: `must be 1-${MAX_NAME_LENGTH} characters` });
+    }
+    if (input.latitude == null || !Number.isFinite(latitude) || Math.abs(latitude) > 90) {
+        errors.push({ field: "latitude", message: "must be a number between -90 and 90" });
+    }
+    if (input.longitude == null || !Number.isFinite(longitude) || Math.abs(longitude) > 180) {
+        errors.push({ field: "longitude", message: "must be a number between -180 and 180" });
+    }
+    if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+        errors.push({ field: "radiusKm", message: `must be a number between 0 and ${MAX_RADIUS_KM}` });
+    }
+
+    let webhookUrl = null;
+    try {
+        webhookUrl = new URL(String(input.webhookUrl));
+    } catch {
+        webhookUrl = null;
+    }
+    if (!webhookUrl || !["http:", "https:"].includes(webhookUrl.protocol)) {
+        errors.push({ field: "webhookUrl", message: "must be an http(s) URL" });
+    }
+
+    if (errors.length > 0) throw new WatchValidationError(errors);
+    return {
+        name,
+        speciesCode: input.speciesCode || null,
+        latitude,
+        longitude,
+        radiusKm,
+        webhookUrl: webhookUrl.toString(),
+        includePending: input.includePending === true,
+    };
+};
+
+export class WatchStore {
+    constructor(filePath, { webhookPolicy = new WebhookPolicy() } = {}) {
+        this.filePath = filePath;
+        this.webhookPolicy = webhookPolicy;
+        this.watches = new Map();
+        this.pendingWrite = Promise.resolve();
+    }
+
+    load() {
+        if (fs.existsSync(this.filePath)) {
+            const { watches = [] } = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+            watches.forEach(watch => this.watches.set(watch.id, watch));
+        }
+        return this;
+    }
+
+    persist() {
+        const snapshot = JSON.stringify({ version: 1, watches: [...this.watches.values()] });
+        this.pendingWrite = this.pendingWrite
+            .catch(() => {})
+            .then(async () => {
+                await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+                const tempPath = `${this.filePath}.${process.pid}.tmp`;
+                await fs.promises.writeFile(tempPath, snapshot, { mode: 0o600 });
+                await fs.promises.rename(tempPath, this.filePath);
+            });
+        return this.pendingWrite;
+    }
+
+    async create(input, { owner = null } = {}) {
+        const fields = validateWatch(input);
+        try {
+            await this.webhookPolicy.check(fields.webhookUrl);
+        } catch (error) {
+            if (!(error instanceof WebhookBlockedError)) throw error;
+            throw new WatchValidationError([{ field: "webhookUrl", message: error.message }]);
+        }
+
+        const watch = {
+            id: `watch_${crypto.randomBytes(6).toString("hex")}`,
+            ...fields,
+            owner,
+            secret: crypto.randomBytes(24).toString("hex"),
+            createdAt: new Date().toISOString(),
+            // The first poll records what is already there without notifying
+            primed: false,
+            lastPolledAt: null,
+            lastNotifiedAt: null,
+            seen: [],
+        };
+        this.watches.set(watch.id, watch);
+        await this.persist();
+        return watch;
+    }
+
+    list({ owner } = {}) {
+        return [...this.watches.values()]
+            .filter(watch => owner === undefined || watch.owner === owner)
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    }
+
+    get(id) {
+        return this.watches.get(id) || null;
+    }
+
+    async remove(id) {
+        const removed = this.watches.delete(id);
+        if (removed) await this.persist();
+        return removed;
+    }
+
+    // Mark match keys as notified; only the newest MAX_SEEN_KEYS are kept
+    markSeen(watch, keys) {
+        const seen = new Set(watch.seen);
+        keys.forEach(key => seen.add(key));
+        watch.seen = [...seen].slice(-MAX_SEEN_KEYS);
+    }
+
+    // Watch as shown through the API (the seen list is internal)
+    static view({ seen, ...watch }) {
+        return { ...watch, seenCount: seen.length };
+    }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Webhook delivery with exponential backoff; every attempt is written to the delivery log
+export class WebhookDispatcher {
+    constructor({ log, client = axios, policy = new WebhookPolicy(), maxAttempts = 4, retryBaseMs = 1000, timeoutMs = 10000 }) {
+        this.log = log;
+        this.policy = policy;
+        this.client = client;
+        this.maxAttempts = maxAttempts;
+        this.retryBaseMs = retryBaseMs;
+        this.timeoutMs = timeoutMs;
+    }
+
+    // Returns { delivered, attempts, deliveryId }; maxAttempts: 1 sends once without retrying
+    async deliver(watch, event, payload, { maxAttempts = this.maxAttempts } = {}) {
+        const deliveryId = `dlv_${crypto.randomBytes(8).toString("hex")}`;
+        const { id, name, speciesCode, latitude, longitude, radiusKm } = watch;
+        const body = JSON.stringify({ id: deliveryId, event, watch: { id, name, speciesCode, latitude, longitude, radiusKm }, ...payload });
+        const signature = crypto.createHmac("sha256", watch.secret).update(body).digest("hex");
+
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            const startedAt = Date.now();
+            let statusCode = null;
+            let error = null;
+            let blocked = false;
+            try {
+                // Checked on every attempt: the allowlist or the host's DNS may have changed since the watch was saved
+                await this.policy.check(watch.webhookUrl);
+                const response = await this.client.post(watch.webhookUrl, body, {
+                    headers: {
+                        "Content-Type": "application/json",
+                        "X-Watch-Id": watch.id,
+                        "X-Watch-Event": event,
+                        "X-Watch-Delivery": deliveryId,
+                        "X-Watch-Signature": `sha256=${signature}`,
+                    },
+                    timeout: this.timeoutMs,
+                    // Redirects could lead to a private address, so they count as failures
+                    maxRedirects: 0,
+                    lookup: this.policy.lookup,
+                    validateStatus: () => true,
+                });
+                statusCode = response.status;
+                if (statusCode < 200 || statusCode >= 300) error = `HTTP ${statusCode}`;
+            } catch (requestError) {
+                blocked = requestError instanceof WebhookBlockedError || requestError.cause instanceof WebhookBlockedError;
+                // Connection details could reveal how the network is laid out, so only the kind of failure is kept
+                error = blocked ? `Blocked: ${(requestError.cause || requestError).message}` : requestError.code || "Request failed";
+            }
+
+            const delivered = !error;
+            const willRetry = !delivered && !blocked && attempt < maxAttempts;
+            await this.log.append({
+                watchId: watch.id,
+                deliveryId,
+                event,
+                attempt,
+                url: watch.webhookUrl,
+                statusCode,
+                delivered,
+                error,
+                durationMs: Date.now() - startedAt,
+                matches: payload.matches?.length ?? 0,
+                willRetry,
+            });
+
+            if (delivered) return { delivered: true, attempts: attempt, deliveryId };
+            if (!willRetry) return { delivered: false, attempts: attempt, deliveryId };
+            await sleep(this.retryBaseMs * 4 ** (attempt - 1));
+        }
+    }
+}
+
+// Runs every watch on an interval; one poll at a time
+export class WatchPoller {
+    constructor({ store, dispatcher, findMatches, intervalMs = 15 * 60 * 1000 }) {
+        this.store = store;
+        this.dispatcher = dispatcher;
+        this.findMatches = findMatches;
+        this.intervalMs = intervalMs;
+        this.timer = null;
+        this.running = null;
+        this.lastRun = null;
+    }
+
+    start() {
+        if (this.timer) return this;
+        this.timer = setInterval(() => {
+            this.pollAll().catch(error => console.error(`Watch poll failed: ${error.message}`));
+        }, this.intervalMs);
+        // Polling alone should not keep the process alive
+        this.timer.unref();
+        return this;
+    }
+
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    pollAll() {
+        if (this.running) return this.running;
+
+        this.running = (async () => {
+            const startedAt = new Date().toISOString();
+            const results = [];
+            for (const watch of this.store.list()) {
+                try {
+                    results.push(await this.pollWatch(watch));
+                } catch (error) {
+                    results.push({ watchId: watch.id, error: error.message });
+                }
+            }
+            await this.store.persist();
+            this.lastRun = { startedAt, finishedAt: new Date().toISOString(), results };
+            return this.lastRun;
+        })().finally(() => {
+            this.running = null;
+        });
+        return this.running;
+    }
+
+    // Returns { watchId, found, new, delivered, sourceErrors }
+    async pollWatch(watch) {
+        const { matches, errors } = await this.findMatches(watch);
+        const seen = new Set(watch.seen);
+        const fresh = matches.filter(match => !seen.has(match.key));
+        const report = { watchId: watch.id, found: matches.length, new: fresh.length, delivered: false, sourceErrors: errors };
+
+        watch.lastPolledAt = new Date().toISOString();
+        if (!watch.primed) {
+            this.store.markSeen(watch, fresh.map(match => match.key));
+            watch.primed = true;
+            return { ...report, primed: true };
+        }
+        if (fresh.length === 0) return report;
+
+        const { delivered, deliveryId } = await this.dispatcher.deliver(watch, "sightings", { matches: fresh });
+        report.delivered = delivered;
+        report.deliveryId = deliveryId;
+        // Undelivered matches stay unseen, so the next poll tries them again
+        if (delivered) {
+            this.store.markSeen(watch, fresh.map(match => match.key));
+            watch.lastNotifiedAt = new Date().toISOString();
+        }
+        return report;
+    }
+}
@@ -1,5 +1,23 @@
+import fs from "fs";
+import path from "path";
 import dotenv from "dotenv";
 
 dotenv.config();
 
-console.log("API Key from process.env:", process.env.OPENAI_API_KEY);
+// Which upstream keys are set (never their values) and, when replaying, how many fixtures each service has
+const mode = process.env.UPSTREAM_MODE || "live";
+const fixturesDir = process.env.FIXTURES_DIR || path.join("fixtures", "upstream");
+
+console.log(`Upstream mode: ${mode}`);
+for (const name of ["OPENAI_API_KEY", "UNSPLASH_API_KEY", "EBIRD_API_KEY"]) {
+    console.log(`${name}: ${process.env[name] ? "set" : "not set"}`);
+}
+
+if (mode !== "live") {
+    const services = fs.existsSync(fixturesDir) ? fs.readdirSync(fixturesDir) : [];
+    console.log(`Fixtures in ${fixturesDir}:${services.length === 0 ? " none" : ""}`);
+    services.forEach(service => {
+        const count = fs.readdirSync(path.join(fixturesDir, service)).filter(name => name.endsWith(".json")).length;
+        console.log(`  ${service}: ${count}`);
+    });
+}
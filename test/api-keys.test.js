@@ -0,0 +1,86 @@
+import { test } from "node:test";
+import assert from "assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { ApiKeyStore, ApiKeyValidationError, RateLimiter, validateKeySettings, DEFAULT_RATE_LIMIT, DEFAULT_DAILY_QUOTA } from "../services/apiKeys.js";
+
+const tempFile = (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "api-keys-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return path.join(dir, "api-keys.json");
+};
+
+test("settings get defaults, and every bad field is reported at once", () => {
+    assert.deepEqual(validateKeySettings({ name: " Field app ", scopes: ["read", "read", "classify"] }), {
+        name: "Field app",
+        scopes: ["read", "classify"],
+        rateLimit: DEFAULT_RATE_LIMIT,
+        dailyQuota: DEFAULT_DAILY_QUOTA,
+    });
+    assert.deepEqual(validateKeySettings({ dailyQuota: null }, { partial: true }), { dailyQuota: null });
+
+    assert.throws(() => validateKeySettings({ name: "", scopes: ["read", "root"], rateLimit: -1, dailyQuota: 1.5 }), (error) => {
+        assert.ok(error instanceof ApiKeyValidationError);
+        assert.deepEqual(error.details.map(detail => detail.field), ["name", "scopes", "rateLimit", "dailyQuota"]);
+        return true;
+    });
+    assert.throws(() => validateKeySettings({ scopes: [] }, { partial: true }), ApiKeyValidationError);
+});
+
+test("secrets are shown once, stored only as a hash and stop working when revoked", async (t) => {
+    const filePath = tempFile(t);
+    const store = new ApiKeyStore(filePath);
+    const { key, secret } = await store.create({ name: "Field app", scopes: ["read"] });
+
+    assert.match(secret, /^bik_/);
+    assert.equal(key.secretHint, `${secret.slice(0, 8)}…`);
+    assert.equal(fs.readFileSync(filePath, "utf8").includes(secret), false);
+    assert.equal(fs.statSync(filePath).mode & 0o777, 0o600);
+    assert.equal("secretHash" in ApiKeyStore.view(key), false);
+
+    const reloaded = new ApiKeyStore(filePath).load();
+    assert.equal(reloaded.authenticate(secret).id, key.id);
+    assert.equal(reloaded.authenticate(`${secret}x`), null);
+    assert.equal(reloaded.authenticate("ключ"), null);
+
+    await reloaded.revoke(key.id);
+    assert.equal(reloaded.authenticate(secret), null);
+    assert.equal(await reloaded.revoke("key_unknown"), null);
+});
+
+test("updates change only the fields given", async (t) => {
+    const store = new ApiKeyStore(tempFile(t));
+    const { key } = await store.create({ name: "Field app", scopes: ["read"], rateLimit: 10 });
+
+    await store.update(key.id, { scopes: ["read", "write"] });
+    assert.deepEqual([key.name, key.scopes, key.rateLimit], ["Field app", ["read", "write"], 10]);
+    await assert.rejects(store.update(key.id, { rateLimit: "fast" }), ApiKeyValidationError);
+    assert.equal(await store.update("key_unknown", { name: "x" }), null);
+});
+
+test("daily quotas count whole requests and reset on a new day", async (t) => {
+    const store = new ApiKeyStore(tempFile(t));
+    const { key } = await store.create({ name: "Field app", scopes: ["classify"], dailyQuota: 5 });
+
+    assert.deepEqual(await store.consumeQuota(key, 3), { allowed: true, used: 3, limit: 5 });
+    assert.deepEqual(await store.consumeQuota(key, 3), { allowed: false, used: 3, limit: 5 });
+    assert.deepEqual(await store.consumeQuota(key, 2), { allowed: true, used: 5, limit: 5 });
+
+    key.usage.day = "2000-01-01";
+    assert.deepEqual(await store.consumeQuota(key), { allowed: true, used: 1, limit: 5 });
+
+    key.dailyQuota = null;
+    assert.equal((await store.consumeQuota(key, 10000)).allowed, true);
+});
+
+test("rate limits apply per client within a fixed window", async () => {
+    const limiter = new RateLimiter({ windowMs: 30 });
+    assert.deepEqual([1, 2, 3].map(() => limiter.hit("a", 2)).map(({ allowed, remaining }) => [allowed, remaining]),
+        [[true, 1], [true, 0], [false, 0]]);
+    assert.equal(limiter.hit("b", 2).allowed, true);
+
+    await new Promise(resolve => setTimeout(resolve, 40));
+    assert.equal(limiter.hit("a", 2).allowed, true);
+    assert.deepEqual([...limiter.windows.keys()], ["a"]);
+});
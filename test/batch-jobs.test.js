@@ -0,0 +1,108 @@
+import { test } from "node:test";
+import assert from "assert/strict";
+import AdmZip from "adm-zip";
+import { BatchJobManager, BatchInputError, checkBatchSize, extractImages, MAX_BATCH_ITEMS } from "../services/batchJobs.js";
+
+const zipOf = (files) => {
+    const zip = new AdmZip();
+    Object.entries(files).forEach(([name, data]) => zip.addFile(name, Buffer.isBuffer(data) ? data : Buffer.from(data)));
+    return zip.toBuffer();
+};
+
+// Rewrite every uncompressed size the archive declares, as a hand-made zip bomb would
+const understateSizes = (zipBuffer, size) => {
+    const forged = Buffer.from(zipBuffer);
+    for (let offset = 0; offset < forged.length - 4; offset++) {
+        const signature = forged.readUInt32LE(offset);
+        if (signature === 0x04034b50) forged.writeUInt32LE(size, offset + 22);
+        if (signature === 0x02014b50) forged.writeUInt32LE(size, offset + 24);
+    }
+    return forged;
+};
+
+const rejectsWith = (fn, pattern) => assert.throws(fn, (error) => {
+    assert.ok(error instanceof BatchInputError);
+    assert.equal(error.statusCode, 400);
+    assert.match(error.message, pattern);
+    return true;
+});
+
+// Resolves once the job has finished
+const finished = (job) => new Promise(resolve => (job.finishedAt ? resolve() : job.events.once("done", resolve)));
+
+test("only images are taken from an archive, skipping folders, hidden files and resource forks", () => {
+    const images = extractImages(zipOf({
+        "birds/robin.JPG": "robin",
+        "birds/cardinal.webp": "cardinal",
+        "birds/.hidden.jpg": "hidden",
+        "__MACOSX/birds/._robin.JPG": "fork",
+        "birds/notes.txt": "notes",
+    }));
+    assert.deepEqual(images.map(({ name, buffer }) => [name, buffer.toString()]).sort(), [
+        ["birds/cardinal.webp", "cardinal"],
+        ["birds/robin.JPG", "robin"],
+    ]);
+});
+
+test("entries are capped at their real inflated size, whatever the archive declares", () => {
+    const large = Buffer.alloc(64 * 1024, 1);
+    const archive = zipOf({ "small.jpg": "ok", "large.jpg": large });
+
+    rejectsWith(() => extractImages(archive, { maxEntryBytes: 32 * 1024 }), /too large/);
+    rejectsWith(() => extractImages(understateSizes(archive, 10), { maxEntryBytes: 32 * 1024 }),
+        /large\.jpg is larger than the 0\.03125MB limit/);
+    const images = extractImages(archive, { maxEntryBytes: 64 * 1024 });
+    assert.equal(images.find(image => image.name === "large.jpg").buffer.length, large.length);
+});
+
+test("unreadable archives and oversized batches are refused", () => {
+    rejectsWith(() => extractImages(Buffer.from("not a zip")), /Unreadable zip archive/);
+    rejectsWith(() => checkBatchSize(0), /No images/);
+    rejectsWith(() => checkBatchSize(MAX_BATCH_ITEMS + 1), new RegExp(`At most ${MAX_BATCH_ITEMS}`));
+    checkBatchSize(MAX_BATCH_ITEMS);
+});
+
+test("jobs run every image, counting rejected and failing files as errors", async () => {
+    const manager = new BatchJobManager({
+        concurrency: 2,
+        processItem: async ({ name, input }, options) => {
+            if (input === "broken") throw new Error("Unable to decode image");
+            return { species: `${options.prefix}${name}`, speciesCode: "amerob", confidence: 0.9 };
+        },
+    });
+    const job = manager.create([
+        { name: "a.jpg", input: "a" },
+        { name: "b.jpg", input: "broken" },
+        { name: "c.txt", error: "Only JPEG, PNG and WebP images are supported." },
+        { name: "d.jpg", input: "d" },
+    ], { prefix: "bird " });
+    const progress = [];
+    job.events.on("progress", event => progress.push(event));
+
+    await finished(job);
+    const { status, total, completed, failed, pending } = BatchJobManager.summary(job);
+    assert.deepEqual({ status, total, completed, failed, pending }, { status: "completed", total: 4, completed: 2, failed: 2, pending: 0 });
+    // The rejected file counts as processed from the start
+    assert.deepEqual(progress.map(event => event.processed), [2, 3, 4]);
+    assert.equal(progress.some(event => "input" in event), false);
+    assert.deepEqual(job.items.map(item => [item.status, item.error]), [
+        ["done", null],
+        ["error", "Unable to decode image"],
+        ["error", "Only JPEG, PNG and WebP images are supported."],
+        ["done", null],
+    ]);
+    assert.equal(job.items[0].result.species, "bird a.jpg");
+
+    const csv = [...BatchJobManager.resultsCsv(job)].join("");
+    assert.match(csv, /^index,file,status,species/);
+    assert.match(csv, /\n0,a\.jpg,done,bird a\.jpg,amerob,,0\.9,/);
+});
+
+test("a job in which every image fails is marked failed", async () => {
+    const manager = new BatchJobManager({ processItem: async () => { throw new Error("quota exceeded"); } });
+    const job = manager.create([{ name: "a.jpg", input: "a" }]);
+    await finished(job);
+    assert.equal(job.status, "failed");
+    assert.equal(manager.get(job.id), job);
+    assert.equal(manager.get("unknown"), null);
+});
@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { ClassificationMemo } from "../services/classificationMemo.js";
+
+const tempFile = (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "memo-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return path.join(dir, "memo.json");
+};
+
+const sha = (char) => char.repeat(64);
+const robin = { speciesCode: "amerob", species: "American Robin", confidence: 0.92 };
+const cardinal = { speciesCode: "norcar", species: "Northern Cardinal", confidence: 0.88 };
+
+test("exact repeats match on SHA-256 and near-identical images on perceptual hash", async (t) => {
+    const memo = new ClassificationMemo(tempFile(t), { maxDistance: 4 });
+    await memo.remember("openai", { sha256: sha("a"), perceptual: "ff00ff00ff00ff00" }, robin);
+
+    assert.equal(memo.lookup("openai", { sha256: sha("a"), perceptual: "0000000000000000" }).match, "exact");
+    const near = memo.lookup("openai", { sha256: sha("b"), perceptual: "ff00ff00ff00ff07" });
+    assert.deepEqual([near.match, near.distance, near.entry.speciesCode], ["perceptual", 3, "amerob"]);
+    assert.equal(memo.lookup("openai", { sha256: sha("b"), perceptual: "ff00ff00ff00ff1f" }), null);
+});
+
+test("the closest perceptual match wins and other providers' results are never reused", async (t) => {
+    const memo = new ClassificationMemo(tempFile(t));
+    await memo.remember("openai", { sha256: sha("a"), perceptual: "0000000000000003" }, robin);
+    await memo.remember("openai", { sha256: sha("b"), perceptual: "0000000000000001" }, cardinal);
+
+    assert.equal(memo.lookup("openai", { sha256: sha("c"), perceptual: "0000000000000000" }).entry.speciesCode, "norcar");
+    assert.equal(memo.lookup("local", { sha256: sha("a"), perceptual: "0000000000000003" }), null);
+});
+
+test("remembering the same upload again replaces the old result", async (t) => {
+    const memo = new ClassificationMemo(tempFile(t));
+    await memo.remember("openai", { sha256: sha("a"), perceptual: "0000000000000000" }, robin);
+    await memo.remember("openai", { sha256: sha("a"), perceptual: "0000000000000000" }, cardinal);
+
+    assert.equal(memo.size, 1);
+    assert.equal(memo.lookup("openai", { sha256: sha("a") }).entry.speciesCode, "norcar");
+});
+
+test("invalidate drops every result for a species, on disk too", async (t) => {
+    const filePath = tempFile(t);
+    const memo = new ClassificationMemo(filePath);
+    await memo.remember("openai", { sha256: sha("a"), perceptual: "0000000000000000" }, robin);
+    await memo.remember("local", { sha256: sha("b"), perceptual: "ffffffffffffffff" }, robin);
+    await memo.remember("openai", { sha256: sha("c"), perceptual: "00000000ffffffff" }, cardinal);
+
+    assert.equal(await memo.invalidate({ speciesCode: "amerob" }), 2);
+    assert.equal(await memo.invalidate({ speciesCode: "amerob" }), 0);
+    assert.equal(memo.lookup("openai", { sha256: sha("a"), perceptual: "0000000000000000" }), null);
+
+    const reloaded = new ClassificationMemo(filePath).load();
+    assert.deepEqual(reloaded.entries.map(entry => entry.speciesCode), ["norcar"]);
+    assert.equal(reloaded.lookup("openai", { sha256: sha("c") }).match, "exact");
+});
+
+test("hits are counted in memory and written once per flush interval", async (t) => {
+    const filePath = tempFile(t);
+    const memo = new ClassificationMemo(filePath, { hitFlushMs: 20 });
+    const entry = await memo.remember("openai", { sha256: sha("a"), perceptual: "0000000000000000" }, robin);
+    const written = () => JSON.parse(fs.readFileSync(filePath, "utf8")).entries[0].hits;
+
+    for (let i = 0; i < 50; i++) memo.recordHit(entry);
+    assert.equal(entry.hits, 50);
+    assert.equal(written(), 0);
+
+    await new Promise(resolve => setTimeout(resolve, 50));
+    await memo.pendingWrite;
+    assert.equal(written(), 50);
+    assert.equal(memo.hitTimer, null);
+});
@@ -0,0 +1,114 @@
+import { test } from "node:test";
+import assert from "assert/strict";
+import { validateClassification, MAX_CANDIDATES } from "../services/classifiers/schema.js";
+import { createClassifier, ClassifierError, ClassificationValidationError } from "../services/classifiers/index.js";
+
+const valid = () => ({
+    candidates: [{ species: "American Robin", scientificName: "Turdus migratorius", confidence: 0.9 }],
+    description: null,
+    lifespan: "2 years",
+    commonFood: null,
+    commonPredators: null,
+});
+
+// OpenAI provider over a fake SDK client that answers with `content`
+const classifierAnswering = (content, options = {}) => createClassifier("openai", {
+    client: { chat: { completions: { create: async () => ({ choices: [{ message: { content } }] }) } } },
+    ...options,
+});
+
+const image = { buffer: Buffer.from("jpeg"), mimeType: "image/jpeg", sha256: "abc" };
+
+const TAXONOMY = {
+    "turdus migratorius": { speciesCode: "amerob", comName: "American Robin", sciName: "Turdus migratorius", score: 1 },
+    "european robin": { speciesCode: "eurrob1", comName: "European Robin", sciName: "Erithacus rubecula", score: 1 },
+    "robbin": { speciesCode: "amerob", comName: "American Robin", sciName: "Turdus migratorius", score: 0.7 },
+};
+const resolveSpecies = (name) => TAXONOMY[name.toLowerCase()] || null;
+
+test("a well-formed classification passes the schema", () => {
+    assert.deepEqual(validateClassification(valid()), []);
+});
+
+test("schema problems are reported per field", () => {
+    const result = valid();
+    result.candidates[0].confidence = 1.5;
+    result.candidates.push({ species: "  ", scientificName: 3, confidence: Number.NaN });
+    delete result.lifespan;
+    result.extra = true;
+
+    assert.deepEqual(validateClassification(result), [
+        { field: "lifespan", message: "is required" },
+        { field: "candidates[0].confidence", message: "must be <= 1" },
+        { field: "candidates[1].species", message: "must not be empty" },
+        { field: "candidates[1].scientificName", message: "expected string or null, got number" },
+        { field: "candidates[1].confidence", message: "expected number, got NaN" },
+        { field: "extra", message: "is not allowed" },
+    ]);
+});
+
+test("candidate lists must be between one and MAX_CANDIDATES long", () => {
+    const empty = { ...valid(), candidates: [] };
+    assert.deepEqual(validateClassification(empty), [{ field: "candidates", message: "must have at least 1 item(s)" }]);
+
+    const tooMany = { ...valid(), candidates: Array.from({ length: MAX_CANDIDATES + 1 }, () => valid().candidates[0]) };
+    assert.deepEqual(validateClassification(tooMany), [{ field: "candidates", message: `must have at most ${MAX_CANDIDATES} item(s)` }]);
+});
+
+test("candidates are ranked, trimmed to topK and resolved against the taxonomy", async () => {
+    const classifier = classifierAnswering(JSON.stringify({
+        ...valid(),
+        candidates: [
+            { species: "European Robin ", scientificName: "", confidence: 0.2 },
+            { species: "American Robin", scientificName: "Turdus migratorius", confidence: 0.7 },
+            { species: "Robbin", scientificName: null, confidence: 0.05 },
+            { species: "Blackbird", scientificName: null, confidence: 0.05 },
+        ],
+    }), { resolveSpecies, topK: 3 });
+
+    const result = await classifier.classify(image);
+    assert.equal(result.provider, "openai");
+    assert.equal(result.species, "American Robin");
+    assert.equal(result.speciesCode, "amerob");
+    assert.equal(result.confidence, 0.7);
+    assert.equal(result.lifespan, "2 years");
+    assert.equal(result.description, null);
+    assert.deepEqual(result.candidates.map(({ species, speciesCode, unknown }) => ({ species, speciesCode, unknown })), [
+        { species: "American Robin", speciesCode: "amerob", unknown: false },
+        { species: "European Robin", speciesCode: "eurrob1", unknown: false },
+        // A weak fuzzy match is not trusted
+        { species: "Robbin", speciesCode: null, unknown: true },
+    ]);
+    assert.equal(result.candidates[1].scientificName, "Erithacus rubecula");
+});
+
+test("JSON wrapped in a code fence is accepted", async () => {
+    const result = await classifierAnswering("```json\n" + JSON.stringify(valid()) + "\n```", { resolveSpecies }).classify(image);
+    assert.equal(result.speciesCode, "amerob");
+});
+
+test("output that is not JSON or breaks the schema is a validation error", async () => {
+    await assert.rejects(classifierAnswering("I think it is a robin").classify(image), (error) => {
+        assert.ok(error instanceof ClassificationValidationError);
+        assert.equal(error.statusCode, 422);
+        assert.match(error.details[0].message, /not valid JSON/);
+        return true;
+    });
+    await assert.rejects(classifierAnswering(JSON.stringify({ candidates: [] })).classify(image), (error) => {
+        assert.ok(error instanceof ClassificationValidationError);
+        assert.ok(error.details.some(detail => detail.field === "candidates"));
+        return true;
+    });
+});
+
+test("an empty answer is a bad gateway", async () => {
+    await assert.rejects(classifierAnswering("").classify(image), (error) => {
+        assert.ok(error instanceof ClassifierError);
+        assert.equal(error.statusCode, 502);
+        return true;
+    });
+});
+
+test("unknown providers are refused", () => {
+    assert.throws(() => createClassifier("nope"), /Unknown classifier provider "nope"/);
+});
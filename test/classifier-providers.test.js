@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "assert/strict";
+import { createClassifier, CLASSIFIER_PROVIDERS } from "../services/classifiers/index.js";
+
+const image = (text) => ({ buffer: Buffer.from(text), mimeType: "image/jpeg", sha256: "abc123" });
+
+test("every provider is selectable by name", () => {
+    assert.deepEqual(CLASSIFIER_PROVIDERS, ["openai", "local", "stub"]);
+    assert.equal(createClassifier("stub").name, "stub");
+    assert.equal(createClassifier("openai", { client: {}, model: "gpt-4o-mini" }).model, "gpt-4o-mini");
+});
+
+test("the stub gives the same answer for the same image and can be pinned to one species", async () => {
+    const stub = createClassifier("stub", { topK: 2 });
+    const [first, second] = await Promise.all([stub.classify(image("photo")), stub.classify(image("photo"))]);
+    assert.deepEqual(first, second);
+    assert.equal(first.candidates.length, 2);
+    assert.equal(first.provider, "stub");
+
+    const pinned = await createClassifier("stub", { species: "american robin" }).classify(image("anything"));
+    assert.deepEqual([pinned.species, pinned.scientificName, pinned.confidence], ["American Robin", "Turdus migratorius", 0.86]);
+});
+
+test("the OpenAI provider sends the image as a data URL and asks for topK candidates", async () => {
+    const requests = [];
+    const wrapped = [];
+    const client = { chat: { completions: { create: async (body) => {
+        requests.push(body);
+        return { choices: [{ message: { content: JSON.stringify({
+            candidates: [{ species: "American Robin", scientificName: "Turdus migratorius", confidence: 0.9 }],
+            description: null, lifespan: null, commonFood: null, commonPredators: null,
+        }) } }] };
+    } } } };
+    const classifier = createClassifier("openai", {
+        client,
+        topK: 3,
+        wrapClient: (openai, context) => { wrapped.push(context); return openai; },
+    });
+
+    const result = await classifier.classify(image("photo"));
+    assert.equal(result.species, "American Robin");
+    const [{ content }] = requests[0].messages;
+    assert.match(content[0].text, /List up to 3 candidate species/);
+    assert.equal(content[1].image_url.url, `data:image/jpeg;base64,${Buffer.from("photo").toString("base64")}`);
+    assert.equal(requests[0].response_format.type, "json_schema");
+    assert.deepEqual(wrapped, [{ imageSha256: "abc123" }]);
+});
@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "assert/strict";
+import { SimpleForecaster, InsufficientDataError, MAX_PERIODS } from "../services/forecaster.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const dayOf = (ds) => Math.floor(new Date(ds).getTime() / DAY_MS);
+const seasonalLatitude = (day) => 40 + 10 * Math.sin((2 * Math.PI * day) / 365.25);
+
+// Weekly sightings over two years following a yearly latitude cycle
+const seasonalRows = () => Array.from({ length: 104 }, (_, week) => {
+    const ds = new Date(Date.UTC(2024, 0, 1) + week * 7 * DAY_MS).toISOString().slice(0, 10);
+    return { ds, y: seasonalLatitude(dayOf(ds)), z: -75 };
+});
+
+test("too few valid observations are rejected with details", () => {
+    const rows = [
+        { ds: "2024-01-01", y: 40, z: -75 },
+        { ds: "2024-02-01", y: 41, z: -75 },
+        { ds: "not a date", y: 42, z: -75 },
+        { ds: "2024-03-01", y: 95, z: -75 },
+        { ds: "2024-04-01", y: 43, z: "x" },
+    ];
+    assert.throws(() => new SimpleForecaster().train(rows), (error) => {
+        assert.ok(error instanceof InsufficientDataError);
+        assert.equal(error.details.validObservations, 2);
+        return true;
+    });
+});
+
+test("observations from fewer than three months are rejected", () => {
+    const rows = ["2024-05-01", "2024-05-10", "2024-05-20", "2024-06-01", "2024-06-15"]
+        .map(ds => ({ ds, y: 40, z: -75 }));
+    assert.throws(() => new SimpleForecaster().train(rows), (error) => {
+        assert.ok(error instanceof InsufficientDataError);
+        assert.equal(error.details.distinctMonths, 2);
+        return true;
+    });
+});
+
+test("a yearly latitude cycle is forecast a year ahead", () => {
+    const model = new SimpleForecaster().train(seasonalRows());
+    const path = model.predict(365);
+    assert.equal(path.length, 365);
+    for (const point of path) {
+        assert.ok(Math.abs(point.latitude - seasonalLatitude(dayOf(point.ds))) < 0.5, `${point.ds}: ${point.latitude}`);
+        assert.ok(point.latitudeLower <= point.latitude && point.latitude <= point.latitudeUpper);
+    }
+});
+
+test("forecast days follow the last observation one by one", () => {
+    const rows = seasonalRows();
+    const path = new SimpleForecaster().train(rows).predict(3);
+    const last = dayOf(rows[rows.length - 1].ds);
+    assert.deepEqual(path.map(point => dayOf(point.ds)), [last + 1, last + 2, last + 3]);
+});
+
+test("periods are capped", () => {
+    const path = new SimpleForecaster().train(seasonalRows()).predict(MAX_PERIODS + 100);
+    assert.equal(path.length, MAX_PERIODS);
+});
+
+test("sightings either side of the antimeridian stay there", () => {
+    const rows = seasonalRows().map((row, i) => ({ ...row, z: i % 2 ? 179.5 : -179.5 }));
+    const path = new SimpleForecaster().train(rows).predict(30);
+    assert.ok(path.every(point => Math.abs(point.longitude) > 178), JSON.stringify(path[0]));
+});
+
+test("predicting before training fails", () => {
+    assert.throws(() => new SimpleForecaster().predict(5), /trained/);
+});
@@ -0,0 +1,111 @@
+import { test } from "node:test";
+import assert from "assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { HttpCache } from "../services/httpCache.js";
+
+const MINUTE = 60 * 1000;
+const SOURCES = { test: { ttl: MINUTE, maxStale: 10 * MINUTE } };
+
+const tempDir = (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "http-cache-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+};
+
+// Pretend an entry was stored `age` ms ago, in memory and (when present) on disk
+const age = (cache, key, ms) => {
+    const entry = cache.memory.get(`test:${key}`);
+    entry.storedAt -= ms;
+    if (cache.directory) {
+        const filePath = cache.entryPath("test", key);
+        fs.writeFileSync(filePath, JSON.stringify(entry));
+        const storedAt = new Date(entry.storedAt);
+        fs.utimesSync(filePath, storedAt, storedAt);
+    }
+};
+
+test("keys sort parameters and leave out credentials and empty values", () => {
+    assert.equal(HttpCache.keyFor("https://api.example/search", { query: "robin", client_id: "secret", page: 2, Key: "x", sp: null }),
+        "https://api.example/search?page=2&query=robin");
+    assert.equal(HttpCache.keyFor("https://api.example/search"), "https://api.example/search");
+});
+
+test("fresh entries are hits and concurrent misses share one upstream call", async () => {
+    const cache = new HttpCache({ sources: SOURCES });
+    let calls = 0;
+    const loader = async () => ({ call: ++calls });
+
+    const [first, second] = await Promise.all([cache.fetch("test", "k", loader), cache.fetch("test", "k", loader)]);
+    assert.equal(calls, 1);
+    assert.equal(first.cache, "miss");
+    assert.deepEqual(second.data, { call: 1 });
+
+    const third = await cache.fetch("test", "k", loader);
+    assert.equal(third.cache, "hit");
+    assert.equal(calls, 1);
+    assert.deepEqual(cache.stats.test, { hits: 1, misses: 2, stale: 0, errors: 0 });
+});
+
+test("expired entries are refetched and served stale only within maxStale", async () => {
+    const cache = new HttpCache({ sources: SOURCES });
+    await cache.fetch("test", "k", async () => "old");
+    const failing = async () => { throw new Error("upstream down"); };
+
+    age(cache, "k", 2 * MINUTE);
+    const refreshed = await cache.fetch("test", "k", async () => "new");
+    assert.equal(refreshed.cache, "miss");
+    assert.equal(refreshed.data, "new");
+
+    age(cache, "k", 5 * MINUTE);
+    const stale = await cache.fetch("test", "k", failing);
+    assert.equal(stale.cache, "stale");
+    assert.equal(stale.data, "new");
+
+    age(cache, "k", 10 * MINUTE);
+    await assert.rejects(cache.fetch("test", "k", failing), /upstream down/);
+    assert.equal(cache.memory.size, 0);
+});
+
+test("unknown sources are refused", async () => {
+    await assert.rejects(new HttpCache({ sources: SOURCES }).fetch("other", "k", async () => 1), /Unknown cache source/);
+});
+
+test("entries survive a restart through the cache directory", async (t) => {
+    const directory = tempDir(t);
+    await new HttpCache({ directory, sources: SOURCES }).fetch("test", "k", async () => ({ ok: true }));
+
+    const restarted = new HttpCache({ directory, sources: SOURCES });
+    const result = await restarted.fetch("test", "k", async () => assert.fail("should be served from disk"));
+    assert.equal(result.cache, "hit");
+    assert.deepEqual(result.data, { ok: true });
+    assert.equal((await restarted.entries("test")).length, 1);
+});
+
+test("prune deletes entries past their maxStale window from memory and disk", async (t) => {
+    const directory = tempDir(t);
+    const cache = new HttpCache({ directory, sources: SOURCES });
+    await cache.fetch("test", "old", async () => 1);
+    await cache.fetch("test", "recent", async () => 2);
+    age(cache, "old", 12 * MINUTE);
+    age(cache, "recent", 5 * MINUTE);
+
+    assert.equal(await cache.prune(), 1);
+    assert.deepEqual([...cache.memory.keys()], ["test:recent"]);
+    assert.equal(fs.existsSync(cache.entryPath("test", "old")), false);
+    assert.equal(fs.existsSync(cache.entryPath("test", "recent")), true);
+});
+
+test("get() caches the response body of a GET keyed without credentials", async () => {
+    const requests = [];
+    const client = { get: async (url, options) => { requests.push(options); return { data: { url } }; } };
+    const cache = new HttpCache({ sources: SOURCES, client });
+
+    await cache.get("test", "https://api.example/photos", { params: { query: "robin", client_id: "a" } });
+    const second = await cache.get("test", "https://api.example/photos", { params: { query: "robin", client_id: "b" } });
+    assert.equal(requests.length, 1);
+    assert.equal(requests[0].params.client_id, "a");
+    assert.equal(second.cache, "hit");
+    assert.deepEqual(second.data, { url: "https://api.example/photos" });
+});
@@ -0,0 +1,86 @@
+import { test } from "node:test";
+import assert from "assert/strict";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import sharp from "sharp";
+import { processUpload, parseExif, perceptualHash, ImageProcessingError } from "../services/imagePipeline.js";
+
+const PHOTO = path.join(path.dirname(fileURLToPath(import.meta.url)), "..", "fixtures", "photos", "bird.jpg");
+
+// Central Park, written the way cameras store it: degrees, minutes, seconds as rationals
+const CENTRAL_PARK = {
+    GPSLatitudeRef: "N", GPSLatitude: "40/1 46/1 5232/100",
+    GPSLongitudeRef: "W", GPSLongitude: "73/1 57/1 5940/100",
+};
+
+const jpeg = (exif, { width = 64, height = 48 } = {}) => {
+    const image = sharp({ create: { width, height, channels: 3, background: "#3a6" } }).jpeg();
+    return (exif ? image.withExif(exif) : image).toBuffer();
+};
+
+const exifOf = async (buffer) => (await sharp(buffer).metadata()).exif;
+
+test("GPS position, camera and local capture time are read from EXIF", async () => {
+    const exif = parseExif(await exifOf(await jpeg({
+        IFD0: { Make: "Canon", Model: "EOS R7" },
+        IFD2: { DateTimeOriginal: "2024:05:01 07:30:00", OffsetTimeOriginal: "-04:00" },
+        IFD3: { ...CENTRAL_PARK, GPSAltitudeRef: "0", GPSAltitude: "25/1" },
+    })));
+    assert.deepEqual(exif, {
+        latitude: 40.7812,
+        longitude: -73.9665,
+        altitude: 25,
+        capturedAt: "2024-05-01T11:30:00.000Z",
+        camera: "Canon EOS R7",
+    });
+});
+
+test("the GPS timestamp is used when the photo has no capture time", async () => {
+    const exif = parseExif(await exifOf(await jpeg({
+        IFD3: { ...CENTRAL_PARK, GPSDateStamp: "2024:05:01", GPSTimeStamp: "11/1 30/1 15/1" },
+    })));
+    assert.equal(exif.capturedAt, "2024-05-01T11:30:15.000Z");
+});
+
+test("a 0,0 position, missing EXIF and unreadable EXIF give empty fields", async () => {
+    const empty = { latitude: null, longitude: null, altitude: null, capturedAt: null, camera: null };
+    const nullIsland = await exifOf(await jpeg({
+        IFD3: { GPSLatitudeRef: "N", GPSLatitude: "0/1 0/1 0/1", GPSLongitudeRef: "E", GPSLongitude: "0/1 0/1 0/1" },
+    }));
+    assert.deepEqual(parseExif(nullIsland), empty);
+    assert.deepEqual(parseExif(undefined), empty);
+    assert.deepEqual(parseExif(Buffer.from("Exif\0\0not a tiff header")), empty);
+});
+
+test("uploads are downscaled and re-encoded without their metadata", async () => {
+    const original = await jpeg({ IFD0: { Make: "Canon" }, IFD3: CENTRAL_PARK }, { width: 2000, height: 1500 });
+    const { image, exif, hashes } = await processUpload(original);
+
+    assert.equal(exif.latitude, 40.7812);
+    assert.deepEqual([image.width, image.height, image.originalWidth, image.originalHeight], [1024, 768, 2000, 1500]);
+    assert.equal(image.mimeType, "image/jpeg");
+    assert.equal(image.originalBytes, original.length);
+    assert.equal(await exifOf(image.buffer), undefined);
+    assert.match(hashes.sha256, /^[0-9a-f]{64}$/);
+    assert.match(hashes.perceptual, /^[0-9a-f]{16}$/);
+});
+
+test("perceptual hashes survive resizing and recompression", async () => {
+    const photo = fs.readFileSync(PHOTO);
+    const smaller = await sharp(photo).resize(200).jpeg({ quality: 60 }).toBuffer();
+    const [a, b] = await Promise.all([perceptualHash(photo), perceptualHash(smaller)]);
+    const distance = [...(BigInt(`0x${a}`) ^ BigInt(`0x${b}`)).toString(2)].filter(bit => bit === "1").length;
+    assert.ok(distance <= 6, `hashes differ in ${distance} bits`);
+});
+
+test("files that are not images, or are cut short, are refused as ImageProcessingError", async () => {
+    const photo = fs.readFileSync(PHOTO);
+    for (const input of [Buffer.from("definitely not an image"), photo.subarray(0, Math.floor(photo.length / 3))]) {
+        await assert.rejects(processUpload(input), (error) => {
+            assert.ok(error instanceof ImageProcessingError);
+            assert.equal(error.statusCode, 400);
+            return true;
+        });
+    }
+});
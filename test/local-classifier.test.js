@@ -0,0 +1,27 @@
+import { test } from "node:test";
+import assert from "assert/strict";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { SpeciesIndex } from "../services/speciesSearch.js";
+import { MIN_MATCH_SCORE } from "../services/classifiers/index.js";
+import { IMAGENET_BIRDS, createLocalClassifier } from "../services/classifiers/local.js";
+
+const rootDir = path.join(path.dirname(fileURLToPath(import.meta.url)), "..");
+const taxonomy = JSON.parse(fs.readFileSync(path.join(rootDir, "taxonomyCache.json"), "utf8"));
+const index = new SpeciesIndex(taxonomy);
+
+test("every ImageNet bird class resolves to the taxonomy entry it names", () => {
+    for (const [className, [species, scientificName]] of Object.entries(IMAGENET_BIRDS)) {
+        for (const name of [species, scientificName].filter(Boolean)) {
+            const match = index.resolve(name);
+            assert.ok(match && (match.score ?? 1) >= MIN_MATCH_SCORE, `"${name}" (${className}) does not resolve`);
+            assert.equal(match.comName, species, `"${name}" (${className}) resolves to ${match.comName}`);
+        }
+    }
+});
+
+test("the local classifier refuses to start without a model on disk", () => {
+    assert.throws(() => createLocalClassifier({ modelPath: "" }), /LOCAL_MODEL_PATH/);
+    assert.throws(() => createLocalClassifier({ modelPath: path.join(rootDir, "no-such-model.json") }), /does not exist/);
+});
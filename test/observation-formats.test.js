@@ -0,0 +1,118 @@
+import { test } from "node:test";
+import assert from "assert/strict";
+import { parseObservations, serializeObservations, detectFormat, isEbirdExport } from "../services/observationFormats.js";
+
+const TAXA = { amerob: { comName: "American Robin", sciName: "Turdus migratorius" } };
+const lookup = (code) => TAXA[code] ?? null;
+
+const OBSERVATIONS = [
+    { id: "obs_1", speciesCode: "amerob", latitude: 40.7812, longitude: -73.9665, observationDate: "2024-04-12", status: "verified" },
+    { id: "obs_2", speciesCode: "amerob", latitude: 40.7527, longitude: -73.9772, observationDate: "2024-04-13T17:05:00.000Z", status: "pending" },
+];
+
+const serialize = (format, observations = OBSERVATIONS) => [...serializeObservations(format, observations, lookup)].join("");
+
+test("CSV columns are matched by any of their usual names", async () => {
+    const rows = await parseObservations("csv", "Species, LAT ,lng,date\nAmerican Robin,40.78,-73.96,2024-04-12\n");
+    assert.deepEqual(rows, [{ row: 2, speciesNames: ["American Robin"], latitude: "40.78", longitude: "-73.96", observationDate: "2024-04-12" }]);
+});
+
+test("CSV species code, scientific and common names are tried in that order", async () => {
+    const [row] = await parseObservations("csv", "comName,sciName,speciesCode,latitude,longitude,observationDate\nRobin,Turdus migratorius,amerob,1,2,2024-01-01\n");
+    assert.deepEqual(row.speciesNames, ["amerob", "Turdus migratorius", "Robin"]);
+});
+
+test("an eBird export is recognized from its header and its times are read", async () => {
+    const text = "Submission ID,Common Name,Scientific Name,Count,Latitude,Longitude,Date,Time\n" +
+        "S1,American Robin,Turdus migratorius,2,40.78,-73.96,2024-04-12,07:30 PM\n" +
+        "S2,American Robin,Turdus migratorius,1,40.78,-73.96,2024-04-13,12:05 AM\n" +
+        "S3,American Robin,Turdus migratorius,1,40.78,-73.96,2024-04-14,\n";
+    assert.equal(isEbirdExport(text), true);
+    const rows = await parseObservations("csv", text);
+    assert.deepEqual(rows.map(row => row.observationDate), ["2024-04-12T19:30:00Z", "2024-04-13T00:05:00Z", "2024-04-14"]);
+    assert.deepEqual(rows[0].speciesNames, ["Turdus migratorius", "American Robin"]);
+});
+
+test("GeoJSON features become rows, and non-point features are row errors", async () => {
+    const rows = await parseObservations("geojson", JSON.stringify({
+        type: "FeatureCollection",
+        features: [
+            { type: "Feature", geometry: { type: "Point", coordinates: [-73.96, 40.78] }, properties: { species: "American Robin", date: "2024-04-12" } },
+            { type: "Feature", geometry: { type: "LineString", coordinates: [] }, properties: {} },
+        ],
+    }));
+    assert.deepEqual(rows[0], { row: 1, speciesNames: ["American Robin"], latitude: 40.78, longitude: -73.96, observationDate: "2024-04-12" });
+    assert.deepEqual(rows[1], { row: 2, errors: [{ field: "geometry", message: "must be a Point" }] });
+});
+
+test("unreadable GeoJSON is a file error", async () => {
+    const [invalid] = await parseObservations("geojson", "{");
+    assert.equal(invalid.errors[0].field, "(file)");
+    const [wrongType] = await parseObservations("geojson", JSON.stringify({ type: "Point", coordinates: [0, 0] }));
+    assert.match(wrongType.errors[0].message, /Feature or FeatureCollection/);
+});
+
+test("GPX waypoints are read with entities and CDATA decoded", async () => {
+    const rows = await parseObservations("gpx", `<?xml version="1.0"?><gpx>
+        <wpt lat="40.78" lon='-73.96'><name><![CDATA[American Robin]]></name><desc>Turdus &amp; co &#x1F426;</desc><time>2024-04-12T07:30:00Z</time></wpt>
+        <wpt lat="1" lon="2"/>
+    </gpx>`);
+    assert.deepEqual(rows[0], {
+        row: 1,
+        speciesNames: ["American Robin", "Turdus & co 🐦"],
+        latitude: "40.78",
+        longitude: "-73.96",
+        observationDate: "2024-04-12T07:30:00Z",
+    });
+    assert.deepEqual(rows[1].speciesNames, []);
+});
+
+test("out-of-range character references in GPX are left as written", async () => {
+    const [row] = await parseObservations("gpx", '<gpx><wpt lat="1" lon="2"><name>Robin &#x110000; &#99999999999; &#12ab;</name></wpt></gpx>');
+    assert.deepEqual(row.speciesNames, ["Robin &#x110000; &#99999999999; &#12ab;"]);
+});
+
+test("a file without a gpx element is refused", async () => {
+    const [row] = await parseObservations("gpx", "<kml></kml>");
+    assert.equal(row.errors[0].message, "not a GPX document");
+});
+
+test("formats are detected from the file name or content type", () => {
+    assert.equal(detectFormat({ filename: "walk.GPX" }), "gpx");
+    assert.equal(detectFormat({ filename: "sightings.json" }), "geojson");
+    assert.equal(detectFormat({ contentType: "application/geo+json" }), "geojson");
+    assert.equal(detectFormat({ contentType: "text/csv" }), "csv");
+    assert.equal(detectFormat({ filename: "notes.txt", contentType: "text/plain" }), null);
+});
+
+test("CSV export lists names from the taxonomy", () => {
+    assert.equal(serialize("csv"),
+        "id,speciesCode,comName,sciName,latitude,longitude,observationDate,status\n" +
+        "obs_1,amerob,American Robin,Turdus migratorius,40.7812,-73.9665,2024-04-12,verified\n" +
+        "obs_2,amerob,American Robin,Turdus migratorius,40.7527,-73.9772,2024-04-13T17:05:00.000Z,pending\n");
+});
+
+test("eBird export uses 12-hour times", () => {
+    const [, first, second] = serialize("ebird").trim().split("\n");
+    assert.ok(first.includes(",2024-04-12,,Incidental"), first);
+    assert.ok(second.includes(",2024-04-13,05:05 PM,Incidental"), second);
+});
+
+test("exports read back as the same sightings", async () => {
+    for (const format of ["csv", "ebird", "geojson", "gpx"]) {
+        const rows = await parseObservations(format, serialize(format));
+        assert.equal(rows.length, OBSERVATIONS.length, format);
+        rows.forEach((row, i) => {
+            assert.equal(Number(row.latitude), OBSERVATIONS[i].latitude, format);
+            assert.equal(Number(row.longitude), OBSERVATIONS[i].longitude, format);
+            assert.ok(row.speciesNames.some(name => ["amerob", "Turdus migratorius"].includes(name)), format);
+            assert.equal(new Date(row.observationDate).getTime(), new Date(OBSERVATIONS[i].observationDate).getTime(), format);
+        });
+    }
+});
+
+test("GPX export escapes XML", () => {
+    const gpx = serialize("gpx", [{ ...OBSERVATIONS[0], speciesCode: "x&y" }]);
+    assert.ok(gpx.includes("<name>x&amp;y</name>"), gpx);
+    assert.ok(!gpx.includes("<desc>"));
+});
@@ -0,0 +1,120 @@
+import { test } from "node:test";
+import assert from "assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { ObservationStore, ObservationValidationError, validateObservation, inBoundingBox } from "../services/observationStore.js";
+
+const tempFile = (t, name) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "observations-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return path.join(dir, name);
+};
+
+const robin = { speciesCode: "amerob", latitude: "40.7812", longitude: -73.9665, observationDate: "2024-04-12" };
+
+test("valid input is normalized", () => {
+    assert.deepEqual(validateObservation({ ...robin, speciesCode: " amerob " }), {
+        speciesCode: "amerob",
+        latitude: 40.7812,
+        longitude: -73.9665,
+        observationDate: "2024-04-12",
+    });
+    assert.equal(validateObservation({ ...robin, observationDate: "2024-04-12T07:30:00-04:00" }).observationDate, "2024-04-12T11:30:00.000Z");
+});
+
+test("every bad field is reported at once", () => {
+    assert.throws(() => validateObservation({ latitude: "", longitude: 200, observationDate: "2024-02-30" }), (error) => {
+        assert.ok(error instanceof ObservationValidationError);
+        assert.deepEqual(error.details.map(detail => detail.field), ["speciesCode", "latitude", "longitude", "observationDate"]);
+        return true;
+    });
+});
+
+test("dates before 1900 or in the future are refused", () => {
+    const nextWeek = new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+    for (const observationDate of ["1899-12-31", nextWeek]) {
+        assert.throws(() => validateObservation({ ...robin, observationDate }), ObservationValidationError, observationDate);
+    }
+});
+
+test("bounding boxes can cross the antimeridian", () => {
+    assert.equal(inBoundingBox({ latitude: 10, longitude: 179 }, [170, 0, -170, 20]), true);
+    assert.equal(inBoundingBox({ latitude: 10, longitude: -175 }, [170, 0, -170, 20]), true);
+    assert.equal(inBoundingBox({ latitude: 10, longitude: 0 }, [170, 0, -170, 20]), false);
+    assert.equal(inBoundingBox({ latitude: 30, longitude: 179 }, [170, 0, -170, 20]), false);
+});
+
+test("the same sighting is only stored once and new ones start pending", async (t) => {
+    const store = new ObservationStore(tempFile(t, "observations.json"));
+    const first = await store.add(robin, { source: "test" });
+    const again = await store.add({ ...robin, latitude: 40.78121, observationDate: "2024-04-12T18:00:00Z" });
+
+    assert.equal(first.duplicate, false);
+    assert.equal(first.observation.status, "pending");
+    assert.equal(first.observation.source, "test");
+    assert.equal(again.duplicate, true);
+    assert.equal(again.observation.id, first.observation.id);
+    assert.equal(store.size, 1);
+});
+
+test("addMany reports bad rows without dropping the good ones", async (t) => {
+    const store = new ObservationStore(tempFile(t, "observations.json"));
+    const results = await store.addMany([robin, { ...robin, latitude: 91 }, robin]);
+    assert.equal(results[0].duplicate, false);
+    assert.ok(results[1].error instanceof ObservationValidationError);
+    assert.equal(results[2].duplicate, true);
+    assert.equal(store.size, 1);
+});
+
+test("records survive a reload, and old records without a status count as verified", async (t) => {
+    const file = tempFile(t, "observations.json");
+    const store = new ObservationStore(file);
+    const { observation } = await store.add(robin);
+    await store.pendingWrite;
+
+    const reloaded = new ObservationStore(file).load();
+    assert.deepEqual(reloaded.get(observation.id), observation);
+
+    fs.writeFileSync(file, JSON.stringify({ observations: [{ ...observation, status: undefined }] }));
+    assert.equal(new ObservationStore(file).load().get(observation.id).status, "verified");
+});
+
+test("queries filter by species, status, place and day, oldest first", async (t) => {
+    const store = new ObservationStore(tempFile(t, "observations.json"));
+    await store.addMany([
+        { ...robin, observationDate: "2024-05-01" },
+        robin,
+        { ...robin, speciesCode: "blujay", observationDate: "2024-04-20" },
+        { ...robin, latitude: 51.5, longitude: -0.12, observationDate: "2024-06-01" },
+    ]);
+
+    const dates = (result) => result.observations.map(observation => observation.observationDate);
+    assert.deepEqual(dates(store.query({ speciesCode: "amerob" })), ["2024-04-12", "2024-05-01", "2024-06-01"]);
+    assert.deepEqual(dates(store.query({ bbox: [-80, 35, -70, 45], from: "2024-04-13", to: "2024-05-01" })), ["2024-04-20", "2024-05-01"]);
+    assert.equal(store.query({ status: ["verified"] }).total, 0);
+
+    const page = store.query({ limit: 2, offset: 1 });
+    assert.equal(page.total, 4);
+    assert.deepEqual(dates(page), ["2024-04-20", "2024-05-01"]);
+});
+
+test("the legacy CSV migrates as verified records and can be run twice", async (t) => {
+    const csvFile = tempFile(t, "historical_bird_data.csv");
+    fs.writeFileSync(csvFile, [
+        "speciesCode,latitude,longitude,observationDate",
+        "amerob,40.7812,-73.9665,2024-04-12",
+        "amerob,not-a-number,-73.9665,2024-04-13",
+        "blujay,40.7527,-73.9772,2024-04-14",
+    ].join("\n"));
+    const store = new ObservationStore(tempFile(t, "observations.json"));
+
+    const report = await store.migrateCsv(csvFile);
+    assert.equal(report.imported, 2);
+    assert.deepEqual(report.invalid.map(line => line.line), [3]);
+    assert.ok(store.query().observations.every(observation => observation.status === "verified"));
+
+    const again = await store.migrateCsv(csvFile);
+    assert.equal(again.imported, 0);
+    assert.equal(again.duplicates, 2);
+});
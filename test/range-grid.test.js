@@ -0,0 +1,82 @@
+import { test } from "node:test";
+import assert from "assert/strict";
+import { aggregateGrid } from "../services/rangeGrid.js";
+import { HttpCache } from "../services/httpCache.js";
+import { SightingIndex } from "../services/sightingIndex.js";
+
+const point = (latitude, longitude, date, extra = {}) => ({ latitude, longitude, date, source: "ebird", ...extra });
+
+// Even-odd test of a point against a closed polygon ring
+const inside = ([x, y], ring) => {
+    let result = false;
+    for (let i = 0, j = ring.length - 2; i < ring.length - 1; j = i++) {
+        const [xi, yi] = ring[i];
+        const [xj, yj] = ring[j];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) result = !result;
+    }
+    return result;
+};
+
+test("square cells bin points by their south-west corner, negatives included", () => {
+    const { features } = aggregateGrid([
+        point(40.2, -73.9, "2024-05-01"),
+        point(40.9, -73.1, "2024-05-03 07:30"),
+        point(-0.5, -0.5, "2024-05-02"),
+    ], { grid: "square", cellSize: 1, byMonth: false });
+
+    assert.deepEqual(features.map(feature => feature.id), ["sq:1:-1:-1", "sq:1:-74:40"]);
+    const nyc = features[1];
+    assert.deepEqual(nyc.geometry.coordinates[0], [[-74, 40], [-73, 40], [-73, 41], [-74, 41], [-74, 40]]);
+    assert.deepEqual(nyc.properties.center, [-73.5, 40.5]);
+    assert.deepEqual([nyc.properties.count, nyc.properties.firstDate, nyc.properties.lastDate], [2, "2024-05-01", "2024-05-03"]);
+    assert.deepEqual([nyc.properties.intensity, features[0].properties.intensity], [1, 0.5]);
+});
+
+test("every point lies inside the hexagon it is binned into", () => {
+    for (let i = 0; i < 200; i++) {
+        const latitude = ((i * 37) % 170) - 85 + (i % 7) / 10;
+        const longitude = ((i * 53) % 360) - 180 + (i % 11) / 10;
+        const [feature] = aggregateGrid([point(latitude, longitude, "2024-05-01")], { grid: "hex", cellSize: 0.7 }).features;
+        assert.ok(inside([longitude, latitude], feature.geometry.coordinates[0]), `${latitude},${longitude} outside ${feature.id}`);
+    }
+});
+
+test("monthly bins count sightings, individuals and sources separately", () => {
+    const { features } = aggregateGrid([
+        point(40.2, -73.9, "2024-05-01", { individuals: 3 }),
+        point(40.3, -73.8, "2023-05-20T08:00:00Z", { source: "observation" }),
+        point(40.2, -73.9, "2024-06-01"),
+    ], { grid: "square", cellSize: 1 });
+
+    assert.deepEqual(features.map(feature => feature.id), ["sq:1:-74:40:m5", "sq:1:-74:40:m6"]);
+    assert.deepEqual(features[0].properties.sources, { ebird: 1, observation: 1 });
+    assert.deepEqual([features[0].properties.month, features[0].properties.individuals], [5, 4]);
+    assert.equal(features[0].properties.firstDate, "2023-05-20");
+});
+
+test("empty input gives an empty collection and unknown grids are refused", () => {
+    assert.deepEqual(aggregateGrid([]), { type: "FeatureCollection", features: [] });
+    assert.throws(() => aggregateGrid([], { grid: "triangle" }), /Unknown grid type/);
+});
+
+test("the sighting index follows cache writes, keeps one sighting per checklist and drops expired responses", async () => {
+    const cache = new HttpCache({ sources: { ebird: { ttl: 60000, maxStale: 60000 } } });
+    const index = new SightingIndex({ httpCache: cache });
+    const robin = (subId, obsDt) => ({ speciesCode: "amerob", subId, lat: 40.78, lng: -73.97, obsDt });
+
+    await cache.write("ebird", "recent?lat=40", [robin("S1", "2024-05-01 07:30"), { speciesCode: "norcar", subId: "S1", lat: 40.78, lng: -73.97, obsDt: "2024-05-01" }]);
+    await cache.write("ebird", "recent?lat=41", [robin("S1", "2024-05-01 07:30"), robin("S2", "2024-05-02"), { speciesCode: "amerob", lat: null }]);
+    await cache.write("other", "ignored", [robin("S9", "2024-05-09")]);
+
+    assert.deepEqual((await index.sightings("amerob")).map(obs => obs.subId), ["S1", "S2"]);
+    assert.equal((await index.sightings("norcar")).length, 1);
+
+    // A newer response for the same request replaces the old one's sightings
+    await cache.write("ebird", "recent?lat=40", []);
+    assert.deepEqual(await index.sightings("norcar"), []);
+
+    // Responses past their maxStale window no longer count
+    index.add({ key: "recent?lat=42", storedAt: Date.now() - 3 * 60000, data: [robin("S3", "2024-04-20")] });
+    assert.deepEqual((await index.sightings("amerob")).map(obs => obs.subId), ["S1", "S2"]);
+    assert.equal(index.responses.has("recent?lat=42"), false);
+});
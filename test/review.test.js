@@ -0,0 +1,83 @@
+import { test } from "node:test";
+import assert from "assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { AuditLog } from "../services/auditLog.js";
+import { ObservationStore, ObservationReviewError } from "../services/observationStore.js";
+
+const tempDir = (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "review-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+};
+
+const robin = { speciesCode: "amerob", latitude: 40.7812, longitude: -73.9665, observationDate: "2024-04-12" };
+
+const rejectsWith = (promise, statusCode, pattern) => assert.rejects(promise, (error) => {
+    assert.ok(error instanceof ObservationReviewError);
+    assert.equal(error.statusCode, statusCode);
+    assert.match(error.message, pattern);
+    return true;
+});
+
+test("the audit log appends in order, survives a restart and lists newest first", async (t) => {
+    const filePath = path.join(tempDir(t), "review-log.jsonl");
+    const log = new AuditLog(filePath, { idPrefix: "rev" });
+    const written = await Promise.all([
+        log.append({ observationId: "a", action: "approve", reviewer: "key_1" }),
+        log.append({ observationId: "b", action: "reject", reviewer: "key_2" }),
+        log.append({ observationId: "a", action: "reidentify", reviewer: "key_2" }),
+    ]);
+    assert.match(written[0].id, /^rev_[0-9a-f]{16}$/);
+    assert.equal(fs.readFileSync(filePath, "utf8").trim().split("\n").length, 3);
+
+    const reloaded = new AuditLog(filePath).load();
+    assert.deepEqual(reloaded.list().entries.map(entry => entry.action), ["reidentify", "reject", "approve"]);
+    assert.equal(reloaded.list({ observationId: "a", reviewer: undefined, action: "" }).total, 2);
+    assert.deepEqual(reloaded.list({ reviewer: "key_2", limit: 1, offset: 1 }), { total: 2, entries: [written[1]] });
+});
+
+test("approving and rejecting set the status and remember who reviewed", async (t) => {
+    const store = new ObservationStore(path.join(tempDir(t), "observations.json"));
+    const { observation } = await store.add(robin);
+    assert.equal(observation.status, "pending");
+
+    const approved = await store.review(observation.id, { action: "approve", reviewer: "key_1" });
+    assert.deepEqual(approved.previous, { status: "pending", speciesCode: "amerob" });
+    assert.deepEqual([observation.status, observation.reviewedBy], ["verified", "key_1"]);
+
+    await store.review(observation.id, { action: "reject", reviewer: "key_2" });
+    assert.deepEqual([observation.status, observation.reviewedBy], ["rejected", "key_2"]);
+    assert.equal(new ObservationStore(store.filePath).load().get(observation.id).status, "rejected");
+});
+
+test("re-identifying corrects the species and frees the old place and day", async (t) => {
+    const store = new ObservationStore(path.join(tempDir(t), "observations.json"));
+    const { observation } = await store.add(robin);
+    const id = observation.id;
+
+    const { previous } = await store.review(id, { action: "reidentify", speciesCode: "norcar", reviewer: "key_1" });
+    assert.deepEqual(previous, { status: "pending", speciesCode: "amerob" });
+    assert.deepEqual([observation.id, observation.speciesCode, observation.status], [id, "norcar", "verified"]);
+    assert.equal((await store.add({ ...robin, speciesCode: "norcar" })).duplicate, true);
+
+    // A new robin sighting at the same place and day gets its own id, since the old one is taken
+    const { observation: again, duplicate } = await store.add(robin);
+    assert.equal(duplicate, false);
+    assert.notEqual(again.id, id);
+    assert.ok(again.id.startsWith(`${id}_`));
+});
+
+test("bad review requests are refused without changing the observation", async (t) => {
+    const store = new ObservationStore(path.join(tempDir(t), "observations.json"));
+    const { observation } = await store.add(robin);
+    await store.add({ ...robin, speciesCode: "norcar" });
+
+    await rejectsWith(store.review("missing", { action: "approve" }), 404, /not found/);
+    await rejectsWith(store.review(observation.id, { action: "delete" }), 400, /action must be one of approve, reject, reidentify/);
+    await rejectsWith(store.review(observation.id, { action: "reidentify" }), 400, /needs the corrected species/);
+    await rejectsWith(store.review(observation.id, { action: "reidentify", speciesCode: "amerob" }), 400, /already identified/);
+    await rejectsWith(store.review(observation.id, { action: "reidentify", speciesCode: "norcar" }), 409, /already records norcar/);
+    assert.deepEqual([observation.status, observation.speciesCode], ["pending", "amerob"]);
+});
@@ -0,0 +1,120 @@
+import { test } from "node:test";
+import assert from "assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { Readable } from "stream";
+import { SoundLibrary } from "../services/soundLibrary.js";
+
+const tempDir = (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "sounds-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+};
+
+const ROBIN = { speciesCode: "amerob", sciName: "Turdus migratorius", comName: "American Robin" };
+
+const xenoCantoItem = (id, q, type, extra = {}) => ({
+    id: String(id),
+    gen: "Turdus",
+    sp: "migratorius",
+    en: "American Robin",
+    q,
+    type,
+    lic: "//creativecommons.org/licenses/by-nc-sa/4.0/",
+    url: `//xeno-canto.org/${id}`,
+    file: `//xeno-canto.org/${id}/download`,
+    "file-name": `XC${id}.mp3`,
+    lat: "40.78",
+    lng: "",
+    ...extra,
+});
+
+// A library whose Xeno-Canto search answers `items` and whose downloads return a few bytes
+const library = (t, items, { failing = [] } = {}) => {
+    const downloads = [];
+    const client = {
+        get: async (url) => {
+            downloads.push(url);
+            if (failing.some(id => url.includes(`/${id}/`))) throw new Error("connection reset");
+            return { headers: { "content-type": "audio/mpeg" }, data: Readable.from([Buffer.from("ID3 audio")]) };
+        },
+    };
+    const httpCache = { get: async () => ({ data: { recordings: items } }) };
+    return { sounds: new SoundLibrary({ directory: tempDir(t), httpCache, client }), downloads };
+};
+
+test("fetchSpecies downloads the best recordings first and reports failures", async (t) => {
+    const items = [
+        xenoCantoItem(3, "C", "call"),
+        xenoCantoItem(2, "A", "song, male"),
+        xenoCantoItem(1, "", "flight call"),
+        xenoCantoItem(4, "B", "alarm call"),
+        xenoCantoItem(5, "A", "call", { file: "" }),
+    ];
+    const { sounds, downloads } = library(t, items, { failing: [4] });
+    const changes = [];
+    sounds.on("change", change => changes.push(change));
+
+    const report = await sounds.fetchSpecies(ROBIN, { limit: 3 });
+    assert.deepEqual(downloads, ["https://xeno-canto.org/2/download", "https://xeno-canto.org/4/download", "https://xeno-canto.org/3/download"]);
+    assert.deepEqual(report.downloaded, ["xc2", "xc3"]);
+    assert.deepEqual(report.failed, [{ id: "xc4", error: "connection reset" }]);
+    assert.equal(report.available, 2);
+    assert.deepEqual(changes, [{ speciesCode: "amerob", added: ["xc2", "xc3"] }]);
+
+    const recording = sounds.get("xc2");
+    assert.equal(recording.type, "song");
+    assert.equal(recording.file, "xc2.mp3");
+    assert.equal(recording.license, "https://creativecommons.org/licenses/by-nc-sa/4.0/");
+    assert.deepEqual([recording.location.latitude, recording.location.longitude], [40.78, null]);
+    assert.equal(fs.readFileSync(sounds.filePath(recording), "utf8"), "ID3 audio");
+    assert.equal(fs.readdirSync(sounds.directory).some(name => name.endsWith(".tmp")), false);
+});
+
+test("fetchSpecies honours quality and type and stops at what the library already has", async (t) => {
+    const items = [xenoCantoItem(1, "A", "call"), xenoCantoItem(2, "A", "song"), xenoCantoItem(3, "C", "song"), xenoCantoItem(4, "B", "song")];
+    const { sounds, downloads } = library(t, items);
+
+    const first = await sounds.fetchSpecies(ROBIN, { limit: 5, quality: "b", type: "song" });
+    assert.deepEqual(first.downloaded, ["xc2", "xc4"]);
+
+    const second = await sounds.fetchSpecies(ROBIN, { limit: 2, quality: "B", type: "song" });
+    assert.deepEqual(second, { speciesCode: "amerob", downloaded: [], failed: [], available: 2 });
+    assert.equal(downloads.length, 2);
+});
+
+test("list filters by species, minimum quality and type, best quality first", async (t) => {
+    const { sounds } = library(t, []);
+    const add = (id, speciesCode, quality, type) => sounds.recordings.set(id, { id, speciesCode, quality, type });
+    add("xc9", "amerob", null, "song");
+    add("xc5", "amerob", "B", "call");
+    add("xc7", "amerob", "A", "song");
+    add("xc6", "amerob", "A", "song");
+    add("xc8", "norcar", "A", "song");
+
+    assert.deepEqual(sounds.list({ speciesCode: "amerob" }).map(r => r.id), ["xc6", "xc7", "xc5", "xc9"]);
+    assert.deepEqual(sounds.list({ speciesCode: "amerob", quality: "b" }).map(r => r.id), ["xc6", "xc7", "xc5"]);
+    assert.deepEqual(sounds.list({ type: "song", quality: "A" }).map(r => r.id), ["xc6", "xc7", "xc8"]);
+});
+
+test("the index survives a restart and drops recordings whose audio is gone", async (t) => {
+    const { sounds } = library(t, [xenoCantoItem(1, "A", "song"), xenoCantoItem(2, "B", "call")]);
+    await sounds.fetchSpecies(ROBIN);
+    fs.rmSync(sounds.filePath(sounds.get("xc2")));
+
+    const reloaded = new SoundLibrary({ directory: sounds.directory }).load();
+    assert.deepEqual(reloaded.list().map(r => r.id), ["xc1"]);
+});
+
+test("prewarm reports a failed species and carries on", async (t) => {
+    const { sounds } = library(t, [xenoCantoItem(1, "A", "song")]);
+    sounds.httpCache = { get: async (source, url, { params }) => {
+        if (params.query === "Cardinalis cardinalis") throw new Error("Request failed with status code 503");
+        return { data: { recordings: [xenoCantoItem(1, "A", "song")] } };
+    } };
+
+    const results = await sounds.prewarm([{ speciesCode: "norcar", sciName: "Cardinalis cardinalis" }, ROBIN]);
+    assert.deepEqual(results[0], { speciesCode: "norcar", error: "Request failed with status code 503" });
+    assert.deepEqual(results[1].downloaded, ["xc1"]);
+});
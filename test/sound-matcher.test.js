@@ -0,0 +1,150 @@
+import { test } from "node:test";
+import assert from "assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { decodeAudio, extractFeatures, AudioProcessingError, SAMPLE_RATE } from "../services/audioFeatures.js";
+import { SoundMatcher } from "../services/soundMatcher.js";
+import { ClassifierError } from "../services/classifiers/errors.js";
+
+const tempDir = (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "sound-matcher-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+};
+
+// 16-bit mono WAV; sample(t) gives the signal in [-1, 1] at t seconds
+const wav = (seconds, sample, sampleRate = SAMPLE_RATE) => {
+    const count = Math.floor(seconds * sampleRate);
+    const buffer = Buffer.alloc(44 + count * 2);
+    buffer.write("RIFF", 0);
+    buffer.writeUInt32LE(36 + count * 2, 4);
+    buffer.write("WAVEfmt ", 8);
+    buffer.writeUInt32LE(16, 16);
+    buffer.writeUInt16LE(1, 20);
+    buffer.writeUInt16LE(1, 22);
+    buffer.writeUInt32LE(sampleRate, 24);
+    buffer.writeUInt32LE(sampleRate * 2, 28);
+    buffer.writeUInt16LE(2, 32);
+    buffer.writeUInt16LE(16, 34);
+    buffer.write("data", 36);
+    buffer.writeUInt32LE(count * 2, 40);
+    for (let i = 0; i < count; i++) {
+        buffer.writeInt16LE(Math.round(Math.max(-1, Math.min(1, sample(i / sampleRate))) * 32767), 44 + i * 2);
+    }
+    return buffer;
+};
+
+// Rising chirps repeated every 0.4 s, the shape of the stand-in's recordings
+const chirps = (base) => (t) => {
+    const phase = t % 0.4;
+    return (phase < 0.25 ? 0.6 : 0.002) * Math.sin(2 * Math.PI * (base + 4000 * phase) * t);
+};
+
+// A low whistle with a slow warble: nothing like the chirps
+const whistle = (t) => (Math.floor(t / 0.8) % 2 === 0 ? 0.5 : 0.002) * Math.sin(2 * Math.PI * (900 + 150 * Math.sin(6 * t)) * t);
+
+const silence = () => 0;
+
+// A sound library of the given { id: [speciesCode, wavBuffer] } recordings
+const library = (t, recordings) => {
+    const directory = tempDir(t);
+    const entries = Object.entries(recordings).map(([id, [speciesCode, buffer]]) => {
+        fs.writeFileSync(path.join(directory, `${id}.wav`), buffer);
+        return { id, speciesCode, sciName: `${speciesCode} sci`, comName: `${speciesCode} com`, quality: "A", file: `${id}.wav` };
+    });
+    return {
+        directory,
+        list: () => entries,
+        get: (id) => entries.find(entry => entry.id === id) || null,
+        filePath: (recording) => path.join(directory, recording.file),
+    };
+};
+
+const querySegments = async (buffer) => extractFeatures((await decodeAudio(buffer)).samples).segments;
+
+const assertClassifierError = (fn, statusCode, pattern) => assert.throws(fn, (error) => {
+    assert.ok(error instanceof ClassifierError);
+    assert.equal(error.statusCode, statusCode);
+    assert.match(error.message, pattern);
+    return true;
+});
+
+test("WAV audio is mixed down and resampled to the feature sample rate", async () => {
+    const audio = await decodeAudio(wav(2, chirps(2000), 44100));
+    assert.equal(audio.originalSampleRate, 44100);
+    assert.equal(audio.channels, 1);
+    assert.equal(audio.samples.length, 2 * SAMPLE_RATE);
+    assert.equal(audio.duration, 2);
+
+    const capped = await decodeAudio(wav(3, chirps(2000)), { maxDuration: 1 });
+    assert.equal(capped.duration, 1);
+});
+
+test("unreadable or very short audio is refused as AudioProcessingError", async () => {
+    for (const [input, pattern] of [[Buffer.from("not audio at all"), /Unable to decode audio/], [wav(0.2, chirps(2000)), /too short/]]) {
+        await assert.rejects(decodeAudio(input), (error) => {
+            assert.ok(error instanceof AudioProcessingError);
+            assert.equal(error.statusCode, 400);
+            assert.match(error.message, pattern);
+            return true;
+        });
+    }
+});
+
+test("silence has no active segments and chirps have unit-length ones", async () => {
+    assert.deepEqual(extractFeatures((await decodeAudio(wav(2, silence))).samples).segments, []);
+
+    const { segments, activeSeconds } = extractFeatures((await decodeAudio(wav(3, chirps(2000)))).samples);
+    assert.ok(segments.length > 0);
+    assert.ok(activeSeconds > 1);
+    for (const segment of segments) {
+        assert.ok(Math.abs(Math.hypot(...segment) - 1) < 0.01);
+    }
+});
+
+test("sync indexes the library once, and a recording without bird activity is reported", async (t) => {
+    const filePath = path.join(tempDir(t), "references.json");
+    const soundLibrary = library(t, { xc1: ["amerob", wav(3, chirps(2000))], xc2: ["amerob", wav(2, silence)] });
+    const matcher = new SoundMatcher({ filePath, soundLibrary });
+
+    const [first, second] = await Promise.all([matcher.sync(), matcher.sync()]);
+    assert.deepEqual(first.indexed, ["xc1"]);
+    assert.deepEqual(first.failed, [{ id: "xc2", error: "no bird activity found" }]);
+    assert.deepEqual(second, { indexed: [], failed: [] });
+
+    const reloaded = new SoundMatcher({ filePath, soundLibrary }).load();
+    assert.deepEqual([...reloaded.references.keys()], ["xc1"]);
+    assert.equal(reloaded.getStats().unindexed, 1);
+});
+
+test("a recording matches the species it sounds like", async (t) => {
+    const soundLibrary = library(t, {
+        xc1: ["amerob", wav(3, chirps(2000))],
+        xc2: ["amerob", wav(3, chirps(2300))],
+        xc3: ["easpho", wav(3, whistle)],
+    });
+    const matcher = new SoundMatcher({ filePath: path.join(soundLibrary.directory, "references.json"), soundLibrary });
+    await matcher.sync();
+
+    const ranked = matcher.match(await querySegments(wav(3, chirps(2150))));
+    assert.deepEqual(ranked.map(candidate => candidate.speciesCode), ["amerob", "easpho"]);
+    assert.equal(ranked[0].comName, "amerob com");
+    assert.ok(ranked[0].similarity > ranked[1].similarity);
+    assert.ok(ranked[0].confidence > ranked[1].confidence);
+    assert.ok(ranked[0].confidence <= ranked[0].similarity);
+
+    const whistled = matcher.match(await querySegments(wav(3, whistle)), { topK: 1 });
+    assert.deepEqual(whistled.map(candidate => [candidate.speciesCode, candidate.bestMatch]), [["easpho", "xc3"]]);
+});
+
+test("poor matches, silent queries and an empty library are refused", async (t) => {
+    const soundLibrary = library(t, { xc1: ["amerob", wav(3, chirps(2000))] });
+    const matcher = new SoundMatcher({ filePath: path.join(soundLibrary.directory, "references.json"), soundLibrary, minSimilarity: 0.99 });
+    await matcher.sync();
+    const whistled = await querySegments(wav(3, whistle));
+
+    assertClassifierError(() => matcher.match(whistled), 422, /No confident match/);
+    assertClassifierError(() => matcher.match([]), 422, /No bird sounds/);
+    assertClassifierError(() => matcher.match(whistled, { speciesCodes: ["norcar"] }), 503, /library is empty/);
+});
@@ -0,0 +1,67 @@
+import { test } from "node:test";
+import assert from "assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { SpeciesProfileStore, ProfileValidationError, validateProfile } from "../services/speciesProfiles.js";
+
+const tempFile = (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "profiles-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return path.join(dir, "species-profiles.json");
+};
+
+const answer = (fields) => ({ speciesCode: "amerob", provider: "openai", species: "American Robin", confidence: 0.9, ...fields });
+
+test("profiles keep known fields, trimmed, with empty text as null", () => {
+    assert.deepEqual(validateProfile({ description: "  A thrush. ", lifespan: "", commonFood: null, color: "red" }), {
+        description: "A thrush.",
+        lifespan: null,
+        commonFood: null,
+    });
+});
+
+test("wrong types, overlong text and empty bodies are refused", () => {
+    const fieldsOf = (input) => {
+        try {
+            validateProfile(input);
+        } catch (error) {
+            assert.ok(error instanceof ProfileValidationError);
+            return error.details.map(detail => detail.field);
+        }
+        assert.fail("expected a ProfileValidationError");
+    };
+    assert.deepEqual(fieldsOf({ lifespan: 2, description: "x".repeat(2001) }), ["description", "lifespan"]);
+    assert.deepEqual(fieldsOf({ color: "red" }), ["(body)"]);
+    assert.deepEqual(fieldsOf(undefined), ["(body)"]);
+});
+
+test("classifier answers are learned, and identical answers are not written again", async (t) => {
+    const filePath = tempFile(t);
+    const store = new SpeciesProfileStore(filePath);
+
+    assert.equal(await store.learn(answer({})), null);
+    assert.equal(await store.learn(answer({ speciesCode: null, description: "A thrush." })), null);
+
+    const learned = await store.learn(answer({ description: "A thrush.", lifespan: "2 years" }));
+    assert.deepEqual([learned.source, learned.lifespan, learned.commonFood], ["classifier:openai", "2 years", null]);
+    assert.equal(await store.learn(answer({ description: "A thrush.", lifespan: "2 years" })), learned);
+
+    const updated = await store.learn(answer({ description: "A common thrush.", provider: "local" }));
+    assert.deepEqual([updated.source, updated.lifespan], ["classifier:local", null]);
+    assert.equal(new SpeciesProfileStore(filePath).load().get("amerob").description, "A common thrush.");
+});
+
+test("editor text is kept over later classifier answers and partial edits keep other fields", async (t) => {
+    const store = new SpeciesProfileStore(tempFile(t));
+    await store.learn(answer({ description: "A thrush.", lifespan: "2 years" }));
+
+    const edited = await store.write("amerob", { lifespan: "Up to 14 years in the wild" }, { editor: "key_1" });
+    assert.deepEqual([edited.description, edited.lifespan, edited.source, edited.editedBy],
+        ["A thrush.", "Up to 14 years in the wild", "editor", "key_1"]);
+
+    assert.equal(await store.learn(answer({ description: "Something else." })), null);
+    assert.equal(store.get("amerob").description, "A thrush.");
+    await assert.rejects(store.write("amerob", { lifespan: 14 }), ProfileValidationError);
+    assert.equal(store.get("amerob").lifespan, "Up to 14 years in the wild");
+});
@@ -0,0 +1,70 @@
+import { test } from "node:test";
+import assert from "assert/strict";
+import { SpeciesIndex, normalizeName } from "../services/speciesSearch.js";
+
+const TAXONOMY = [
+    { sciName: "SCIENTIFIC_NAME", comName: "COMMON_NAME", speciesCode: "SPECIES_CODE" },
+    { sciName: "Turdus migratorius", comName: "American Robin", speciesCode: "amerob" },
+    { sciName: "Erithacus rubecula", comName: "European Robin", speciesCode: "eurrob1" },
+    { sciName: "Milvus milvus", comName: "Red Kite", speciesCode: "redkit1" },
+    { sciName: "Milvus migrans", comName: "Black Kite", speciesCode: "blakit1" },
+    { sciName: "Milvus milvus/migrans", comName: "Red/Black Kite", speciesCode: "y00611" },
+    { sciName: "Milvus sp.", comName: "kite sp.", speciesCode: "kite1" },
+    { sciName: "Pica pica", comName: "Eurasian Magpie", speciesCode: "eurmag1" },
+    { sciName: "Geothlypis trichas", comName: "Common Yellowthroat", speciesCode: "comyel" },
+    { sciName: "Crithagra flaviventris", comName: "Yellow Canary", speciesCode: "yelcan1" },
+];
+
+const index = new SpeciesIndex(TAXONOMY);
+
+test("the placeholder header row is not indexed", () => {
+    assert.equal(index.size, TAXONOMY.length - 1);
+    assert.equal(index.getByCode("SPECIES_CODE"), null);
+    assert.equal(index.getByCode("amerob").comName, "American Robin");
+});
+
+test("names are compared without case, accents or punctuation", () => {
+    assert.equal(normalizeName("  Rüppell's  Griffon "), "ruppells griffon");
+    assert.equal(index.search("AMERICAN robin")[0].speciesCode, "amerob");
+    assert.equal(index.search("AMERICAN robin")[0].score, 1);
+});
+
+test("prefixes of each word autocomplete", () => {
+    const [first] = index.search("amer rob");
+    assert.equal(first.speciesCode, "amerob");
+    assert.ok(first.score < 1);
+});
+
+test("scientific names match and report what they matched on", () => {
+    const [first] = index.search("turdus migratorius");
+    assert.equal(first.speciesCode, "amerob");
+    assert.equal(first.matchedOn, "sciName");
+});
+
+test("species rank ahead of slash and sp. entries with the same words", () => {
+    const codes = index.search("kite").map(result => result.speciesCode);
+    assert.ok(codes.indexOf("redkit1") < codes.indexOf("y00611"));
+    assert.ok(codes.indexOf("blakit1") < codes.indexOf("kite1"));
+});
+
+test("every query word must match", () => {
+    assert.deepEqual(index.search("robin kite"), []);
+    assert.deepEqual(index.search("   "), []);
+});
+
+test("lookup accepts one typo in a whole name", () => {
+    assert.equal(index.lookup("Amercan Robin").match?.speciesCode, "amerob");
+    assert.equal(index.resolve("Eurasian Magpei")?.speciesCode, "eurmag1");
+});
+
+test("lookup refuses a name that fits several species and lists them", () => {
+    const { match, candidates } = index.lookup("Robin");
+    assert.equal(match, null);
+    assert.deepEqual(candidates.map(candidate => candidate.speciesCode).sort(), ["amerob", "eurrob1"]);
+    assert.equal(index.resolve("Robin"), null);
+});
+
+test("lookup does not guess from a loose match", () => {
+    assert.equal(index.resolve("Yellow"), null);
+    assert.equal(index.resolve("Blue Jay"), null);
+});
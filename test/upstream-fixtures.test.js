@@ -0,0 +1,152 @@
+import { test } from "node:test";
+import assert from "assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { AxiosError } from "axios";
+import OpenAI from "openai";
+import { UpstreamFixtures, FixtureMissingError } from "../services/upstreamFixtures.js";
+import { ClassifierError } from "../services/classifiers/errors.js";
+
+const tempDir = (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "fixtures-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+};
+
+const streamText = async (stream) => {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(Buffer.from(chunk));
+    return Buffer.concat(chunks).toString();
+};
+
+// axios-like client that answers from `routes` (url -> response) and fails the test when it is not expected to be called
+const fakeHttp = (routes) => {
+    const calls = [];
+    return {
+        calls,
+        get: async (url, config) => {
+            calls.push({ url, config });
+            const response = routes[url];
+            if (!response) throw new Error(`unexpected request to ${url}`);
+            if (response.status >= 400) {
+                throw new AxiosError(`Request failed with status code ${response.status}`, AxiosError.ERR_BAD_REQUEST, config, null, response);
+            }
+            return response;
+        },
+    };
+};
+
+const unreachable = { get: async () => assert.fail("replay must not call upstream") };
+
+test("unknown modes are refused", () => {
+    assert.throws(() => new UpstreamFixtures({ directory: "unused", mode: "replay-all" }), /Unknown upstream mode/);
+});
+
+test("recorded JSON answers replay without credentials in the fixture key", async (t) => {
+    const directory = tempDir(t);
+    const url = "https://api.unsplash.com/search/photos";
+    const upstream = fakeHttp({ [url]: { status: 200, headers: { "content-type": "application/json" }, data: { results: [1, 2] } } });
+
+    const recorder = new UpstreamFixtures({ directory, mode: "record" });
+    const recorded = await recorder.http(upstream).get(url, { params: { query: "robin", client_id: "secret-a" } });
+    assert.deepEqual(recorded.data, { results: [1, 2] });
+    const [file] = fs.readdirSync(path.join(directory, "api.unsplash.com"));
+    assert.equal(fs.readFileSync(path.join(directory, "api.unsplash.com", file), "utf8").includes("secret-a"), false);
+
+    const player = new UpstreamFixtures({ directory, mode: "replay" });
+    const replayed = await player.http(unreachable).get(url, { params: { query: "robin", client_id: "secret-b" } });
+    assert.deepEqual([replayed.status, replayed.data], [200, { results: [1, 2] }]);
+    assert.deepEqual(player.getStats(), { mode: "replay", services: { "api.unsplash.com": { recorded: 0, replayed: 1, missing: 0 } } });
+});
+
+test("binary answers are stored beside the fixture and replayed as streams", async (t) => {
+    const directory = tempDir(t);
+    const url = "http://localhost:5057/audio/1.wav";
+    const upstream = fakeHttp({ [url]: { status: 200, headers: { "content-type": "audio/wav" }, data: new TextEncoder().encode("RIFF audio").buffer } });
+
+    const recorded = await new UpstreamFixtures({ directory, mode: "record" }).http(upstream).get(url, { responseType: "stream" });
+    assert.equal(upstream.calls[0].config.responseType, "arraybuffer");
+    assert.equal(await streamText(recorded.data), "RIFF audio");
+    assert.deepEqual(fs.readdirSync(path.join(directory, "localhost_5057")).map(name => path.extname(name)).sort(), [".bin", ".json"]);
+
+    const replayed = await new UpstreamFixtures({ directory, mode: "replay" }).http(unreachable).get(url, { responseType: "stream" });
+    assert.equal(replayed.headers["content-type"], "audio/wav");
+    assert.equal(await streamText(replayed.data), "RIFF audio");
+});
+
+test("upstream error answers are recorded and fail the same way on replay", async (t) => {
+    const directory = tempDir(t);
+    const url = "https://api.ebird.org/v2/data/obs/geo/recent";
+    const upstream = fakeHttp({ [url]: { status: 403, headers: { "content-type": "text/plain" }, data: "Forbidden" } });
+
+    await assert.rejects(new UpstreamFixtures({ directory, mode: "record" }).http(upstream).get(url, { params: { lat: 40 } }), AxiosError);
+    await assert.rejects(new UpstreamFixtures({ directory, mode: "replay" }).http(unreachable).get(url, { params: { lat: 40 } }), (error) => {
+        assert.ok(error instanceof AxiosError);
+        assert.deepEqual([error.response.status, error.response.data], [403, "Forbidden"]);
+        return true;
+    });
+});
+
+test("requests that were never recorded fail with a 503 in replay", async (t) => {
+    const player = new UpstreamFixtures({ directory: tempDir(t), mode: "replay" });
+    await assert.rejects(player.http(unreachable).get("https://xeno-canto.org/api/2/recordings", { params: { query: "Turdus" } }), (error) => {
+        assert.ok(error instanceof FixtureMissingError);
+        assert.equal(error.statusCode, 503);
+        assert.match(error.message, /GET https:\/\/xeno-canto\.org\/api\/2\/recordings\?query=Turdus/);
+        return true;
+    });
+    await assert.rejects(player.openai(null).chat.completions.create({ model: "gpt-4o", messages: [] }), (error) => {
+        assert.ok(error instanceof ClassifierError);
+        assert.equal(error.statusCode, 503);
+        return true;
+    });
+    assert.equal(player.getStats().services["xeno-canto.org"].missing, 1);
+});
+
+test("OpenAI answers are keyed on the uploaded file's hash rather than the image data", async (t) => {
+    const directory = tempDir(t);
+    const request = (image) => ({
+        model: "gpt-4o",
+        messages: [{ role: "user", content: [{ type: "image_url", image_url: { url: `data:image/jpeg;base64,${image}` } }] }],
+    });
+    const answer = { choices: [{ message: { content: "{\"candidates\":[]}" } }] };
+    const sent = [];
+    const client = { chat: { completions: { create: async (body) => { sent.push(body); return answer; } } } };
+
+    const recorded = await new UpstreamFixtures({ directory, mode: "record" }).openai(client, { imageSha256: "abc123" }).chat.completions.create(request("AAAA"));
+    assert.deepEqual(recorded, answer);
+    const [file] = fs.readdirSync(path.join(directory, "openai"));
+    const fixture = fs.readFileSync(path.join(directory, "openai", file), "utf8");
+    assert.equal(fixture.includes("AAAA"), false);
+    assert.match(fixture, /upload:sha256=abc123/);
+
+    // A re-encoded image of the same upload replays the same answer
+    const replayed = await new UpstreamFixtures({ directory, mode: "replay" }).openai(null, { imageSha256: "abc123" }).chat.completions.create(request("BBBB"));
+    assert.deepEqual(replayed, answer);
+    assert.equal(sent.length, 1);
+});
+
+test("OpenAI error answers replay as API errors with the same status", async (t) => {
+    const directory = tempDir(t);
+    const client = { chat: { completions: { create: async () => {
+        throw OpenAI.APIError.generate(429, { error: { message: "Rate limit reached" } }, undefined, { "content-type": "application/json" });
+    } } } };
+    const body = { model: "gpt-4o", messages: [{ role: "user", content: "hi" }] };
+
+    await assert.rejects(new UpstreamFixtures({ directory, mode: "record" }).openai(client).chat.completions.create(body), OpenAI.RateLimitError);
+    await assert.rejects(new UpstreamFixtures({ directory, mode: "replay" }).openai(null).chat.completions.create(body), (error) => {
+        assert.ok(error instanceof OpenAI.RateLimitError);
+        assert.equal(error.status, 429);
+        return true;
+    });
+});
+
+test("live mode passes calls straight through", async (t) => {
+    const live = new UpstreamFixtures({ directory: tempDir(t) });
+    const client = { chat: {} };
+    assert.equal(live.openai(client), client);
+    const upstream = fakeHttp({ "https://example.org/": { status: 200, data: "ok" } });
+    assert.equal((await live.http(upstream).get("https://example.org/")).data, "ok");
+    assert.deepEqual(fs.readdirSync(live.directory), []);
+});
@@ -0,0 +1,153 @@
+import { test } from "node:test";
+import assert from "assert/strict";
+import crypto from "crypto";
+import fs from "fs";
+import http from "http";
+import os from "os";
+import path from "path";
+import { AuditLog } from "../services/auditLog.js";
+import {
+    WatchStore, WatchValidationError, WebhookBlockedError, WebhookDispatcher, WebhookPolicy, WatchPoller,
+    isPrivateAddress, validateWatch,
+} from "../services/watchlists.js";
+
+const tempDir = (t) => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "watches-"));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+};
+
+// Local webhook receiver; respond(req, body) returns [status, headers]
+const receiver = async (t, respond = () => [204, {}]) => {
+    const received = [];
+    const server = http.createServer((req, res) => {
+        let body = "";
+        req.on("data", chunk => { body += chunk; });
+        req.on("end", () => {
+            received.push({ headers: req.headers, body });
+            const [status, headers] = respond(req, body);
+            res.writeHead(status, headers).end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+    t.after(() => server.close());
+    return { url: `http://127.0.0.1:${server.address().port}/hook`, received };
+};
+
+const watchFor = (webhookUrl) => ({
+    id: "watch_1", name: "Park robins", speciesCode: "amerob", latitude: 40.78, longitude: -73.97, radiusKm: 5,
+    webhookUrl, secret: "s3cret", seen: [], primed: false,
+});
+
+const dispatcher = (t, options = {}) => {
+    const log = new AuditLog(path.join(tempDir(t), "deliveries.jsonl"), { idPrefix: "dlvlog" });
+    return { log, dispatcher: new WebhookDispatcher({ log, retryBaseMs: 1, timeoutMs: 2000, ...options }) };
+};
+
+test("loopback, private, link-local and reserved addresses count as private", () => {
+    const blocked = ["127.0.0.1", "10.1.2.3", "172.20.0.1", "192.168.1.1", "169.254.169.254", "100.64.0.1", "0.0.0.0",
+        "224.0.0.1", "::1", "::", "fd00::1", "fe80::1", "::ffff:127.0.0.1", "::FFFF:169.254.169.254", "not-an-ip"];
+    const open = ["8.8.8.8", "172.32.0.1", "2606:4700:4700::1111", "::ffff:1.1.1.1"];
+    blocked.forEach(address => assert.equal(isPrivateAddress(address), true, address));
+    open.forEach(address => assert.equal(isPrivateAddress(address), false, address));
+});
+
+test("webhook URLs to private hosts are refused unless allowed", async () => {
+    const policy = new WebhookPolicy();
+    for (const url of ["http://127.0.0.1/hook", "http://[::1]:8080/", "http://169.254.169.254/latest/meta-data", "http://localhost/hook"]) {
+        await assert.rejects(policy.check(url), WebhookBlockedError, url);
+    }
+    await assert.rejects(policy.check("http://no-such-host.invalid/"), /could not be resolved/);
+    await policy.check("https://8.8.8.8/hook");
+    await assert.rejects(policy.lookup("localhost"), WebhookBlockedError);
+
+    const allowlist = new WebhookPolicy({ allowedHosts: ["Hooks.Example.org"], allowPrivate: true });
+    await allowlist.check("https://hooks.example.org/x");
+    await assert.rejects(allowlist.check("https://other.example.org/x"), /not an allowed webhook host/);
+    await new WebhookPolicy({ allowPrivate: true }).check("http://127.0.0.1/hook");
+});
+
+test("watches are validated and private webhooks are refused at creation", async (t) => {
+    assert.throws(() => validateWatch({ name: "", latitude: 91, longitude: null, radiusKm: 80, webhookUrl: "ftp://x" }), (error) => {
+        assert.ok(error instanceof WatchValidationError);
+        assert.deepEqual(error.details.map(detail => detail.field), ["name", "latitude", "longitude", "radiusKm", "webhookUrl"]);
+        return true;
+    });
+
+    const store = new WatchStore(path.join(tempDir(t), "watches.json"));
+    await assert.rejects(store.create({ name: "Park", latitude: 40.78, longitude: -73.97, radiusKm: 5, webhookUrl: "http://10.0.0.5/hook" }), (error) => {
+        assert.ok(error instanceof WatchValidationError);
+        assert.equal(error.details[0].field, "webhookUrl");
+        return true;
+    });
+    const watch = await store.create({ name: "Park", latitude: 40.78, longitude: -73.97, radiusKm: 5, webhookUrl: "https://8.8.8.8/hook" }, { owner: "key_1" });
+    assert.equal(WatchStore.view(watch).seenCount, 0);
+    assert.deepEqual(new WatchStore(store.filePath).load().list({ owner: "key_1" }).map(saved => saved.id), [watch.id]);
+});
+
+test("deliveries are signed with the watch secret and logged", async (t) => {
+    const hook = await receiver(t);
+    const { log, dispatcher: webhooks } = dispatcher(t, { policy: new WebhookPolicy({ allowPrivate: true }) });
+    const result = await webhooks.deliver(watchFor(hook.url), "sightings", { matches: [{ key: "S1" }] });
+
+    assert.deepEqual([result.delivered, result.attempts], [true, 1]);
+    const [{ headers, body }] = hook.received;
+    assert.equal(headers["x-watch-signature"], `sha256=${crypto.createHmac("sha256", "s3cret").update(body).digest("hex")}`);
+    assert.equal(JSON.parse(body).watch.name, "Park robins");
+    assert.equal("secret" in JSON.parse(body).watch, false);
+    assert.deepEqual(log.entries.map(entry => [entry.delivered, entry.statusCode, entry.matches]), [[true, 204, 1]]);
+});
+
+test("failed deliveries are retried, redirects are not followed and test sends go out once", async (t) => {
+    const hook = await receiver(t, () => [302, { Location: "http://169.254.169.254/latest/meta-data" }]);
+    const { log, dispatcher: webhooks } = dispatcher(t, { policy: new WebhookPolicy({ allowPrivate: true }), maxAttempts: 3 });
+
+    const retried = await webhooks.deliver(watchFor(hook.url), "sightings", { matches: [] });
+    assert.deepEqual([retried.delivered, retried.attempts], [false, 3]);
+    assert.equal(hook.received.length, 3);
+    assert.deepEqual(log.entries.map(entry => [entry.error, entry.willRetry]), [["HTTP 302", true], ["HTTP 302", true], ["HTTP 302", false]]);
+
+    const once = await webhooks.deliver(watchFor(hook.url), "test", {}, { maxAttempts: 1 });
+    assert.deepEqual([once.delivered, once.attempts], [false, 1]);
+    assert.equal(hook.received.length, 4);
+});
+
+test("deliveries to private addresses are blocked without retrying", async (t) => {
+    const hook = await receiver(t);
+    const { log, dispatcher: webhooks } = dispatcher(t, { maxAttempts: 3 });
+    const result = await webhooks.deliver(watchFor(hook.url), "sightings", { matches: [] });
+
+    assert.deepEqual([result.delivered, result.attempts], [false, 1]);
+    assert.equal(hook.received.length, 0);
+    assert.match(log.entries[0].error, /^Blocked: 127\.0\.0\.1 resolves to a private or reserved address/);
+    assert.equal(log.entries[0].willRetry, false);
+});
+
+test("the first poll primes a watch and later polls send only new sightings", async (t) => {
+    const store = new WatchStore(path.join(tempDir(t), "watches.json"));
+    const watch = watchFor("https://8.8.8.8/hook");
+    store.watches.set(watch.id, watch);
+
+    let matches = [{ key: "S1" }];
+    let succeed = true;
+    const sent = [];
+    const poller = new WatchPoller({
+        store,
+        findMatches: async () => ({ matches, errors: [] }),
+        dispatcher: { deliver: async (target, event, payload) => {
+            sent.push(payload.matches.map(match => match.key));
+            return { delivered: succeed, deliveryId: "dlv_1" };
+        } },
+    });
+
+    assert.equal((await poller.pollAll()).results[0].primed, true);
+    matches = [{ key: "S1" }, { key: "S2" }];
+    succeed = false;
+    assert.equal((await poller.pollAll()).results[0].delivered, false);
+    succeed = true;
+    assert.equal((await poller.pollAll()).results[0].delivered, true);
+    assert.equal((await poller.pollAll()).results[0].new, 0);
+
+    assert.deepEqual(sent, [["S2"], ["S2"]]);
+    assert.deepEqual(watch.seen, ["S1", "S2"]);
+});